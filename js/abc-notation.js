@@ -0,0 +1,782 @@
+/**
+ * ABC Notation
+ * Reads ABC tunes into the same note structure as parseMIDI and writes
+ * notes back out as ABC text
+ */
+
+import { MIN_NOTE_DURATION, midiNoteToName, ticksToMilliseconds, keySignatureName, downloadFile } from './midi-utils.js';
+
+// Ticks per quarter note in the parsed result
+const DIVISION = 480;
+const WHOLE_NOTE_TICKS = DIVISION * 4;
+
+// Default tempo when the tune has no Q: field: 120 BPM
+const DEFAULT_TEMPO = 500000;
+const DEFAULT_VELOCITY = 80;
+
+// Semitones of each note letter above C
+const STEP_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Position of each letter on the circle of fifths, and of each mode relative to major
+const LETTER_FIFTHS = { F: -1, C: 0, G: 1, D: 2, A: 3, E: 4, B: 5 };
+const MODE_FIFTHS = { maj: 0, ion: 0, mix: -1, dor: -2, m: -3, min: -3, aeo: -3, phr: -4, loc: -5, lyd: 1 };
+
+// Order in which sharps are added to a key signature (flats use the reverse)
+const SHARP_ORDER = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+
+// Accidental prefixes and their alteration in semitones
+const ACCIDENTALS = { '^^': 2, '^': 1, '=': 0, '_': -1, '__': -2 };
+
+// Spelling of each pitch class in sharp and flat keys, as [letter, alteration]
+const SHARP_SPELLING = [['C', 0], ['C', 1], ['D', 0], ['D', 1], ['E', 0], ['F', 0], ['F', 1], ['G', 0], ['G', 1], ['A', 0], ['A', 1], ['B', 0]];
+const FLAT_SPELLING = [['C', 0], ['D', -1], ['D', 0], ['E', -1], ['E', 0], ['F', 0], ['G', -1], ['G', 0], ['A', -1], ['A', 0], ['B', -1], ['B', 0]];
+
+// Tuplet "in the time of" defaults by number of notes; 0 means 2 in simple meter, 3 in compound
+const TUPLET_DEFAULTS = { 2: 3, 3: 2, 4: 3, 5: 0, 6: 2, 7: 0, 8: 3, 9: 0 };
+
+/**
+ * Parse a fraction like '3/8' or a sum like '2+3/8'
+ */
+function parseFraction(text) {
+  const match = (text || '').trim().match(/^([\d+]+)\/(\d+)$/);
+  if (!match) return null;
+  const numerator = match[1].split('+').reduce((sum, n) => sum + (parseInt(n) || 0), 0);
+  const denominator = parseInt(match[2]);
+  return numerator > 0 && denominator > 0 ? { numerator, denominator } : null;
+}
+
+/**
+ * Parse an M: field
+ * @returns {object|null} { numerator, denominator }, or null for free meter
+ */
+function parseMeter(text) {
+  const value = (text || '').trim();
+  if (value === 'C') return { numerator: 4, denominator: 4 };
+  if (value === 'C|') return { numerator: 2, denominator: 2 };
+  return parseFraction(value.split(/\s/)[0]);
+}
+
+/**
+ * Parse a K: field
+ * @returns {object} { sharps, minor, accidentals } where accidentals maps letters to alterations
+ */
+function parseKey(text) {
+  const value = (text || '').trim();
+  const match = value.match(/^([A-G])([#b]?)\s*(maj|min|mix|dor|phr|lyd|loc|ion|aeo|m)?/i);
+  const accidentals = {};
+  let sharps = 0;
+  let minor = false;
+
+  if (match) {
+    const mode = (match[3] || 'maj').toLowerCase();
+    const sign = match[2] === '#' ? 7 : match[2] === 'b' ? -7 : 0;
+    sharps = LETTER_FIFTHS[match[1].toUpperCase()] + sign + MODE_FIFTHS[mode];
+    minor = MODE_FIFTHS[mode] === -3;
+
+    SHARP_ORDER.slice(0, Math.max(0, sharps)).forEach(letter => { accidentals[letter] = 1; });
+    SHARP_ORDER.slice().reverse().slice(0, Math.max(0, -sharps)).forEach(letter => { accidentals[letter] = -1; });
+  }
+
+  // Explicit accidentals after the key, e.g. K:D ^c or K:Dmix =f
+  const rest = match ? value.slice(match[0].length) : value;
+  for (const [, accidental, letter] of rest.matchAll(/(?:^|\s)(\^\^|\^|=|__|_)([A-Ga-g])/g)) {
+    accidentals[letter.toUpperCase()] = ACCIDENTALS[accidental];
+  }
+
+  return { sharps, minor, accidentals };
+}
+
+/**
+ * Parse a Q: field into quarter notes per minute
+ * Both 'Q:1/4=120' and the older 'Q:120' (unit notes per minute) are read
+ */
+function parseTempo(text, unitLength) {
+  const value = (text || '').replace(/"[^"]*"/g, '').trim();
+
+  const match = value.match(/((?:\d+\/\d+\s*)+)=\s*(\d+)/);
+  if (match) {
+    const beat = match[1].trim().split(/\s+/).reduce((sum, part) => {
+      const fraction = parseFraction(part);
+      return fraction ? sum + fraction.numerator / fraction.denominator : sum;
+    }, 0);
+    return beat > 0 ? parseInt(match[2]) * beat * 4 : null;
+  }
+
+  const legacy = value.match(/^(?:C\d*\s*=\s*)?(\d+)$/);
+  return legacy ? parseInt(legacy[1]) * unitLength * 4 : null;
+}
+
+/**
+ * Read a note length suffix like '2', '/', '3/2' or '//'
+ * @returns {object} { multiplier, length } where length is the characters read
+ */
+function readLength(text) {
+  const match = text.match(/^(\d*)(\/*)(\d*)/);
+  const numerator = match[1] ? parseInt(match[1]) : 1;
+  let denominator = 1;
+  if (match[2]) {
+    denominator = match[3] ? parseInt(match[3]) : Math.pow(2, match[2].length);
+  }
+  return { multiplier: numerator / denominator, length: match[0].length };
+}
+
+/**
+ * Read one note's pitch, applying the key signature and accidentals earlier in the bar
+ * @returns {object|null} { midiNote, tie, multiplier, length }
+ */
+function readPitch(text, context) {
+  const match = text.match(/^(\^\^|\^|=|__|_)?([A-Ga-g])([',]*)/);
+  if (!match) return null;
+
+  const letter = match[2].toUpperCase();
+  let octave = match[2] === letter ? 4 : 5;
+  for (const mark of match[3]) {
+    octave += mark === "'" ? 1 : -1;
+  }
+
+  // Accidentals last for the rest of the bar, for that note in that octave
+  const barKey = `${letter}${octave}`;
+  let alter;
+  if (match[1] !== undefined) {
+    alter = ACCIDENTALS[match[1]];
+    context.barAccidentals[barKey] = alter;
+  } else {
+    alter = context.barAccidentals[barKey] ?? context.key.accidentals[letter] ?? 0;
+  }
+
+  const { multiplier, length } = readLength(text.slice(match[0].length));
+  let consumed = match[0].length + length;
+  const tie = text[consumed] === '-';
+  if (tie) consumed++;
+
+  return {
+    midiNote: (octave + 1) * 12 + STEP_SEMITONES[letter] + alter,
+    tie,
+    multiplier,
+    length: consumed
+  };
+}
+
+/**
+ * Apply a field (header line or inline [X:...]) to the parser context
+ */
+function applyField(name, value, context, items) {
+  switch (name) {
+    case 'K':
+      context.key = parseKey(value);
+      items.push({ type: 'key', sharps: context.key.sharps, minor: context.key.minor });
+      break;
+    case 'L': {
+      const fraction = parseFraction(value);
+      if (fraction) {
+        context.unitLength = fraction.numerator / fraction.denominator;
+      }
+      break;
+    }
+    case 'M':
+      context.meter = parseMeter(value);
+      if (context.meter) {
+        items.push({ type: 'meter', ...context.meter });
+      }
+      break;
+    case 'Q': {
+      const bpm = parseTempo(value, context.unitLength);
+      if (bpm) items.push({ type: 'tempo', bpm });
+      break;
+    }
+    case 'P':
+      if (context.inBody) items.push({ type: 'part', text: value.trim() });
+      break;
+  }
+}
+
+/**
+ * Add a note, rest or chord to the item list, applying tuplets and broken rhythm
+ */
+function addNote(item, context, items) {
+  if (context.tuplet) {
+    item.length *= context.tuplet.factor;
+    if (--context.tuplet.remaining <= 0) context.tuplet = null;
+  }
+  if (context.broken) {
+    item.length *= context.broken;
+    context.broken = null;
+  }
+  items.push(item);
+  context.lastNote = item;
+}
+
+/**
+ * Split one line of tune body into items
+ */
+function readBodyLine(line, context, items) {
+  let i = 0;
+  while (i < line.length) {
+    const rest = line.slice(i);
+    let match;
+
+    // Inline field: [K:G], [M:3/4], [L:1/16], [Q:1/4=90]
+    if ((match = rest.match(/^\[([A-Za-z]):([^\]]*)\]/))) {
+      applyField(match[1], match[2], context, items);
+      i += match[0].length;
+      continue;
+    }
+
+    // Bar lines, with an optional ending number after them: |, ||, |], [|, |:, :|, ::, :|2
+    if ((match = rest.match(/^(\[\||:*\|+\]?:*|::+)(\[?(\d+(?:[-,]\d+)*))?/))) {
+      const bar = match[1];
+      items.push({
+        type: 'bar',
+        repeatEnd: bar.startsWith(':'),
+        repeatStart: bar.endsWith(':'),
+        double: bar === '[|' || bar.includes('||') || bar.includes(']') || bar === '::'
+      });
+      if (match[3]) items.push({ type: 'ending', numbers: readEndingNumbers(match[3]) });
+      context.barAccidentals = {};
+      i += match[0].length;
+      continue;
+    }
+
+    // Ending after a space, e.g. '| [2'
+    if ((match = rest.match(/^\[(\d+(?:[-,]\d+)*)/))) {
+      items.push({ type: 'ending', numbers: readEndingNumbers(match[1]) });
+      i += match[0].length;
+      continue;
+    }
+
+    // Chord: notes inside brackets share a start; the chord lasts as long as its first note
+    if (rest[0] === '[') {
+      const close = rest.indexOf(']');
+      if (close > 0) {
+        const pitches = [];
+        let j = 1;
+        while (j < close) {
+          const pitch = readPitch(rest.slice(j, close), context);
+          if (pitch) {
+            pitches.push(pitch);
+            j += pitch.length;
+          } else {
+            j++;
+          }
+        }
+        const { multiplier, length } = readLength(rest.slice(close + 1));
+        let consumed = close + 1 + length;
+        const tieAll = rest[consumed] === '-';
+        if (tieAll) consumed++;
+
+        if (pitches.length > 0) {
+          addNote({
+            type: 'note',
+            pitches: pitches.map(p => ({ midiNote: p.midiNote, tie: p.tie || tieAll })),
+            length: context.unitLength * pitches[0].multiplier * multiplier
+          }, context, items);
+        }
+        i += consumed;
+        continue;
+      }
+    }
+
+    // Note
+    const pitch = readPitch(rest, context);
+    if (pitch) {
+      addNote({
+        type: 'note',
+        pitches: [{ midiNote: pitch.midiNote, tie: pitch.tie }],
+        length: context.unitLength * pitch.multiplier
+      }, context, items);
+      i += pitch.length;
+      continue;
+    }
+
+    // Rests: z and invisible x, and Z for whole bars
+    if ((match = rest.match(/^([zx])/))) {
+      const { multiplier, length } = readLength(rest.slice(1));
+      addNote({ type: 'note', pitches: [], length: context.unitLength * multiplier }, context, items);
+      i += 1 + length;
+      continue;
+    }
+    if ((match = rest.match(/^[ZX](\d*)/))) {
+      const bars = match[1] ? parseInt(match[1]) : 1;
+      const meter = context.meter || { numerator: 4, denominator: 4 };
+      addNote({ type: 'note', pitches: [], length: bars * meter.numerator / meter.denominator }, context, items);
+      i += match[0].length;
+      continue;
+    }
+
+    // Tuplet: (3 or (p:q:r
+    if ((match = rest.match(/^\((\d)(?::(\d*))?(?::(\d*))?/))) {
+      const p = parseInt(match[1]);
+      const compound = context.meter && context.meter.numerator % 3 === 0 && context.meter.numerator > 3;
+      const q = match[2] ? parseInt(match[2]) : (TUPLET_DEFAULTS[p] || (compound ? 3 : 2));
+      const r = match[3] ? parseInt(match[3]) : p;
+      context.tuplet = { factor: q / p, remaining: r };
+      i += match[0].length;
+      continue;
+    }
+
+    // Broken rhythm: a>b is dotted-then-short, a<b the reverse
+    if ((match = rest.match(/^(>+|<+)/))) {
+      const short = 1 / Math.pow(2, match[1].length);
+      const long = 2 - short;
+      if (context.lastNote) {
+        context.lastNote.length *= match[1][0] === '>' ? long : short;
+        context.broken = match[1][0] === '>' ? short : long;
+      }
+      i += match[0].length;
+      continue;
+    }
+
+    // Skipped: chord symbols and annotations, decorations, grace notes
+    if ((match = rest.match(/^("[^"]*"|![^!]*!|\+[^+]*\+|\{[^}]*\})/))) {
+      i += match[0].length;
+      continue;
+    }
+
+    // Slurs, spacing, single-character decorations and anything else
+    i++;
+  }
+}
+
+/**
+ * Read ending numbers like '1', '1,3' or '1-2'
+ */
+function readEndingNumbers(text) {
+  const numbers = [];
+  text.split(',').forEach(part => {
+    const [from, to] = part.split('-').map(n => parseInt(n));
+    for (let n = from; n <= (to || from); n++) numbers.push(n);
+  });
+  return numbers;
+}
+
+/**
+ * Put the items in playing order, expanding repeats and first/second endings
+ */
+function expandRepeats(items) {
+  const played = [];
+  let repeatStart = 0;
+  let pass = 1;
+  let ending = null;
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    const skipping = ending && !ending.includes(pass);
+
+    if (item.type === 'ending') {
+      ending = item.numbers;
+      continue;
+    }
+
+    if (item.type !== 'bar') {
+      if (!skipping) played.push(item);
+      continue;
+    }
+
+    // The end of a skipped ending closes it without counting as a repeat
+    if (skipping) {
+      if (item.repeatEnd || item.double) ending = null;
+      continue;
+    }
+
+    played.push(item);
+
+    if (item.repeatEnd && pass === 1) {
+      // Go back for the second time through
+      pass = 2;
+      ending = null;
+      i = repeatStart - 1;
+      continue;
+    }
+
+    if (item.repeatEnd || item.repeatStart || item.double) {
+      pass = 1;
+      ending = null;
+      repeatStart = i + 1;
+    }
+  }
+
+  return played;
+}
+
+/**
+ * Split ABC text into header fields and body lines of its first tune
+ */
+function readTune(text) {
+  const header = [];
+  const body = [];
+  let inBody = false;
+  let tuneCount = 0;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/%.*$/, '').replace(/\\\s*$/, '').trimEnd();
+    if (!line.trim()) continue;
+
+    // In the body only known field letters start a field line, so 'G:|' stays music
+    const field = line.match(inBody ? /^([KLMQPTwWIVNRr+]):(.*)$/ : /^([A-Za-z+]):(.*)$/);
+    if (/^X:/.test(line) && ++tuneCount > 1) break;
+
+    if (!inBody) {
+      if (field) {
+        header.push({ name: field[1], value: field[2] });
+        if (field[1] === 'K') inBody = true;
+      }
+      continue;
+    }
+
+    // Lyrics and other text lines in the body are not played
+    if (field && /^[wWT+]$/.test(field[1])) continue;
+    body.push(field ? { name: field[1], value: field[2] } : line);
+  }
+
+  return { header, body };
+}
+
+/**
+ * Parse an ABC tune (the first one, if the text holds several)
+ * @param {string} text - ABC text
+ * @returns {Object} Parsed data with the same fields as parseMIDI, plus title and duration
+ */
+export function parseABC(text) {
+  const { header, body } = readTune(text || '');
+  if (!header.some(field => field.name === 'K')) {
+    throw new Error('Invalid ABC: no K: field found');
+  }
+
+  const context = {
+    key: parseKey(''),
+    meter: null,
+    unitLength: null,
+    barAccidentals: {},
+    tuplet: null,
+    broken: null,
+    lastNote: null,
+    inBody: false
+  };
+  const items = [];
+
+  // Header fields; the default unit length depends on the meter
+  const titles = header.filter(field => field.name === 'T').map(field => field.value.trim());
+  const meterField = header.find(field => field.name === 'M');
+  const meter = meterField ? parseMeter(meterField.value) : null;
+  context.unitLength = meter && meter.numerator / meter.denominator < 0.75 ? 1 / 16 : 1 / 8;
+  header.forEach(({ name, value }) => applyField(name, value, context, items));
+  context.inBody = true;
+
+  body.forEach(line => {
+    if (typeof line === 'string') {
+      readBodyLine(line, context, items);
+    } else {
+      applyField(line.name, line.value, context, items);
+    }
+  });
+
+  // Lay the played items out in ticks, merging tied notes
+  const tempos = [];
+  const timeSignatures = [];
+  const keySignatures = [];
+  const markers = [];
+  const measureTicks = [0];
+  const notes = [];
+  const ties = new Map(); // midiNote -> note waiting for its tie to end
+  let position = 0;
+
+  expandRepeats(items).forEach(item => {
+    const tick = Math.round(position);
+    switch (item.type) {
+      case 'tempo':
+        tempos.push({ tick, bpm: item.bpm });
+        break;
+      case 'meter':
+        timeSignatures.push({ tick, numerator: item.numerator, denominator: item.denominator });
+        break;
+      case 'key':
+        keySignatures.push({ tick, sharps: Math.max(-7, Math.min(7, item.sharps)), minor: item.minor });
+        break;
+      case 'part':
+        markers.push({ tick, text: `Part ${item.text}` });
+        break;
+      case 'bar':
+        if (tick > measureTicks[measureTicks.length - 1]) measureTicks.push(tick);
+        break;
+      case 'note': {
+        const ticks = item.length * WHOLE_NOTE_TICKS;
+        const measure = measureTicks.length;
+        item.pitches.forEach(({ midiNote, tie }) => {
+          const tiedFrom = ties.get(midiNote);
+          if (tiedFrom && Math.abs(tiedFrom.startTick + tiedFrom.durationTicks - position) < 1) {
+            tiedFrom.durationTicks = position + ticks - tiedFrom.startTick;
+            tiedFrom.tied = true;
+            if (!tie) ties.delete(midiNote);
+            return;
+          }
+
+          const note = { midiNote, startTick: position, durationTicks: ticks, measure, tied: false };
+          notes.push(note);
+          if (tie) {
+            ties.set(midiNote, note);
+          } else {
+            ties.delete(midiNote);
+          }
+        });
+        position += ticks;
+        break;
+      }
+    }
+  });
+
+  // Tempo map in the same form as a MIDI file's (microseconds per quarter)
+  const tempoMap = [];
+  tempos.forEach(({ tick, bpm }) => {
+    const tempo = Math.round(60000000 / bpm);
+    if (tempoMap.length > 0 && tempoMap[tempoMap.length - 1].tick === tick) {
+      tempoMap[tempoMap.length - 1].tempo = tempo;
+    } else {
+      tempoMap.push({ tick, tempo });
+    }
+  });
+  if (tempoMap.length === 0 || tempoMap[0].tick !== 0) {
+    tempoMap.unshift({ tick: 0, tempo: DEFAULT_TEMPO });
+  }
+
+  const withTime = item => ({ ...item, time: ticksToMilliseconds(item.tick, DIVISION, tempoMap) });
+  const title = titles[0] || null;
+
+  const parsedNotes = notes.map((note, index) => {
+    const startTime = ticksToMilliseconds(note.startTick, DIVISION, tempoMap);
+    const endTime = ticksToMilliseconds(note.startTick + note.durationTicks, DIVISION, tempoMap);
+    return {
+      index,
+      type: 'note',
+      midiNote: note.midiNote,
+      noteName: midiNoteToName(note.midiNote),
+      startTime,
+      duration: Math.max(endTime - startTime, MIN_NOTE_DURATION),
+      velocity: DEFAULT_VELOCITY,
+      measure: note.measure,
+      tied: note.tied,
+      channel: 0,
+      track: 0,
+      trackName: title,
+      instrument: null,
+      program: 0
+    };
+  });
+
+  // A first bar shorter than the meter is a pickup, numbered 0
+  const signatures = timeSignatures.length > 0 ? timeSignatures : [{ tick: 0, numerator: 4, denominator: 4 }];
+  const firstBarTicks = signatures[0].numerator * WHOLE_NOTE_TICKS / signatures[0].denominator;
+  const pickup = measureTicks.length > 1 && measureTicks[1] < firstBarTicks ? 1 : 0;
+
+  let signatureIndex = 0;
+  const bars = measureTicks.map((tick, index) => {
+    while (signatureIndex < signatures.length - 1 && signatures[signatureIndex + 1].tick <= tick) {
+      signatureIndex++;
+    }
+    return {
+      number: index + 1 - pickup,
+      tick,
+      time: ticksToMilliseconds(tick, DIVISION, tempoMap),
+      numerator: signatures[signatureIndex].numerator,
+      denominator: signatures[signatureIndex].denominator
+    };
+  });
+  if (pickup) {
+    parsedNotes.forEach(note => { note.measure -= 1; });
+  }
+
+  return {
+    format: 'abc',
+    title,
+    trackCount: 1,
+    division: DIVISION,
+    tempoMap,
+    tracks: [{ index: 0, name: title, instrument: null }],
+    notes: parsedNotes,
+    duration: parsedNotes.reduce((max, n) => Math.max(max, n.startTime + n.duration), 0),
+    timeSignatures: timeSignatures.map(withTime),
+    keySignatures: keySignatures.map(withTime).map(k => ({ ...k, name: keySignatureName(k.sharps, k.minor) })),
+    markers: markers.map(withTime),
+    lyrics: [],
+    texts: [],
+    bars
+  };
+}
+
+/**
+ * Check if a file name is an ABC tune
+ */
+export function isABCFile(fileName) {
+  return /\.abc$/i.test(fileName || '');
+}
+
+/**
+ * Check if text looks like an ABC tune
+ */
+export function looksLikeABC(text) {
+  return /^K:/m.test(text || '') && /^[A-Za-z]:/m.test(text.trim());
+}
+
+/**
+ * Write a note name in ABC, with an accidental where the key and bar need one
+ */
+function formatPitch(midiNote, key, barAccidentals) {
+  const [letter, alter] = (key.sharps < 0 ? FLAT_SPELLING : SHARP_SPELLING)[midiNote % 12];
+  const octave = Math.floor(midiNote / 12) - 1;
+
+  const barKey = `${letter}${octave}`;
+  const current = barAccidentals[barKey] ?? key.accidentals[letter] ?? 0;
+  const accidental = alter !== current
+    ? Object.keys(ACCIDENTALS).find(text => ACCIDENTALS[text] === alter)
+    : '';
+  barAccidentals[barKey] = alter;
+
+  const name = octave >= 5
+    ? letter.toLowerCase() + "'".repeat(octave - 5)
+    : letter + ','.repeat(Math.max(0, 4 - octave));
+  return `${accidental}${name}`;
+}
+
+/**
+ * Write a length in sixteenth notes with L:1/8
+ */
+function formatLength(sixteenths) {
+  if (sixteenths % 2 === 0) {
+    return sixteenths === 2 ? '' : `${sixteenths / 2}`;
+  }
+  return sixteenths === 1 ? '/' : `${sixteenths}/2`;
+}
+
+/**
+ * Write notes as an ABC tune
+ * Times are quantized to sixteenth notes at one tempo; notes starting
+ * together become chords and overlapping notes are cut at the next start
+ * @param {Array} notes - Notes with { midiNote, startTime, duration } in ms
+ * @param {Object} options - { title, bpm, meter: { numerator, denominator }, key }
+ * @returns {string} ABC text
+ */
+export function writeABC(notes, options = {}) {
+  const {
+    title = 'Bansuri',
+    bpm = 120,
+    meter = { numerator: 4, denominator: 4 },
+    key: keyName = 'C'
+  } = options;
+
+  // Keep spelling simple: keys past six sharps or flats use their enharmonic
+  const key = parseKey(keyName);
+  if (key.sharps > 6 || key.sharps < -6) {
+    const name = keySignatureName(key.sharps > 0 ? key.sharps - 12 : key.sharps + 12, key.minor);
+    Object.assign(key, parseKey(name));
+  }
+
+  // Group notes into events on a sixteenth-note grid
+  const sixteenth = 60000 / bpm / 4;
+  const starts = new Map();
+  (notes || []).forEach(note => {
+    const start = Math.round(note.startTime / sixteenth);
+    const end = Math.max(start + 1, Math.round((note.startTime + note.duration) / sixteenth));
+    const event = starts.get(start) || { start, end, pitches: [] };
+    event.end = Math.max(event.end, end);
+    if (!event.pitches.includes(note.midiNote)) event.pitches.push(note.midiNote);
+    starts.set(start, event);
+  });
+
+  const events = [...starts.values()].sort((a, b) => a.start - b.start);
+  const timeline = [];
+  let position = 0;
+  events.forEach((event, index) => {
+    if (event.start > position) {
+      timeline.push({ start: position, length: event.start - position, pitches: null });
+    }
+    const next = events[index + 1];
+    const end = next ? Math.min(event.end, next.start) : event.end;
+    timeline.push({ start: event.start, length: end - event.start, pitches: event.pitches.sort((a, b) => a - b) });
+    position = end;
+  });
+
+  // Split events at bar lines, tying notes that cross them
+  const barLength = Math.max(1, Math.round(meter.numerator * 16 / meter.denominator));
+  const bars = [];
+  timeline.forEach(({ start, length, pitches }) => {
+    let offset = start;
+    let remaining = length;
+    while (remaining > 0) {
+      const barIndex = Math.floor(offset / barLength);
+      const piece = Math.min(remaining, (barIndex + 1) * barLength - offset);
+      if (!bars[barIndex]) bars[barIndex] = [];
+      bars[barIndex].push({ length: piece, pitches, tie: pitches && piece < remaining });
+      offset += piece;
+      remaining -= piece;
+    }
+  });
+
+  const barTexts = [];
+  for (let i = 0; i < bars.length; i++) {
+    const barAccidentals = {};
+    const tokens = (bars[i] || [{ length: barLength, pitches: null }]).map(({ length, pitches, tie }) => {
+      const lengthText = formatLength(length);
+      if (!pitches) return `z${lengthText}`;
+      const names = pitches.map(midiNote => formatPitch(midiNote, key, barAccidentals));
+      const note = names.length > 1 ? `[${names.join('')}]` : names[0];
+      return `${note}${lengthText}${tie ? '-' : ''}`;
+    });
+    barTexts.push(tokens.join(' '));
+  }
+
+  // Four bars per line
+  const lines = [];
+  for (let i = 0; i < barTexts.length; i += 4) {
+    const last = i + 4 >= barTexts.length;
+    lines.push(`${barTexts.slice(i, i + 4).join(' | ')} ${last ? '|]' : '|'}`);
+  }
+
+  return [
+    'X:1',
+    `T:${title}`,
+    `M:${meter.numerator}/${meter.denominator}`,
+    'L:1/8',
+    `Q:1/4=${Math.round(bpm)}`,
+    `K:${keySignatureName(key.sharps, key.minor)}`,
+    ...lines
+  ].join('\n') + '\n';
+}
+
+/**
+ * Offer ABC text for download
+ * @param {string} text - ABC text from writeABC
+ * @param {string} fileName - Download file name
+ */
+export function downloadABC(text, fileName = 'bansuri.abc') {
+  downloadFile(text, fileName, 'text/vnd.abc', '.abc');
+}
+
+/**
+ * Create ABC export button
+ * @param {HTMLElement} container - Parent container element
+ * @param {Function} getExport - Returns { notes, options, fileName } or null when there is nothing to export
+ * @returns {object} Controller with setEnabled() method
+ */
+export function createABCExportButton(container, getExport) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'midi-export abc-export';
+
+  const button = document.createElement('button');
+  button.className = 'midi-export-btn';
+  button.textContent = 'Export ABC';
+
+  button.addEventListener('click', () => {
+    const exported = getExport();
+    if (!exported || exported.notes.length === 0) return;
+    downloadABC(writeABC(exported.notes, exported.options), exported.fileName);
+  });
+
+  wrapper.appendChild(button);
+  container.appendChild(wrapper);
+
+  return {
+    element: wrapper,
+    setEnabled(enabled) {
+      button.disabled = !enabled;
+    }
+  };
+}
@@ -1,12 +1,15 @@
 /**
  * Bansuri.js - Audio Engine (Tone.js)
  * Uses Tone.js to generate flute-like tones with envelope
+ * Plays through the flute voice or a plain synth with a basic waveform
  */
 
 import { midiToFrequency } from './fingering-data.js';
+import { FLUTE_PRESETS, DEFAULT_FLUTE_PRESET, createFluteVoice } from './flute-voice.js';
 
-// Tone.js synth and volume control
+// Tone.js voices and volume control
 let synth = null;
+let fluteVoice = null;
 let volume = null;
 let isInitialized = false;
 
@@ -16,9 +19,13 @@ let currentNote = null;
 // Default settings
 const DEFAULT_SETTINGS = {
   volumeLevel: 0.7,  // 0.0 to 1.0
-  waveform: 'sine',  // Using sine for pure, flute-like tone
+  waveform: 'flute', // Flute voice, or a basic waveform for the plain synth
+  flutePreset: DEFAULT_FLUTE_PRESET
 };
 
+// Basic waveforms of the plain synth
+const WAVEFORM_TYPES = ['sine', 'triangle', 'sawtooth', 'square'];
+
 let settings = { ...DEFAULT_SETTINGS };
 
 // Flute-like envelope settings
@@ -44,11 +51,14 @@ function initAudio() {
     // Create synth with flute-like envelope
     synth = new Tone.Synth({
       oscillator: {
-        type: settings.waveform
+        type: settings.waveform === 'flute' ? 'sine' : settings.waveform
       },
       envelope: FLUTE_ENVELOPE
     }).connect(volume);
 
+    // Flute voice with breath noise and chiff
+    fluteVoice = createFluteVoice(volume, settings.flutePreset);
+
     // Set initial volume
     setVolume(settings.volumeLevel);
 
@@ -60,6 +70,14 @@ function initAudio() {
   }
 }
 
+/**
+ * Get the voice that plays notes for the current waveform
+ * @returns {object} The flute voice or the plain synth
+ */
+function getActiveVoice() {
+  return settings.waveform === 'flute' ? fluteVoice : synth;
+}
+
 /**
  * Ensure audio context is started (required by browsers)
  */
@@ -84,12 +102,13 @@ function playFrequency(frequency, duration = 0) {
   // Stop any currently playing note
   stopNote();
 
+  const voice = getActiveVoice();
   if (duration > 0) {
     // Play with specific duration
-    synth.triggerAttackRelease(frequency, duration);
+    voice.triggerAttackRelease(frequency, duration);
   } else {
     // Sustained note (until stopNote is called)
-    synth.triggerAttack(frequency);
+    voice.triggerAttack(frequency);
     currentNote = frequency;
   }
 }
@@ -118,7 +137,7 @@ function playTap(midiNote) {
 function stopNote() {
   if (currentNote !== null) {
     try {
-      synth.triggerRelease();
+      getActiveVoice().triggerRelease();
       currentNote = null;
     } catch (e) {
       // Note may already be released
@@ -126,6 +145,16 @@ function stopNote() {
   }
 }
 
+/**
+ * Convert a volume level to decibels (-40 to 0 dB)
+ * Using a logarithmic scale for natural volume perception
+ * @param {number} level - Volume level 0.0 to 1.0
+ * @returns {number} Decibels, -Infinity for silence
+ */
+function levelToDecibels(level) {
+  return level === 0 ? -Infinity : -40 + (level * 40);
+}
+
 /**
  * Set the master volume
  * @param {number} level - Volume level 0.0 to 1.0
@@ -134,12 +163,7 @@ function setVolume(level) {
   settings.volumeLevel = Math.max(0, Math.min(1, level));
 
   if (volume) {
-    // Convert 0-1 to decibels (-40 to 0 dB)
-    // Using a logarithmic scale for natural volume perception
-    const dbValue = settings.volumeLevel === 0
-      ? -Infinity
-      : -40 + (settings.volumeLevel * 40);
-    volume.volume.value = dbValue;
+    volume.volume.value = levelToDecibels(settings.volumeLevel);
   }
 }
 
@@ -153,15 +177,16 @@ function getVolume() {
 
 /**
  * Set the waveform type
- * @param {string} type - 'sine', 'triangle', 'sawtooth', 'square'
+ * @param {string} type - 'flute', 'sine', 'triangle', 'sawtooth', 'square'
  */
 function setWaveform(type) {
-  const validTypes = ['sine', 'triangle', 'sawtooth', 'square'];
-  if (validTypes.includes(type)) {
+  if (getWaveformTypes().includes(type)) {
+    // A held note belongs to the old voice, so release it first
+    stopNote();
     settings.waveform = type;
 
     // Update synth if already initialized
-    if (synth) {
+    if (synth && type !== 'flute') {
       synth.oscillator.type = type;
     }
   }
@@ -176,23 +201,56 @@ function getWaveform() {
 }
 
 /**
- * Set envelope parameters
+ * Set the flute voice preset
+ * @param {string} presetId - Key of FLUTE_PRESETS
+ * @returns {boolean} True if the preset exists
+ */
+function setFlutePreset(presetId) {
+  if (!FLUTE_PRESETS[presetId]) return false;
+  settings.flutePreset = presetId;
+
+  if (fluteVoice) {
+    fluteVoice.setPreset(presetId);
+  }
+  return true;
+}
+
+/**
+ * Get current flute voice preset
+ * @returns {string} Preset id
+ */
+function getFlutePreset() {
+  return settings.flutePreset;
+}
+
+/**
+ * Get available flute voice presets
+ * @returns {Array} Presets as { id, name }
+ */
+function getFlutePresets() {
+  return Object.values(FLUTE_PRESETS).map(({ id, name }) => ({ id, name }));
+}
+
+/**
+ * Set envelope parameters of the current voice
  * @param {object} params - { attack, decay, sustain, release }
  */
 function setEnvelope(params) {
-  if (!synth) return;
+  const voice = getActiveVoice();
+  if (!voice) return;
+  const envelope = voice.envelope;
 
   if (params.attack !== undefined) {
-    synth.envelope.attack = Math.max(0.001, params.attack);
+    envelope.attack = Math.max(0.001, params.attack);
   }
   if (params.decay !== undefined) {
-    synth.envelope.decay = Math.max(0.001, params.decay);
+    envelope.decay = Math.max(0.001, params.decay);
   }
   if (params.sustain !== undefined) {
-    synth.envelope.sustain = Math.max(0, Math.min(1, params.sustain));
+    envelope.sustain = Math.max(0, Math.min(1, params.sustain));
   }
   if (params.release !== undefined) {
-    synth.envelope.release = Math.max(0.001, params.release);
+    envelope.release = Math.max(0.001, params.release);
   }
 }
 
@@ -224,7 +282,34 @@ function isPlaying() {
  * @returns {string[]}
  */
 function getWaveformTypes() {
-  return ['sine', 'triangle', 'sawtooth', 'square'];
+  return ['flute', ...WAVEFORM_TYPES];
+}
+
+/**
+ * Get the voice settings for saving with preferences
+ * @returns {object} { waveform, flutePreset }
+ */
+function getVoiceSettings() {
+  return {
+    waveform: settings.waveform,
+    flutePreset: settings.flutePreset
+  };
+}
+
+/**
+ * Restore voice settings saved with preferences
+ * @param {object} saved - { waveform, flutePreset }
+ */
+function applyVoiceSettings(saved) {
+  if (!saved || typeof saved !== 'object') return;
+
+  if (saved.flutePreset) {
+    setFlutePreset(saved.flutePreset);
+  }
+
+  if (saved.waveform) {
+    setWaveform(saved.waveform);
+  }
 }
 
 /**
@@ -252,13 +337,19 @@ export {
   playMidi,
   playTap,
   stopNote,
+  levelToDecibels,
   setVolume,
   getVolume,
   setWaveform,
   getWaveform,
+  setFlutePreset,
+  getFlutePreset,
+  getFlutePresets,
   setEnvelope,
   isAudioReady,
   isPlaying,
   getWaveformTypes,
+  getVoiceSettings,
+  applyVoiceSettings,
   playScale
 };
@@ -1,14 +1,17 @@
 /**
  * Bansuri.js - SVG Flute Rendering Component
- * Creates an interactive SVG visualization of a 6-hole bansuri
+ * Creates an interactive SVG visualization of a 6-hole or 7-hole bansuri
  * Supports both vertical and horizontal orientations
  */
 
-import { OPEN, CLOSED, HALF, OCTAVES } from './fingering-data.js';
+import { OPEN, CLOSED, HALF, OCTAVES, getFingeringOptions, selectAlternate, getInstrumentProfile, quantizeCoverage } from './fingering-data.js';
 
 // SVG namespace
 const SVG_NS = 'http://www.w3.org/2000/svg';
 
+// Counter for unique clip-path ids across rendered flutes
+let holeClipCount = 0;
+
 // Default dimensions (vertical orientation)
 const DEFAULT_CONFIG = {
   width: 120,
@@ -16,11 +19,11 @@ const DEFAULT_CONFIG = {
   tubeColor: '#8B4513',      // Saddle brown (bamboo-like)
   tubeHighlight: '#DEB887',  // Burlywood
   holeRadius: 22,
-  holeSpacing: 60,
   holeFillClosed: '#2C1810', // Dark brown (finger covering hole)
   holeFillOpen: '#1a1a1a',   // Dark interior
   holeFillHalf: 'url(#halfHoleGradient)',
   holeStroke: '#5D3A1A',
+  coverFrom: 'left',         // Partial coverage fills from this side of the hole
   blowHoleRadius: 14,
   animationDuration: 150     // ms
 };
@@ -32,11 +35,11 @@ const HORIZONTAL_CONFIG = {
   tubeColor: '#8B4513',
   tubeHighlight: '#DEB887',
   holeRadius: 22,
-  holeSpacing: 100,
   holeFillClosed: '#2C1810',
   holeFillOpen: '#1a1a1a',
   holeFillHalf: 'url(#halfHoleGradientH)',
   holeStroke: '#5D3A1A',
+  coverFrom: 'top',
   blowHoleRadius: 16,
   animationDuration: 150
 };
@@ -44,11 +47,12 @@ const HORIZONTAL_CONFIG = {
 /**
  * Create the main bansuri SVG element (vertical orientation)
  * @param {HTMLElement} container - Container element to append SVG to
- * @param {object} config - Configuration options
+ * @param {object} config - Configuration options (config.profile defaults to the active instrument profile)
  * @returns {object} Bansuri controller object
  */
 function createBansuri(container, config = {}) {
   const cfg = { ...DEFAULT_CONFIG, ...config };
+  const profile = cfg.profile || getInstrumentProfile();
 
   // Create SVG element
   const svg = document.createElementNS(SVG_NS, 'svg');
@@ -95,26 +99,29 @@ function createBansuri(container, config = {}) {
   const blowhole = createBlowhole(cfg);
   svg.appendChild(blowhole);
 
-  // Draw 6 finger holes (vertical arrangement)
+  // Draw finger holes (vertical arrangement, one per profile hole)
   const holes = [];
-  const startY = 140; // Start position for first hole from top
+  const holePositions = profile.holePositions.vertical;
   const centerX = cfg.width / 2;
 
-  for (let i = 0; i < 6; i++) {
-    const y = startY + i * cfg.holeSpacing;
+  holePositions.forEach((y, i) => {
     const hole = createHole(centerX, y, cfg.holeRadius, i + 1, cfg);
     holes.push(hole);
     svg.appendChild(hole.group);
-  }
+  });
 
   // Create octave indicator (at bottom)
   const octaveIndicator = createOctaveIndicator(cfg);
   svg.appendChild(octaveIndicator.group);
 
   // Create finger labels (on the right side)
-  const fingerLabels = createFingerLabels(startY, cfg);
+  const fingerLabels = createFingerLabels(holePositions, profile.holeLabels, cfg);
   svg.appendChild(fingerLabels);
 
+  // Create alternate fingering indicator (above the blowhole)
+  const alternateIndicator = createAlternateIndicator(cfg.width / 2, 12, () => controller.cycleAlternate());
+  svg.appendChild(alternateIndicator.group);
+
   // Append to container
   container.appendChild(svg);
 
@@ -125,6 +132,7 @@ function createBansuri(container, config = {}) {
   const controller = {
     svg,
     holes,
+    profile,
     octaveIndicator,
 
     /**
@@ -133,6 +141,7 @@ function createBansuri(container, config = {}) {
      */
     setFingering(fingering) {
       currentFingering = fingering;
+      alternateIndicator.update(fingering);
 
       if (!fingering) {
         // Clear all holes
@@ -142,9 +151,7 @@ function createBansuri(container, config = {}) {
       }
 
       // Set each hole state
-      fingering.holes.forEach((state, index) => {
-        setHoleState(holes[index], state, cfg);
-      });
+      applyHoleStates(holes, fingering.holes, cfg);
 
       // Set octave indicator
       const octaveText = getOctaveDisplayText(fingering.octave);
@@ -159,13 +166,27 @@ function createBansuri(container, config = {}) {
       return currentFingering;
     },
 
+    /**
+     * Switch to the next ranked fingering for the current note
+     * @returns {object|null} The fingering now shown
+     */
+    cycleAlternate() {
+      if (!currentFingering) return null;
+      const next = selectAlternate(currentFingering, currentFingering.fingeringIndex + 1);
+      this.setFingering(next);
+      if (cfg.onAlternateChange) {
+        cfg.onAlternateChange(next);
+      }
+      return next;
+    },
+
     /**
      * Highlight a specific hole (for teaching)
-     * @param {number} holeIndex - 0-5
+     * @param {number} holeIndex - 0 to holeCount - 1
      * @param {boolean} highlight - Whether to highlight
      */
     highlightHole(holeIndex, highlight) {
-      if (holeIndex >= 0 && holeIndex < 6) {
+      if (holeIndex >= 0 && holeIndex < holes.length) {
         const hole = holes[holeIndex];
         if (highlight) {
           hole.circle.classList.add('highlighted');
@@ -268,25 +289,81 @@ function createHole(x, y, radius, number, cfg) {
 
   group.appendChild(circle);
 
-  return { group, circle, x, y, radius, number };
+  // Finger cover for partial coverage, clipped to the hole
+  const clipId = `hole-clip-${++holeClipCount}`;
+  const clipPath = document.createElementNS(SVG_NS, 'clipPath');
+  clipPath.setAttribute('id', clipId);
+  const clipCircle = document.createElementNS(SVG_NS, 'circle');
+  clipCircle.setAttribute('cx', x);
+  clipCircle.setAttribute('cy', y);
+  clipCircle.setAttribute('r', radius);
+  clipPath.appendChild(clipCircle);
+  group.appendChild(clipPath);
+
+  const cover = document.createElementNS(SVG_NS, 'rect');
+  cover.setAttribute('x', x - radius);
+  cover.setAttribute('y', y - radius);
+  cover.setAttribute('width', 0);
+  cover.setAttribute('height', 0);
+  cover.setAttribute('clip-path', `url(#${clipId})`);
+  cover.classList.add('hole-cover');
+  group.appendChild(cover);
+
+  return { group, circle, cover, x, y, radius, number };
 }
 
 /**
- * Set the state of a hole (open, closed, half)
+ * Apply a fingering's hole states to the rendered holes
+ * Holes the fingering does not describe (e.g. R4 for a 6-hole pattern) are left open
+ */
+function applyHoleStates(holes, states, cfg) {
+  holes.forEach((hole, index) => {
+    const state = index < states.length ? states[index] : OPEN;
+    setHoleState(hole, state, cfg);
+  });
+}
+
+/**
+ * Set the state of a hole (open, closed, half, or a fraction of coverage)
+ * Fractions other than half draw a finger cover proportional to the coverage
  */
 function setHoleState(hole, state, cfg) {
   const circle = hole.circle;
+  const coverage = quantizeCoverage(state);
 
   // Remove existing state classes
-  circle.classList.remove('hole-open', 'hole-closed', 'hole-half');
+  circle.classList.remove('hole-open', 'hole-closed', 'hole-half', 'hole-partial');
+  hole.group.setAttribute('data-coverage', coverage);
 
   // Add appropriate state class (CSS handles fill colors via variables)
-  if (state === CLOSED) {
+  if (coverage === CLOSED) {
     circle.classList.add('hole-closed');
-  } else if (state === HALF) {
+  } else if (coverage === HALF) {
     circle.classList.add('hole-half');
-  } else {
+  } else if (coverage === OPEN) {
     circle.classList.add('hole-open');
+  } else {
+    circle.classList.add('hole-partial');
+  }
+
+  setHoleCover(hole, coverage === HALF ? OPEN : coverage, cfg);
+}
+
+/**
+ * Size a hole's finger cover; it grows from cfg.coverFrom across the hole
+ */
+function setHoleCover(hole, coverage, cfg) {
+  if (!hole.cover) return;
+
+  const diameter = hole.radius * 2;
+  const covered = coverage > OPEN && coverage < CLOSED ? diameter * coverage : 0;
+
+  if (cfg.coverFrom === 'top') {
+    hole.cover.setAttribute('width', diameter);
+    hole.cover.setAttribute('height', covered);
+  } else {
+    hole.cover.setAttribute('width', covered);
+    hole.cover.setAttribute('height', diameter);
   }
 }
 
@@ -360,16 +437,17 @@ function createOctaveIndicator(cfg) {
 
 /**
  * Create finger position labels (on the right side)
+ * @param {Array<number>} positions - Y position of each hole
+ * @param {Array<string>} labels - Finger label for each hole (from the instrument profile)
  */
-function createFingerLabels(startY, cfg) {
+function createFingerLabels(positions, labels, cfg) {
   const group = document.createElementNS(SVG_NS, 'g');
   group.setAttribute('class', 'finger-labels');
 
-  const labels = ['L1', 'L2', 'L3', 'R1', 'R2', 'R3']; // Left/Right hand fingers
   const x = cfg.width - 12;
 
   labels.forEach((label, i) => {
-    const y = startY + i * cfg.holeSpacing;
+    const y = positions[i];
     const text = document.createElementNS(SVG_NS, 'text');
     text.setAttribute('x', x);
     text.setAttribute('y', y + 4);
@@ -384,6 +462,49 @@ function createFingerLabels(startY, cfg) {
   return group;
 }
 
+/**
+ * Create the alternate fingering indicator
+ * Shows the current fingering name and cycles through alternates on click
+ */
+function createAlternateIndicator(x, y, onCycle) {
+  const group = document.createElementNS(SVG_NS, 'g');
+  group.setAttribute('class', 'alternate-indicator');
+  group.style.display = 'none';
+
+  const text = document.createElementNS(SVG_NS, 'text');
+  text.setAttribute('x', x);
+  text.setAttribute('y', y);
+  text.setAttribute('text-anchor', 'middle');
+  text.setAttribute('font-size', '10');
+  text.setAttribute('font-family', 'Arial, sans-serif');
+  text.setAttribute('fill', '#888');
+  group.appendChild(text);
+
+  // Tooltip with the fingering note
+  const title = document.createElementNS(SVG_NS, 'title');
+  group.appendChild(title);
+
+  group.addEventListener('click', (e) => {
+    e.stopPropagation();
+    onCycle();
+  });
+
+  return {
+    group,
+    update(fingering) {
+      const options = getFingeringOptions(fingering);
+      if (options.length < 2) {
+        group.style.display = 'none';
+        return;
+      }
+      const index = fingering.fingeringIndex || 0;
+      text.textContent = `⟳ ${fingering.fingeringName} (${index + 1}/${options.length})`;
+      title.textContent = `${fingering.fingeringNote || ''}\nClick for the next fingering`;
+      group.style.display = '';
+    }
+  };
+}
+
 /**
  * Create a linear gradient
  */
@@ -452,11 +573,12 @@ function getOctaveDisplayText(octave) {
 /**
  * Create horizontal bansuri SVG element
  * @param {HTMLElement} container - Container element to append SVG to
- * @param {object} config - Configuration options
+ * @param {object} config - Configuration options (config.profile defaults to the active instrument profile)
  * @returns {object} Bansuri controller object
  */
 function createHorizontalBansuri(container, config = {}) {
   const cfg = { ...HORIZONTAL_CONFIG, ...config };
+  const profile = cfg.profile || getInstrumentProfile();
 
   // Create SVG element
   const svg = document.createElementNS(SVG_NS, 'svg');
@@ -502,32 +624,25 @@ function createHorizontalBansuri(container, config = {}) {
   const blowhole = createHorizontalBlowhole(cfg);
   svg.appendChild(blowhole);
 
-  // Draw 6 finger holes (horizontal arrangement)
-  // R3-R2 gap is 1.5x normal spacing
+  // Draw finger holes (horizontal arrangement, positions from the profile)
   const holes = [];
-  const startX = 250; // Start position for first hole from left (moved right)
   const centerY = cfg.height / 2;
-  const holePositions = [];
-
-  for (let i = 0; i < 6; i++) {
-    // Add extra spacing between R2 (index 4) and R3 (index 5)
-    let x;
-    if (i <= 4) {
-      x = startX + i * cfg.holeSpacing;
-    } else {
-      // R3 gets 1.5x spacing from R2
-      x = startX + 4 * cfg.holeSpacing + cfg.holeSpacing * 1.5;
-    }
-    holePositions.push(x);
+  const holePositions = profile.holePositions.horizontal;
+
+  holePositions.forEach((x, i) => {
     const hole = createHole(x, centerY, cfg.holeRadius, i + 1, cfg);
     holes.push(hole);
     svg.appendChild(hole.group);
-  }
+  });
 
   // Create finger labels (below holes)
-  const fingerLabels = createHorizontalFingerLabelsWithPositions(holePositions, cfg);
+  const fingerLabels = createHorizontalFingerLabelsWithPositions(holePositions, profile.holeLabels, cfg);
   svg.appendChild(fingerLabels);
 
+  // Create alternate fingering indicator (above the blowhole)
+  const alternateIndicator = createAlternateIndicator(60, 14, () => controller.cycleAlternate());
+  svg.appendChild(alternateIndicator.group);
+
   // Append to container
   container.appendChild(svg);
 
@@ -538,26 +653,36 @@ function createHorizontalBansuri(container, config = {}) {
   const controller = {
     svg,
     holes,
+    profile,
 
     setFingering(fingering) {
       currentFingering = fingering;
+      alternateIndicator.update(fingering);
 
       if (!fingering) {
         holes.forEach(hole => setHoleState(hole, OPEN, cfg));
         return;
       }
 
-      fingering.holes.forEach((state, index) => {
-        setHoleState(holes[index], state, cfg);
-      });
+      applyHoleStates(holes, fingering.holes, cfg);
     },
 
     getFingering() {
       return currentFingering;
     },
 
+    cycleAlternate() {
+      if (!currentFingering) return null;
+      const next = selectAlternate(currentFingering, currentFingering.fingeringIndex + 1);
+      this.setFingering(next);
+      if (cfg.onAlternateChange) {
+        cfg.onAlternateChange(next);
+      }
+      return next;
+    },
+
     highlightHole(holeIndex, highlight) {
-      if (holeIndex >= 0 && holeIndex < 6) {
+      if (holeIndex >= 0 && holeIndex < holes.length) {
         const hole = holes[holeIndex];
         if (highlight) {
           hole.circle.classList.add('highlighted');
@@ -705,40 +830,13 @@ function createHorizontalOctaveIndicator(cfg) {
   };
 }
 
-/**
- * Create finger position labels (below holes for horizontal)
- */
-function createHorizontalFingerLabels(startX, cfg) {
-  const group = document.createElementNS(SVG_NS, 'g');
-  group.setAttribute('class', 'finger-labels');
-
-  const labels = ['L1', 'L2', 'L3', 'R1', 'R2', 'R3'];
-  const y = cfg.height / 2 + cfg.holeRadius + 16;
-
-  labels.forEach((label, i) => {
-    const x = startX + i * cfg.holeSpacing;
-    const text = document.createElementNS(SVG_NS, 'text');
-    text.setAttribute('x', x);
-    text.setAttribute('y', y);
-    text.setAttribute('text-anchor', 'middle');
-    text.setAttribute('font-size', '11');
-    text.setAttribute('font-family', 'Arial, sans-serif');
-    text.setAttribute('fill', '#888');
-    text.textContent = label;
-    group.appendChild(text);
-  });
-
-  return group;
-}
-
 /**
  * Create finger position labels using explicit positions (for irregular spacing)
  */
-function createHorizontalFingerLabelsWithPositions(positions, cfg) {
+function createHorizontalFingerLabelsWithPositions(positions, labels, cfg) {
   const group = document.createElementNS(SVG_NS, 'g');
   group.setAttribute('class', 'finger-labels');
 
-  const labels = ['L1', 'L2', 'L3', 'R1', 'R2', 'R3'];
   const y = cfg.height / 2 + cfg.holeRadius + 16;
 
   labels.forEach((label, i) => {
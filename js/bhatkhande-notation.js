@@ -0,0 +1,344 @@
+/**
+ * Bansuri.js - Bhatkhande Notation
+ * Lays out patterns and melodies as sargam notation in Bhatkhande style:
+ * one taal cycle (avartan) per line, divided into vibhags, with octave dots,
+ * komal underlines, tivra marks and the current note following playback
+ */
+
+import { getSaMidi } from './fingering-data.js';
+
+// Taals for grouping beats: vibhag lengths and the sign written under each vibhag
+// (X is sam, 0 is khali, numbers are talis)
+const TAALS = {
+  teentaal: { id: 'teentaal', name: 'Teentaal', beats: 16, vibhags: [4, 4, 4, 4], marks: ['X', '2', '0', '3'] },
+  ektaal: { id: 'ektaal', name: 'Ektaal', beats: 12, vibhags: [2, 2, 2, 2, 2, 2], marks: ['X', '0', '2', '0', '3', '4'] },
+  jhaptaal: { id: 'jhaptaal', name: 'Jhaptaal', beats: 10, vibhags: [2, 3, 2, 3], marks: ['X', '2', '0', '3'] },
+  keherwa: { id: 'keherwa', name: 'Keherwa', beats: 8, vibhags: [4, 4], marks: ['X', '0'] },
+  rupak: { id: 'rupak', name: 'Rupak', beats: 7, vibhags: [3, 2, 2], marks: ['0', '1', '2'] },
+  dadra: { id: 'dadra', name: 'Dadra', beats: 6, vibhags: [3, 3], marks: ['X', '0'] }
+};
+
+const DEFAULT_TAAL = 'teentaal';
+
+// Swara names by semitone from Sa; komal and tivra are shown with marks, not names
+const SWARA_NAMES = {
+  latin: ['S', 'R', 'R', 'G', 'G', 'M', 'M', 'P', 'D', 'D', 'N', 'N'],
+  devanagari: ['सा', 'रे', 'रे', 'ग', 'ग', 'म', 'म', 'प', 'ध', 'ध', 'नि', 'नि']
+};
+const KOMAL_SEMITONES = [1, 3, 8, 10];
+const TIVRA_SEMITONE = 6;
+
+// Avagraha: the note before carries on through this beat or part of a beat
+const SUSTAIN_MARK = 'ऽ';
+
+// Finest division of a beat; melody notes are moved to the nearest quarter beat
+const MAX_SUBDIVISION = 8;
+const MELODY_GRID = 4;
+
+/**
+ * Turn pattern notes into timed events
+ * @param {Array} notes - Notes as { semitone, beats }
+ * @returns {Array} Events as { index, semitone, start, beats } with times in beats
+ */
+function patternToEvents(notes) {
+  let position = 0;
+  return (notes || []).map((note, index) => {
+    const event = { index, semitone: note.semitone, start: position, beats: note.beats };
+    position += note.beats;
+    return event;
+  });
+}
+
+/**
+ * Turn timed melody notes into events, quantized to quarter beats
+ * @param {Array} notes - Notes as { midiNote, startTime, duration }
+ * @param {number} saMidi - MIDI note of the flute's Sa
+ * @param {number} msPerBeat - Length of one beat in milliseconds
+ * @returns {Array} Events as { index, semitone, start, beats } with times in beats
+ */
+function melodyToEvents(notes, saMidi, msPerBeat) {
+  const quantize = value => Math.round(value * MELODY_GRID) / MELODY_GRID;
+  return (notes || []).map((note, index) => {
+    const start = quantize(note.startTime / msPerBeat);
+    return {
+      index,
+      // Madhya Sa is 12 semitones above the flute's Sa, as in the practice patterns
+      semitone: note.midiNote - saMidi - 12,
+      start,
+      beats: Math.max(1 / MELODY_GRID, quantize((note.startTime + note.duration) / msPerBeat) - start)
+    };
+  });
+}
+
+/**
+ * Find the smallest beat division that puts every start on the grid
+ */
+function findSubdivision(offsets) {
+  for (let n = 1; n <= MAX_SUBDIVISION; n++) {
+    if (offsets.every(offset => Math.abs(offset * n - Math.round(offset * n)) < 0.01)) return n;
+  }
+  return MAX_SUBDIVISION;
+}
+
+/**
+ * Create one swara with its komal, tivra and octave marks
+ */
+function createSwara(semitone, script) {
+  const octave = Math.floor(semitone / 12);
+  const pitchClass = ((semitone % 12) + 12) % 12;
+
+  const swara = document.createElement('span');
+  swara.className = 'notation-swara';
+  swara.textContent = SWARA_NAMES[script][pitchClass];
+  if (KOMAL_SEMITONES.includes(pitchClass)) swara.classList.add('komal');
+  if (pitchClass === TIVRA_SEMITONE) swara.classList.add('tivra');
+
+  // Dots below for mandra, above for taar
+  if (octave !== 0) {
+    const dots = document.createElement('span');
+    dots.className = octave < 0 ? 'notation-dots below' : 'notation-dots above';
+    dots.textContent = '•'.repeat(Math.abs(octave));
+    swara.appendChild(dots);
+  }
+
+  return swara;
+}
+
+/**
+ * Create the Bhatkhande notation view
+ * @param {HTMLElement} container - Parent container element
+ * @param {object} options - { taal, script, onTaalChange }
+ * @returns {object} Controller with setPattern(), setMelody(), setCurrentIndex(), clearCurrent() and setTaal() methods
+ */
+function createNotationView(container, options = {}) {
+  const { onTaalChange } = options;
+  let taal = TAALS[options.taal] || TAALS[DEFAULT_TAAL];
+  let script = options.script === 'devanagari' ? 'devanagari' : 'latin';
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'notation-view';
+  wrapper.style.display = 'none'; // Hidden until notes are set
+
+  const header = document.createElement('div');
+  header.className = 'notation-header';
+
+  const title = document.createElement('div');
+  title.className = 'notation-title';
+
+  const taalSelect = document.createElement('select');
+  taalSelect.className = 'notation-taal';
+  Object.values(TAALS).forEach(t => {
+    const option = document.createElement('option');
+    option.value = t.id;
+    option.textContent = `${t.name} (${t.beats})`;
+    taalSelect.appendChild(option);
+  });
+  taalSelect.value = taal.id;
+
+  const scriptSelect = document.createElement('select');
+  scriptSelect.className = 'notation-script';
+  [{ value: 'latin', text: 'S R G' }, { value: 'devanagari', text: 'सा रे ग' }].forEach(({ value, text }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    scriptSelect.appendChild(option);
+  });
+  scriptSelect.value = script;
+
+  const printButton = document.createElement('button');
+  printButton.className = 'midi-export-btn notation-print';
+  printButton.textContent = 'Print';
+
+  header.appendChild(title);
+  header.appendChild(taalSelect);
+  header.appendChild(scriptSelect);
+  header.appendChild(printButton);
+
+  const body = document.createElement('div');
+  body.className = 'notation-body';
+
+  wrapper.appendChild(header);
+  wrapper.appendChild(body);
+  container.appendChild(wrapper);
+
+  let events = [];
+  let heading = '';
+  let swaraElements = new Map(); // Event index -> swara element
+  let currentElement = null;
+
+  function render() {
+    body.innerHTML = '';
+    swaraElements = new Map();
+    currentElement = null;
+    title.textContent = heading;
+
+    if (events.length === 0) {
+      wrapper.style.display = 'none';
+      return;
+    }
+    wrapper.style.display = 'block';
+
+    // Events by the beat they start in
+    const byBeat = new Map();
+    let totalBeats = 0;
+    events.forEach(event => {
+      const beat = Math.floor(event.start + 0.001);
+      if (!byBeat.has(beat)) byBeat.set(beat, []);
+      byBeat.get(beat).push(event);
+      totalBeats = Math.max(totalBeats, event.start + event.beats);
+    });
+
+    // Whether a time is inside a sounding note, for sustain marks
+    const sorted = events.slice().sort((a, b) => a.start - b.start);
+    let sustainIndex = 0;
+    const isSounding = time => {
+      while (sustainIndex < sorted.length - 1 && sorted[sustainIndex + 1].start <= time + 0.001) sustainIndex++;
+      const event = sorted[sustainIndex];
+      return event.start <= time + 0.001 && event.start + event.beats > time + 0.001;
+    };
+
+    const cycles = Math.max(1, Math.ceil((totalBeats - 0.001) / taal.beats));
+    for (let cycle = 0; cycle < cycles; cycle++) {
+      const row = document.createElement('div');
+      row.className = 'notation-avartan';
+
+      let beat = cycle * taal.beats;
+      taal.vibhags.forEach((length, vibhagIndex) => {
+        const vibhag = document.createElement('div');
+        vibhag.className = 'notation-vibhag';
+
+        for (let i = 0; i < length; i++, beat++) {
+          const matra = document.createElement('div');
+          matra.className = 'notation-matra';
+
+          const notes = document.createElement('div');
+          notes.className = 'notation-notes';
+
+          // One slot per division of the beat: a swara where a note starts, else a sustain or a rest
+          const starts = (byBeat.get(beat) || []).slice().sort((a, b) => a.start - b.start);
+          const n = findSubdivision(starts.map(event => event.start - beat));
+          const slots = [];
+          for (let k = 0; k < n; k++) {
+            const time = beat + k / n;
+            const event = starts.find(e => Math.round((e.start - beat) * n) === k);
+            if (event) {
+              const swara = createSwara(event.semitone, script);
+              swaraElements.set(event.index, swara);
+              slots.push(swara);
+            } else if (beat < totalBeats && isSounding(time)) {
+              const sustain = document.createElement('span');
+              sustain.className = 'notation-sustain';
+              sustain.textContent = SUSTAIN_MARK;
+              slots.push(sustain);
+            } else if (n > 1) {
+              const rest = document.createElement('span');
+              rest.className = 'notation-rest';
+              slots.push(rest);
+            }
+          }
+
+          // Swaras sharing a beat sit under one arc
+          if (slots.length > 1) notes.classList.add('grouped');
+          slots.forEach(slot => notes.appendChild(slot));
+
+          const mark = document.createElement('div');
+          mark.className = 'notation-mark';
+          mark.textContent = i === 0 ? taal.marks[vibhagIndex] : '';
+
+          matra.appendChild(notes);
+          matra.appendChild(mark);
+          vibhag.appendChild(matra);
+        }
+
+        row.appendChild(vibhag);
+      });
+
+      body.appendChild(row);
+    }
+  }
+
+  taalSelect.addEventListener('change', () => {
+    taal = TAALS[taalSelect.value];
+    render();
+    if (onTaalChange) onTaalChange(taal.id);
+  });
+
+  scriptSelect.addEventListener('change', () => {
+    script = scriptSelect.value;
+    render();
+  });
+
+  // Print only the notation
+  printButton.addEventListener('click', () => {
+    document.body.classList.add('printing-notation');
+    window.addEventListener('afterprint', () => {
+      document.body.classList.remove('printing-notation');
+    }, { once: true });
+    window.print();
+  });
+
+  return {
+    element: wrapper,
+
+    /**
+     * Show practice pattern notes
+     * @param {Array} notes - Notes as { semitone, beats }
+     * @param {string} name - Heading, e.g. the pattern name and key
+     */
+    setPattern(notes, name = '') {
+      events = patternToEvents(notes);
+      heading = name;
+      render();
+    },
+
+    /**
+     * Show a timed melody, one beat per quarter note
+     * @param {Array} notes - Notes as { midiNote, startTime, duration }
+     * @param {object} info - { bansuriKey, msPerBeat, title }
+     */
+    setMelody(notes, info = {}) {
+      const saMidi = getSaMidi(info.bansuriKey);
+      events = saMidi === undefined ? [] : melodyToEvents(notes, saMidi, info.msPerBeat || 500);
+      heading = info.title || '';
+      render();
+    },
+
+    /**
+     * Highlight the note being played
+     * @param {number} index - Index of the note in the notes passed in
+     */
+    setCurrentIndex(index) {
+      if (currentElement) currentElement.classList.remove('current');
+      currentElement = swaraElements.get(index) || null;
+      if (!currentElement) return;
+      currentElement.classList.add('current');
+
+      // Keep the current line in view inside the notation, without scrolling the page
+      const row = currentElement.closest('.notation-avartan');
+      if (row && (row.offsetTop < body.scrollTop || row.offsetTop + row.offsetHeight > body.scrollTop + body.clientHeight)) {
+        body.scrollTop = row.offsetTop;
+      }
+    },
+
+    clearCurrent() {
+      if (currentElement) currentElement.classList.remove('current');
+      currentElement = null;
+    },
+
+    setTaal(id) {
+      if (!TAALS[id]) return;
+      taal = TAALS[id];
+      taalSelect.value = id;
+      render();
+    }
+  };
+}
+
+// Export
+export {
+  TAALS,
+  DEFAULT_TAAL,
+  patternToEvents,
+  melodyToEvents,
+  createNotationView
+};
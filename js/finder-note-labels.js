@@ -3,31 +3,26 @@
  * Positions and manages note labels around horizontal bansuri
  */
 
-import { BANSURI_KEYS, FINGERING_PATTERNS, midiToNoteName } from './fingering-data.js';
+import { OPEN, CLOSED, FINGERING_PATTERNS, getSaMidi, getInstrumentProfile, midiToNoteName } from './fingering-data.js';
 
 const SVG_NS = 'http://www.w3.org/2000/svg';
 
 /**
- * Note positioning configuration
- * Maps each semitone (0-11) to its visual position relative to holes
+ * Get where a semitone's label sits, from the active profile's madhya fingering
+ * Natural notes go below the last closed hole (the blowhole when all are open),
+ * chromatic notes go on the partially covered hole
+ * @param {number} semitone - Semitone from Sa (0-11)
+ * @returns {object} { hole, position, chromatic } with hole -1 for the blowhole
  */
-const NOTE_POSITIONS = {
-  // Semitone: { holeIndex, offsetX, position, isChromatic }
-  // Holes: 0=L1(250), 1=L2(350), 2=L3(450), 3=R1(550), 4=R2(650), 5=R3(800)
-  // Position: 'below' = below the flute, 'above' = on/inside the hole (for chromatic notes)
-  0:  { hole: 2, offset: 0,  position: 'below', chromatic: false },  // Sa (G) - L3
-  1:  { hole: 2, offset: 0,  position: 'above', chromatic: true },   // Komal Re (G#) - half on L3
-  2:  { hole: 1, offset: 0,  position: 'below', chromatic: false },  // Re (A) - L2
-  3:  { hole: 1, offset: 0,  position: 'above', chromatic: true },   // Komal Ga (A#) - half on L2
-  4:  { hole: 0, offset: 0,  position: 'below', chromatic: false },  // Ga (B) - L1
-  5:  { hole: 0, offset: 0,  position: 'above', chromatic: true },   // Ma (C) - half on L1
-  6:  { hole: -1, offset: 0, position: 'below', chromatic: false },  // Tivra Ma (C#) - all open, blowhole
-  7:  { hole: 5, offset: 0, position: 'below', chromatic: false },  // Pa (D) - all closed, at R3
-  8:  { hole: 5, offset: 0,  position: 'above', chromatic: true },   // Komal Dha (D#) - half on R3
-  9:  { hole: 4, offset: 0,  position: 'below', chromatic: false },  // Dha (E) - R3 open, last closed is R2
-  10: { hole: 4, offset: 0,  position: 'above', chromatic: true },   // Komal Ni (F) - half on R2
-  11: { hole: 3, offset: 0,  position: 'below', chromatic: false }   // Ni (F#) - R2,R3 open, last closed is R1
-};
+function getNotePosition(semitone) {
+  const { holes } = getInstrumentProfile().fingerings[semitone + 12].fingerings[0];
+  const partial = holes.findIndex(h => h > OPEN && h < CLOSED);
+
+  if (partial !== -1) {
+    return { hole: partial, position: 'above', chromatic: true };
+  }
+  return { hole: holes.lastIndexOf(CLOSED), position: 'below', chromatic: false };
+}
 
 /**
  * Create note labels around horizontal bansuri
@@ -48,22 +43,21 @@ export function createNoteLabels(svg, holes, config, bansuriKey) {
 
   // Create label for each semitone (0-11)
   for (let semitone = 0; semitone < 12; semitone++) {
-    const posInfo = NOTE_POSITIONS[semitone];
+    const posInfo = getNotePosition(semitone);
     const fingering = FINGERING_PATTERNS[semitone];
 
     // Get Western note name for current key
-    const baseMidi = BANSURI_KEYS[bansuriKey];
+    const baseMidi = getSaMidi(bansuriKey);
     const midiNote = baseMidi + semitone;
     const westernNote = midiToNoteName(midiNote).replace(/\d/g, ''); // Remove octave number
 
     // Calculate x position based on hole position
     let x;
     if (posInfo.hole === -1) {
-      // Special case: Tivra Ma at blowhole
+      // All holes open (Tivra Ma on a 6-hole flute): at the blowhole
       x = blowholeX;
     } else {
-      // Use hole x-position plus offset
-      x = holes[posInfo.hole].x + posInfo.offset;
+      x = holes[posInfo.hole].x;
     }
 
     // Calculate y position (on hole or below)
@@ -92,7 +86,7 @@ export function createNoteLabels(svg, holes, config, bansuriKey) {
      */
     updateKey(newBansuriKey) {
       for (let semitone = 0; semitone < 12; semitone++) {
-        const baseMidi = BANSURI_KEYS[newBansuriKey];
+        const baseMidi = getSaMidi(newBansuriKey);
         const midiNote = baseMidi + semitone;
         const westernNote = midiToNoteName(midiNote).replace(/\d/g, ''); // Remove octave number
         // Access the text element within the group
@@ -222,7 +216,7 @@ export function noteNameToSemitone(noteName, bansuriKey) {
   if (noteIndex === undefined) return null;
 
   // Get Sa's note index
-  const saIndex = BANSURI_KEYS[bansuriKey] % 12;
+  const saIndex = getSaMidi(bansuriKey) % 12;
 
   // Calculate semitone offset from Sa
   let semitone = noteIndex - saIndex;
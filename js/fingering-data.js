@@ -1,15 +1,34 @@
 /**
  * Bansuri.js - Fingering Data Model
- * Maps notes to 6-hole bansuri fingering patterns
+ * Maps notes to 6-hole and 7-hole bansuri fingering patterns
  *
- * Hole states: 0 = open, 1 = closed, 0.5 = half-closed
- * Holes are numbered 1-6 from blowhole end (left hand to right hand)
+ * Hole states: 0 = open, 1 = closed, 0.5 = half-closed; microtonal fingerings
+ * use other fractions of coverage in quarter steps
+ * Holes are numbered from the blowhole end (left hand to right hand);
+ * the active instrument profile decides how many there are
  */
 
+import { midiToFrequency } from './tuning.js';
+
 // Hole state constants
 const OPEN = 0;
 const CLOSED = 1;
 const HALF = 0.5;
+const QUARTER = 0.25;
+const THREE_QUARTER = 0.75;
+
+// Finest hole coverage the fingering model describes
+const COVERAGE_STEP = 0.25;
+
+/**
+ * Snap a hole coverage value to the nearest step between open and closed
+ * @param {number} value - Coverage from 0 (open) to 1 (closed)
+ * @returns {number} Coverage in COVERAGE_STEP increments
+ */
+function quantizeCoverage(value) {
+  const clamped = Math.max(OPEN, Math.min(CLOSED, Number(value) || 0));
+  return Math.round(clamped / COVERAGE_STEP) * COVERAGE_STEP;
+}
 
 // Indian note names (Sargam)
 const SARGAM = {
@@ -30,25 +49,286 @@ const SARGAM = {
 // Western note names
 const NOTES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
 
-// Map semitones from Sa to fingering pattern
+// Octave names
+const OCTAVES = {
+  LOW: 'mandra',    // Low register - gentle breath
+  MIDDLE: 'madhya', // Middle register - normal breath
+  HIGH: 'taar'      // High register - strong breath/overblowing
+};
+
+// Map semitones from Sa to fingering patterns
 // The 6-hole bansuri naturally produces a Lydian scale with standard fingerings
 // Half-hole techniques are used for chromatic notes
+// Each entry holds a ranked list of fingerings: the first is the primary fingering,
+// the rest are alternates (cross-fingerings, forked fingerings, shading).
+// Microtonal variants carry `cents`, their pitch relative to the equal-tempered note
 const FINGERING_PATTERNS = {
-  // Semitones from Sa -> [hole1, hole2, hole3, hole4, hole5, hole6]
-  0:  { holes: [CLOSED, CLOSED, CLOSED, OPEN, OPEN, OPEN], indian: SARGAM.SA },           // Sa - Tonic
-  1:  { holes: [CLOSED, CLOSED, HALF, OPEN, OPEN, OPEN], indian: SARGAM.KOMAL_RE },       // Komal Re - minor 2nd
-  2:  { holes: [CLOSED, CLOSED, OPEN, OPEN, OPEN, OPEN], indian: SARGAM.RE },             // Re - Major 2nd
-  3:  { holes: [CLOSED, HALF, OPEN, OPEN, OPEN, OPEN], indian: SARGAM.KOMAL_GA },         // Komal Ga - minor 3rd
-  4:  { holes: [CLOSED, OPEN, OPEN, OPEN, OPEN, OPEN], indian: SARGAM.GA },               // Ga - Major 3rd
-  5:  { holes: [HALF, OPEN, OPEN, OPEN, OPEN, OPEN], indian: SARGAM.MA },           // Shuddh Ma - Perfect 4th
-  6:  { holes: [OPEN, OPEN, OPEN, OPEN, OPEN, OPEN], indian: SARGAM.TIVRA_MA },           // Tivra Ma - Augmented 4th
-  7:  { holes: [CLOSED, CLOSED, CLOSED, CLOSED, CLOSED, CLOSED], indian: SARGAM.PA },     // Pa - Perfect 5th
-  8:  { holes: [CLOSED, CLOSED, CLOSED, CLOSED, CLOSED, HALF], indian: SARGAM.KOMAL_DHA },// Komal Dha - minor 6th
-  9:  { holes: [CLOSED, CLOSED, CLOSED, CLOSED, CLOSED, OPEN], indian: SARGAM.DHA },      // Dha - Major 6th
-  10: { holes: [CLOSED, CLOSED, CLOSED, CLOSED, HALF, OPEN], indian: SARGAM.KOMAL_NI },   // Komal Ni - minor 7th
-  11: { holes: [CLOSED, CLOSED, CLOSED, CLOSED, OPEN, OPEN], indian: SARGAM.NI }          // Ni - Major 7th
+  // Semitones from Sa -> ranked [{ name, holes: [hole1..hole6], note, cents? }]
+  0: { // Sa - Tonic
+    indian: SARGAM.SA,
+    fingerings: [
+      { name: 'Standard', holes: [CLOSED, CLOSED, CLOSED, OPEN, OPEN, OPEN], note: 'Three left-hand fingers closed' },
+      { name: 'Shaded', holes: [CLOSED, CLOSED, CLOSED, OPEN, CLOSED, CLOSED], note: 'R2 and R3 rest down to steady the tone; slightly flat' }
+    ]
+  },
+  1: { // Komal Re - minor 2nd
+    indian: SARGAM.KOMAL_RE,
+    fingerings: [
+      { name: 'Half-hole', holes: [CLOSED, CLOSED, HALF, OPEN, OPEN, OPEN], note: 'Half-cover L3' },
+      { name: 'Forked', holes: [CLOSED, CLOSED, OPEN, CLOSED, OPEN, OPEN], note: 'L3 open with R1 closed; steadier but slightly veiled' },
+      { name: 'Ati-komal', holes: [CLOSED, CLOSED, THREE_QUARTER, OPEN, OPEN, OPEN], note: 'Three-quarter cover L3 for the low Re of Todi and Marwa', cents: -20 }
+    ]
+  },
+  2: { // Re - Major 2nd
+    indian: SARGAM.RE,
+    fingerings: [
+      { name: 'Standard', holes: [CLOSED, CLOSED, OPEN, OPEN, OPEN, OPEN], note: 'L1 and L2 closed' }
+    ]
+  },
+  3: { // Komal Ga - minor 3rd
+    indian: SARGAM.KOMAL_GA,
+    fingerings: [
+      { name: 'Half-hole', holes: [CLOSED, HALF, OPEN, OPEN, OPEN, OPEN], note: 'Half-cover L2' },
+      { name: 'Forked', holes: [CLOSED, OPEN, CLOSED, OPEN, OPEN, OPEN], note: 'L2 open with L3 closed' },
+      { name: 'Ati-komal', holes: [CLOSED, THREE_QUARTER, OPEN, OPEN, OPEN, OPEN], note: 'Three-quarter cover L2 for the low Ga of Darbari and Todi', cents: -20 }
+    ]
+  },
+  4: { // Ga - Major 3rd
+    indian: SARGAM.GA,
+    fingerings: [
+      { name: 'Standard', holes: [CLOSED, OPEN, OPEN, OPEN, OPEN, OPEN], note: 'Only L1 closed' },
+      { name: 'Shaded', holes: [CLOSED, QUARTER, OPEN, OPEN, OPEN, OPEN], note: 'Quarter cover L2 to lower Ga towards the just major third', cents: -14 }
+    ]
+  },
+  5: { // Shuddh Ma - Perfect 4th
+    indian: SARGAM.MA,
+    fingerings: [
+      { name: 'Half-hole', holes: [HALF, OPEN, OPEN, OPEN, OPEN, OPEN], note: 'Half-cover L1' },
+      { name: 'Forked', holes: [OPEN, CLOSED, CLOSED, OPEN, OPEN, OPEN], note: 'L1 open with L2 and L3 closed; common in fast passages' }
+    ]
+  },
+  6: { // Tivra Ma - Augmented 4th
+    indian: SARGAM.TIVRA_MA,
+    fingerings: [
+      { name: 'All open', holes: [OPEN, OPEN, OPEN, OPEN, OPEN, OPEN], note: 'Every hole open' },
+      { name: 'Right hand down', holes: [OPEN, OPEN, OPEN, CLOSED, CLOSED, CLOSED], note: 'Steadier tone; roll the flute out slightly to correct the flat pitch' }
+    ]
+  },
+  7: { // Pa - Perfect 5th
+    indian: SARGAM.PA,
+    fingerings: [
+      { name: 'Standard', holes: [CLOSED, CLOSED, CLOSED, CLOSED, CLOSED, CLOSED], note: 'All holes closed' }
+    ]
+  },
+  8: { // Komal Dha - minor 6th
+    indian: SARGAM.KOMAL_DHA,
+    fingerings: [
+      { name: 'Half-hole', holes: [CLOSED, CLOSED, CLOSED, CLOSED, CLOSED, HALF], note: 'Half-cover R3' },
+      { name: 'Forked', holes: [CLOSED, CLOSED, CLOSED, CLOSED, OPEN, CLOSED], note: 'R2 open with R3 closed' },
+      { name: 'Ati-komal', holes: [CLOSED, CLOSED, CLOSED, CLOSED, CLOSED, THREE_QUARTER], note: 'Three-quarter cover R3 for the low Dha of Darbari and Todi', cents: -20 }
+    ]
+  },
+  9: { // Dha - Major 6th
+    indian: SARGAM.DHA,
+    fingerings: [
+      { name: 'Standard', holes: [CLOSED, CLOSED, CLOSED, CLOSED, CLOSED, OPEN], note: 'R3 open' }
+    ]
+  },
+  10: { // Komal Ni - minor 7th
+    indian: SARGAM.KOMAL_NI,
+    fingerings: [
+      { name: 'Half-hole', holes: [CLOSED, CLOSED, CLOSED, CLOSED, HALF, OPEN], note: 'Half-cover R2' },
+      { name: 'Forked', holes: [CLOSED, CLOSED, CLOSED, OPEN, CLOSED, OPEN], note: 'R1 open with R2 closed' },
+      { name: 'Raised', holes: [CLOSED, CLOSED, CLOSED, CLOSED, QUARTER, OPEN], note: 'Quarter cover R2 for a slightly raised Komal Ni', cents: 20 }
+    ]
+  },
+  11: { // Ni - Major 7th
+    indian: SARGAM.NI,
+    fingerings: [
+      { name: 'Standard', holes: [CLOSED, CLOSED, CLOSED, CLOSED, OPEN, OPEN], note: 'R2 and R3 open' }
+    ]
+  }
 };
 
+// Playable range in semitones from Sa: Mandra Pa to Taar Pa
+const PLAYABLE_RANGE = { low: 7, high: 31 };
+
+// Octave-specific fingerings keyed by absolute semitones from Sa
+// Overblowing in the taar saptak changes which holes need venting, so these
+// replace the pitch-class fingerings from FINGERING_PATTERNS for that note
+const OCTAVE_FINGERINGS = {
+  29: [ // Taar Ma
+    { name: 'Forked', holes: [OPEN, CLOSED, CLOSED, OPEN, OPEN, OPEN], note: 'L1 open with L2 and L3 closed; the half-hole is unreliable when overblown' },
+    { name: 'Half-hole', holes: [HALF, OPEN, OPEN, OPEN, OPEN, OPEN], note: 'Half-cover L1; tends to crack into Tivra Ma' }
+  ],
+  30: [ // Taar Tivra Ma
+    { name: 'Cross', holes: [OPEN, CLOSED, CLOSED, CLOSED, OPEN, OPEN], note: 'L1 open with L2, L3 and R1 closed' },
+    { name: 'All open', holes: [OPEN, OPEN, OPEN, OPEN, OPEN, OPEN], note: 'Often flat and airy this high' }
+  ],
+  31: [ // Taar Pa
+    { name: 'Vented', holes: [OPEN, CLOSED, CLOSED, CLOSED, CLOSED, CLOSED], note: 'L1 lifted; speaks more easily in the taar saptak' },
+    { name: 'All closed', holes: [CLOSED, CLOSED, CLOSED, CLOSED, CLOSED, CLOSED], note: 'Overblown fourth harmonic; needs very strong breath' }
+  ]
+};
+
+/**
+ * Get the octave name for an absolute semitone offset from Sa
+ * @param {number} semitonesFromSa - Semitones from Sa (can be any value)
+ * @returns {string} One of OCTAVES
+ */
+function getOctaveForSemitone(semitonesFromSa) {
+  if (semitonesFromSa < 12) return OCTAVES.LOW;
+  if (semitonesFromSa < 24) return OCTAVES.MIDDLE;
+  return OCTAVES.HIGH;
+}
+
+// Breath and embouchure guidance for each register
+const REGISTER_GUIDANCE = {
+  [OCTAVES.LOW]: {
+    breath: { pressure: 'low', label: 'Soft' },
+    embouchure: 'Relaxed, more lip cover',
+    guidance: 'Slow, warm air with relaxed lips; cover more of the blowhole and aim down into it'
+  },
+  [OCTAVES.MIDDLE]: {
+    breath: { pressure: 'medium', label: 'Moderate' },
+    embouchure: 'Neutral',
+    guidance: 'Steady air with a normal lip opening aimed at the far edge of the blowhole'
+  },
+  [OCTAVES.HIGH]: {
+    breath: { pressure: 'high', label: 'Strong' },
+    embouchure: 'Firm, aimed higher',
+    guidance: 'Fast, focused air through a smaller lip opening; roll the flute out slightly and aim higher'
+  }
+};
+
+// Stability ratings, from most to least reliable
+const STABILITY = {
+  STABLE: 'stable',
+  FAIR: 'fair',
+  UNSTABLE: 'unstable'
+};
+
+/**
+ * Rate how reliably a fingering speaks on the active instrument
+ * Each weakness (partial coverage, edge of the range) lowers the rating by one step
+ * @param {number} semitones - Absolute semitones from Sa
+ * @param {number[]} holes - Hole coverage values
+ * @returns {object} { rating, reasons }
+ */
+function rateStability(semitones, holes) {
+  const { low, high } = activeProfile.range;
+  const reasons = [];
+
+  if (semitones < low || semitones > high) {
+    reasons.push('Outside the playable range');
+  } else if (semitones === low) {
+    reasons.push('Lowest note; speaks weakly and needs a full seal');
+  } else if (semitones >= high - 2) {
+    reasons.push('Top of taar; cracks easily without focused air');
+  }
+
+  if (holes.some(hole => hole > OPEN && hole < CLOSED)) {
+    reasons.push('Partial hole coverage; pitch depends on finger placement');
+  }
+
+  const rating = reasons.length === 0 ? STABILITY.STABLE :
+                 reasons.length === 1 ? STABILITY.FAIR : STABILITY.UNSTABLE;
+  return { rating, reasons };
+}
+
+// Full fingering table keyed by absolute semitones from Sa (Mandra Pa to Taar Pa)
+const FINGERING_TABLE = {};
+for (let semitone = PLAYABLE_RANGE.low; semitone <= PLAYABLE_RANGE.high; semitone++) {
+  const pattern = FINGERING_PATTERNS[semitone % 12];
+  FINGERING_TABLE[semitone] = {
+    indian: pattern.indian,
+    octave: getOctaveForSemitone(semitone),
+    fingerings: OCTAVE_FINGERINGS[semitone] || pattern.fingerings
+  };
+}
+
+// Seven-hole bansuri: an extra little-finger hole (R4) below R3
+// Closing every hole reaches Mandra Ma; R4 stays open for the standard fingerings
+const SEVEN_HOLE_RANGE = { low: 5, high: 31 };
+
+// Seven-hole fingerings that differ from the six-hole ones (plus R4 open),
+// keyed by absolute semitones from Sa
+const SEVEN_HOLE_FINGERINGS = {
+  5: [ // Mandra Ma
+    { name: 'All closed', holes: [CLOSED, CLOSED, CLOSED, CLOSED, CLOSED, CLOSED, CLOSED], note: 'Every hole closed including R4' }
+  ],
+  6: [ // Mandra Tivra Ma
+    { name: 'Half R4', holes: [CLOSED, CLOSED, CLOSED, CLOSED, CLOSED, CLOSED, HALF], note: 'Half-cover the little-finger hole' }
+  ],
+  18: [ // Madhya Tivra Ma
+    { name: 'Little-finger cross', holes: [OPEN, CLOSED, CLOSED, CLOSED, CLOSED, CLOSED, CLOSED], note: 'L1 open with every other hole closed; cleaner than all open' },
+    { name: 'All open', holes: [OPEN, OPEN, OPEN, OPEN, OPEN, OPEN, OPEN], note: 'Every hole open' }
+  ]
+};
+
+// Seven-hole fingering table: six-hole fingerings with R4 open unless overridden
+const SEVEN_HOLE_TABLE = {};
+for (let semitone = SEVEN_HOLE_RANGE.low; semitone <= SEVEN_HOLE_RANGE.high; semitone++) {
+  const base = FINGERING_TABLE[semitone] || FINGERING_TABLE[(semitone % 12) + 12];
+  SEVEN_HOLE_TABLE[semitone] = {
+    indian: base.indian,
+    octave: getOctaveForSemitone(semitone),
+    fingerings: SEVEN_HOLE_FINGERINGS[semitone] ||
+      base.fingerings.map(f => ({ ...f, holes: [...f.holes, OPEN] }))
+  };
+}
+
+// Instrument profiles: hole layout, playable range and fingering table
+// Hole positions are SVG coordinates along the tube for each orientation
+const INSTRUMENT_PROFILES = {
+  'six-hole': {
+    id: 'six-hole',
+    name: '6-hole',
+    holeCount: 6,
+    holeLabels: ['L1', 'L2', 'L3', 'R1', 'R2', 'R3'], // Left/Right hand fingers
+    holePositions: {
+      vertical: [140, 200, 260, 320, 380, 440],
+      horizontal: [250, 350, 450, 550, 650, 800] // R3-R2 gap is 1.5x normal spacing
+    },
+    range: PLAYABLE_RANGE,
+    fingerings: FINGERING_TABLE
+  },
+  'seven-hole': {
+    id: 'seven-hole',
+    name: '7-hole',
+    holeCount: 7,
+    holeLabels: ['L1', 'L2', 'L3', 'R1', 'R2', 'R3', 'R4'],
+    holePositions: {
+      vertical: [130, 180, 230, 280, 330, 380, 430],
+      horizontal: [230, 320, 410, 500, 590, 700, 810]
+    },
+    range: SEVEN_HOLE_RANGE,
+    fingerings: SEVEN_HOLE_TABLE
+  }
+};
+
+// Active instrument profile used by the lookup functions
+let activeProfile = INSTRUMENT_PROFILES['six-hole'];
+
+/**
+ * Set the active instrument profile
+ * @param {string} profileId - Key of INSTRUMENT_PROFILES
+ * @returns {boolean} True if the profile exists
+ */
+function setInstrumentProfile(profileId) {
+  if (!INSTRUMENT_PROFILES[profileId]) return false;
+  activeProfile = INSTRUMENT_PROFILES[profileId];
+  return true;
+}
+
+/**
+ * Get the active instrument profile
+ * @returns {object} Instrument profile
+ */
+function getInstrumentProfile() {
+  return activeProfile;
+}
+
 // Common bansuri keys and their base MIDI note numbers
 // The key indicates what note Sa (tonic) corresponds to
 const BANSURI_KEYS = {
@@ -66,13 +346,79 @@ const BANSURI_KEYS = {
   'B':  71
 };
 
-// Octave names
-const OCTAVES = {
-  LOW: 'mandra',    // Low register - gentle breath
-  MIDDLE: 'madhya', // Middle register - normal breath
-  HIGH: 'taar'      // High register - strong breath/overblowing
+// Octave that BANSURI_KEYS is pitched in; a bare key like 'G' means this octave
+const DEFAULT_KEY_OCTAVE = 4;
+
+// Registers offered next to the key, from bass flutes down to small high flutes
+const KEY_OCTAVES = [
+  { octave: 3, name: 'Bass' },
+  { octave: 4, name: 'Medium' },
+  { octave: 5, name: 'Small' }
+];
+
+// Named flutes mapped to their key and octave
+const BANSURI_PRESETS = {
+  'Bass C':   'C3',
+  'Bass D':   'D3',
+  'Bass E':   'E3',
+  'Bass G':   'G3',
+  'Medium C': 'C',
+  'Medium E': 'E',
+  'Medium G': 'G',
+  'Medium A': 'A',
+  'Small C':  'C5',
+  'Small D':  'D5',
+  'Small E':  'E5'
 };
 
+/**
+ * Split a bansuri key into pitch class and octave
+ * Accepts a bare key ('G'), a key with octave ('E3', 'C#5') or a preset name ('Bass E')
+ * @param {string} bansuriKey - Bansuri key
+ * @returns {object|null} { key, octave } or null if invalid
+ */
+function parseBansuriKey(bansuriKey) {
+  if (typeof bansuriKey !== 'string') return null;
+  const resolved = BANSURI_PRESETS[bansuriKey] || bansuriKey;
+
+  const match = resolved.match(/^([A-G]#?)(\d)?$/);
+  if (!match || BANSURI_KEYS[match[1]] === undefined) return null;
+
+  const octave = match[2] !== undefined ? parseInt(match[2]) : DEFAULT_KEY_OCTAVE;
+  return { key: match[1], octave };
+}
+
+/**
+ * Build a bansuri key string from pitch class and octave
+ * The default octave keeps the bare key so saved preferences stay compatible
+ * @param {string} key - Pitch class like 'G' or 'C#'
+ * @param {number} octave - Octave of Sa
+ * @returns {string} Bansuri key like 'G' or 'E3'
+ */
+function formatBansuriKey(key, octave = DEFAULT_KEY_OCTAVE) {
+  return octave === DEFAULT_KEY_OCTAVE ? key : `${key}${octave}`;
+}
+
+/**
+ * Get the MIDI note of Sa for a bansuri key
+ * @param {string} bansuriKey - Bansuri key ('G', 'E3', 'Bass E', ...)
+ * @returns {number|undefined} MIDI note number, undefined if the key is invalid
+ */
+function getSaMidi(bansuriKey) {
+  const parsed = parseBansuriKey(bansuriKey);
+  if (!parsed) return undefined;
+  return BANSURI_KEYS[parsed.key] + (parsed.octave - DEFAULT_KEY_OCTAVE) * 12;
+}
+
+/**
+ * Check if a bansuri key (with optional octave or preset name) is valid
+ * @param {string} bansuriKey - Bansuri key
+ * @returns {boolean} True if valid
+ */
+function isValidBansuriKey(bansuriKey) {
+  return parseBansuriKey(bansuriKey) !== null;
+}
+
 /**
  * Get fingering for a specific MIDI note number
  * @param {number} midiNote - MIDI note number (0-127)
@@ -80,36 +426,29 @@ const OCTAVES = {
  * @returns {object} Fingering information
  */
 function getFingeringForMidi(midiNote, bansuriKey = 'G') {
-  const saNote = BANSURI_KEYS[bansuriKey];
+  const saNote = getSaMidi(bansuriKey);
 
   // Calculate semitones from Sa
   const semitonesFromSa = midiNote - saNote;
 
-  // Determine octave
-  let octave;
-  let normalizedSemitones = semitonesFromSa;
-
-  // Bansuri playable range: Mandra Pa (semitone 7) to Taar Pa (semitone 31)
-  if (semitonesFromSa < 7) {
-    // Below Mandra Pa - not playable on bansuri
-    return null;
-  } else if (semitonesFromSa < 12) {
-    octave = OCTAVES.LOW;
-  } else if (semitonesFromSa < 24) {
-    octave = OCTAVES.MIDDLE;
-    normalizedSemitones = semitonesFromSa - 12;
-  } else if (semitonesFromSa < 31) {
-    // High octave goes up to about Pa (5th)
-    octave = OCTAVES.HIGH;
-    normalizedSemitones = semitonesFromSa - 24;
-  } else {
-    // Above playable range
-    return null;
-  }
+  // Playable range comes from the active profile (Mandra Pa to Taar Pa on a 6-hole)
+  const entry = activeProfile.fingerings[semitonesFromSa];
+  if (!entry) return null;
 
-  // Get fingering pattern
-  const pattern = FINGERING_PATTERNS[normalizedSemitones];
-  if (!pattern) return null;
+  const normalizedSemitones = ((semitonesFromSa % 12) + 12) % 12;
+  return buildFingering(entry, midiNote, bansuriKey, normalizedSemitones, semitonesFromSa);
+}
+
+/**
+ * Build the fingering object returned by the lookup functions
+ * The primary fingering fills `holes`; the others are listed in `alternates`
+ * @param {object} entry - { indian, octave, fingerings } from a profile's fingering table
+ * @param {number} semitonesFromSa - Semitones from Sa within the octave (0-11)
+ * @param {number} absoluteSemitones - Semitones from Mandra Sa, used for the stability rating
+ */
+function buildFingering(entry, midiNote, bansuriKey, semitonesFromSa, absoluteSemitones) {
+  const [primary, ...others] = entry.fingerings;
+  const octave = entry.octave;
 
   // Get Western note name
   const noteIndex = midiNote % 12;
@@ -119,11 +458,62 @@ function getFingeringForMidi(midiNote, bansuriKey = 'G') {
   return {
     midiNote,
     westernNote,
-    indianNote: pattern.indian,
+    indianNote: entry.indian,
     octave,
-    holes: [...pattern.holes],
+    holes: [...primary.holes],
+    fingeringName: primary.name,
+    fingeringNote: primary.note,
+    fingeringIndex: 0,
+    cents: primary.cents || 0,
+    alternates: others.map(alt => ({ name: alt.name, note: alt.note, holes: [...alt.holes], cents: alt.cents || 0 })),
+    ...REGISTER_GUIDANCE[octave],
+    stability: rateStability(absoluteSemitones, primary.holes),
     bansuriKey,
-    semitonesFromSa: normalizedSemitones
+    semitonesFromSa,
+    absoluteSemitones
+  };
+}
+
+/**
+ * Get all fingering options for a fingering object, primary first
+ * @param {object} fingering - Fingering object from getFingeringForMidi
+ * @returns {Array} Array of { name, note, holes, cents }
+ */
+function getFingeringOptions(fingering) {
+  if (!fingering) return [];
+  const primary = {
+    name: fingering.fingeringName,
+    note: fingering.fingeringNote,
+    holes: fingering.holes,
+    cents: fingering.cents || 0
+  };
+  // A fingering that was switched to an alternate keeps the original primary
+  const options = fingering.primary ? [fingering.primary] : [primary];
+  return options.concat(fingering.alternates || []);
+}
+
+/**
+ * Switch a fingering object to one of its ranked options
+ * @param {object} fingering - Fingering object from getFingeringForMidi
+ * @param {number} index - 0 for the primary fingering, 1+ for alternates
+ * @returns {object} New fingering object using the chosen holes
+ */
+function selectAlternate(fingering, index) {
+  const options = getFingeringOptions(fingering);
+  if (options.length === 0) return fingering;
+
+  const wrapped = ((index % options.length) + options.length) % options.length;
+  const choice = options[wrapped];
+
+  return {
+    ...fingering,
+    holes: [...choice.holes],
+    fingeringName: choice.name,
+    fingeringNote: choice.note,
+    fingeringIndex: wrapped,
+    cents: choice.cents || 0,
+    stability: rateStability(fingering.absoluteSemitones, choice.holes),
+    primary: options[0]
   };
 }
 
@@ -159,7 +549,7 @@ function getFingeringForSargam(indianNote, octaveOffset = 0, bansuriKey = 'G') {
   if (semitones === null) return null;
 
   // Calculate MIDI note
-  const saNote = BANSURI_KEYS[bansuriKey];
+  const saNote = getSaMidi(bansuriKey);
   const midiNote = saNote + semitones + (octaveOffset + 1) * 12;
 
   return getFingeringForMidi(midiNote, bansuriKey);
@@ -194,27 +584,18 @@ function noteNameToMidi(noteName) {
   return (octave + 1) * 12 + noteIndex;
 }
 
-/**
- * Convert MIDI note number to frequency in Hz
- * @param {number} midiNote - MIDI note number
- * @returns {number} Frequency in Hz
- */
-function midiToFrequency(midiNote) {
-  return 440 * Math.pow(2, (midiNote - 69) / 12);
-}
-
 /**
  * Get all playable notes for a given bansuri key
  * @param {string} bansuriKey - The key of the bansuri
  * @returns {Array} Array of playable note information
  */
 function getPlayableRange(bansuriKey = 'G') {
-  const saNote = BANSURI_KEYS[bansuriKey];
+  const saNote = getSaMidi(bansuriKey);
   const notes = [];
 
-  // Low octave Sa to high octave Pa (about 2.5 octaves)
-  // That's 12 + 12 + 7 = 31 semitones
-  for (let i = 0; i < 31; i++) {
+  // Mandra Pa to Taar Pa (about 2 octaves), or lower on a 7-hole
+  const { low, high } = activeProfile.range;
+  for (let i = low; i <= high; i++) {
     const fingering = getFingeringForMidi(saNote + i, bansuriKey);
     if (fingering) {
       fingering.frequency = midiToFrequency(fingering.midiNote);
@@ -249,7 +630,8 @@ function midiToNoteName(midiNote) {
 
 /**
  * Get fingering pattern by semitone offset from Sa, regardless of octave or range
- * This always returns a fingering pattern based on the note's position in the scale
+ * Within the playable range this returns the octave-specific fingering;
+ * outside it, the fingering is based on the note's position in the scale
  * Useful for display when audio may be shifted outside normal range
  * @param {number} semitonesFromSa - Semitones from Sa (can be any value)
  * @param {number} midiNote - MIDI note number for reference
@@ -260,34 +642,18 @@ function getFingeringBySemitone(semitonesFromSa, midiNote, bansuriKey = 'G') {
   // Normalize to 0-11 range (one octave)
   const normalizedSemitones = ((semitonesFromSa % 12) + 12) % 12;
 
-  // Determine which octave this would be in
-  let octave;
-  if (semitonesFromSa < 12) {
-    octave = OCTAVES.LOW;
-  } else if (semitonesFromSa < 24) {
-    octave = OCTAVES.MIDDLE;
-  } else {
-    octave = OCTAVES.HIGH;
+  let entry = activeProfile.fingerings[semitonesFromSa];
+  if (!entry) {
+    // Outside the range: reuse the madhya fingering for this scale position
+    const madhya = activeProfile.fingerings[normalizedSemitones + 12];
+    if (!madhya) return null;
+    entry = {
+      ...madhya,
+      octave: getOctaveForSemitone(semitonesFromSa)
+    };
   }
 
-  // Get fingering pattern
-  const pattern = FINGERING_PATTERNS[normalizedSemitones];
-  if (!pattern) return null;
-
-  // Get Western note name
-  const noteIndex = midiNote % 12;
-  const octaveNumber = Math.floor(midiNote / 12) - 1;
-  const westernNote = NOTES[noteIndex] + octaveNumber;
-
-  return {
-    midiNote,
-    westernNote,
-    indianNote: pattern.indian,
-    octave,
-    holes: [...pattern.holes],
-    bansuriKey,
-    semitonesFromSa: normalizedSemitones
-  };
+  return buildFingering(entry, midiNote, bansuriKey, normalizedSemitones, semitonesFromSa);
 }
 
 // Export for use in other modules
@@ -295,15 +661,36 @@ export {
   OPEN,
   CLOSED,
   HALF,
+  QUARTER,
+  THREE_QUARTER,
+  COVERAGE_STEP,
   SARGAM,
   NOTES,
   FINGERING_PATTERNS,
+  FINGERING_TABLE,
+  PLAYABLE_RANGE,
+  INSTRUMENT_PROFILES,
   BANSURI_KEYS,
+  BANSURI_PRESETS,
+  DEFAULT_KEY_OCTAVE,
+  KEY_OCTAVES,
   OCTAVES,
+  REGISTER_GUIDANCE,
+  STABILITY,
   getFingeringForMidi,
   getFingeringForNote,
   getFingeringForSargam,
   getFingeringBySemitone,
+  getOctaveForSemitone,
+  getSaMidi,
+  parseBansuriKey,
+  formatBansuriKey,
+  isValidBansuriKey,
+  setInstrumentProfile,
+  getInstrumentProfile,
+  getFingeringOptions,
+  selectAlternate,
+  quantizeCoverage,
   noteNameToMidi,
   midiToFrequency,
   midiToNoteName,
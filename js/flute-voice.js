@@ -0,0 +1,163 @@
+/**
+ * Bansuri.js - Flute Voice (Tone.js)
+ * A bamboo flute sound built from Tone.js nodes: a soft harmonic tone with
+ * vibrato, band-passed breath noise that grows in the taar register, and a
+ * short chiff of noise at the start of each note
+ */
+
+import { frequencyToMidi, getTonicMidi } from './tuning.js';
+
+// Voice presets
+// - partials: harmonic amplitudes of the tone (1 = fundamental)
+// - envelope: amplitude envelope of the tone and the breath
+// - breath: noise level, extra level at the top of the range, band-pass centre (x frequency) and width
+// - chiff: attack noise level, length (s) and high-pass cutoff (x frequency)
+// - vibrato: rate (Hz) and depth (0 to 1)
+const FLUTE_PRESETS = {
+  bansuri: {
+    id: 'bansuri',
+    name: 'Bansuri',
+    partials: [1, 0.18, 0.08, 0.03, 0.015],
+    envelope: { attack: 0.06, decay: 0.12, sustain: 0.8, release: 0.25 },
+    breath: { level: 0.12, taarBoost: 1.5, filterRatio: 1.5, q: 1.2 },
+    chiff: { level: 0.25, decay: 0.05, filterRatio: 4 },
+    vibrato: { rate: 5, depth: 0.08 }
+  },
+  breathy: {
+    id: 'breathy',
+    name: 'Breathy',
+    partials: [1, 0.1, 0.04, 0.01],
+    envelope: { attack: 0.1, decay: 0.15, sustain: 0.75, release: 0.35 },
+    breath: { level: 0.3, taarBoost: 1, filterRatio: 1.2, q: 0.8 },
+    chiff: { level: 0.15, decay: 0.06, filterRatio: 3 },
+    vibrato: { rate: 4.5, depth: 0.06 }
+  },
+  bright: {
+    id: 'bright',
+    name: 'Bright',
+    partials: [1, 0.35, 0.2, 0.1, 0.06, 0.03],
+    envelope: { attack: 0.03, decay: 0.1, sustain: 0.8, release: 0.2 },
+    breath: { level: 0.08, taarBoost: 1.5, filterRatio: 2, q: 1.5 },
+    chiff: { level: 0.4, decay: 0.03, filterRatio: 5 },
+    vibrato: { rate: 5.5, depth: 0.1 }
+  },
+  mellow: {
+    id: 'mellow',
+    name: 'Mellow',
+    partials: [1, 0.08, 0.02],
+    envelope: { attack: 0.08, decay: 0.15, sustain: 0.85, release: 0.4 },
+    breath: { level: 0.06, taarBoost: 1, filterRatio: 1.3, q: 1 },
+    chiff: { level: 0.1, decay: 0.05, filterRatio: 3 },
+    vibrato: { rate: 4, depth: 0.04 }
+  }
+};
+
+const DEFAULT_FLUTE_PRESET = 'bansuri';
+
+/**
+ * How far a note is into the taar register
+ * Breath starts to rise halfway up the madhya saptak and is full at taar Pa
+ * @param {number} frequency - Note frequency in Hz
+ * @returns {number} 0 (low) to 1 (high)
+ */
+function getRegisterAmount(frequency) {
+  const madhyaSa = getTonicMidi() + 12;
+  const amount = (frequencyToMidi(frequency) - (madhyaSa + 6)) / 13;
+  return Math.max(0, Math.min(1, amount));
+}
+
+/**
+ * Create the flute voice
+ * @param {Tone.ToneAudioNode} destination - Node to connect the output to
+ * @param {string} presetId - Key of FLUTE_PRESETS
+ * @returns {object} Voice with triggerAttack(), triggerRelease(), triggerAttackRelease(), setPreset(), getPreset() and dispose()
+ */
+function createFluteVoice(destination, presetId = DEFAULT_FLUTE_PRESET) {
+  let preset = FLUTE_PRESETS[presetId] || FLUTE_PRESETS[DEFAULT_FLUTE_PRESET];
+
+  const output = new Tone.Gain(1).connect(destination);
+
+  // Tone: soft harmonics through a gentle vibrato
+  const vibrato = new Tone.Vibrato(preset.vibrato.rate, preset.vibrato.depth).connect(output);
+  const tone = new Tone.Synth({
+    oscillator: { type: 'custom', partials: preset.partials },
+    envelope: preset.envelope
+  }).connect(vibrato);
+
+  // Breath: pink noise around the note, following the tone's envelope
+  const breathGain = new Tone.Gain(preset.breath.level).connect(output);
+  const breathFilter = new Tone.Filter({ type: 'bandpass', frequency: 1000, Q: preset.breath.q }).connect(breathGain);
+  const breath = new Tone.NoiseSynth({
+    noise: { type: 'pink' },
+    envelope: { ...preset.envelope, attack: preset.envelope.attack * 0.7 }
+  }).connect(breathFilter);
+
+  // Chiff: a short burst of white noise above the note as it speaks
+  const chiffGain = new Tone.Gain(preset.chiff.level).connect(output);
+  const chiffFilter = new Tone.Filter({ type: 'highpass', frequency: 2000 }).connect(chiffGain);
+  const chiff = new Tone.NoiseSynth({
+    noise: { type: 'white' },
+    envelope: { attack: 0.002, decay: preset.chiff.decay, sustain: 0, release: 0.01 }
+  }).connect(chiffFilter);
+
+  function applyPreset() {
+    tone.set({ oscillator: { partials: preset.partials }, envelope: preset.envelope });
+    breath.set({ envelope: { ...preset.envelope, attack: preset.envelope.attack * 0.7 } });
+    breathFilter.Q.value = preset.breath.q;
+    chiff.set({ envelope: { decay: preset.chiff.decay } });
+    chiffGain.gain.value = preset.chiff.level;
+    vibrato.frequency.value = preset.vibrato.rate;
+    vibrato.depth.value = preset.vibrato.depth;
+  }
+
+  function triggerAttack(frequency, time = Tone.now(), velocity = 1) {
+    breathFilter.frequency.setValueAtTime(frequency * preset.breath.filterRatio, time);
+    chiffFilter.frequency.setValueAtTime(frequency * preset.chiff.filterRatio, time);
+    breathGain.gain.setValueAtTime(preset.breath.level * (1 + preset.breath.taarBoost * getRegisterAmount(frequency)), time);
+
+    tone.triggerAttack(frequency, time, velocity);
+    breath.triggerAttack(time, velocity);
+    chiff.triggerAttackRelease(preset.chiff.decay, time, velocity);
+  }
+
+  function triggerRelease(time = Tone.now()) {
+    tone.triggerRelease(time);
+    breath.triggerRelease(time);
+  }
+
+  return {
+    // The tone's envelope, so attack and release can be adjusted like Tone.Synth's
+    envelope: tone.envelope,
+
+    triggerAttack,
+    triggerRelease,
+
+    triggerAttackRelease(frequency, duration, time = Tone.now(), velocity = 1) {
+      triggerAttack(frequency, time, velocity);
+      triggerRelease(time + Tone.Time(duration).toSeconds());
+    },
+
+    setPreset(id) {
+      if (!FLUTE_PRESETS[id]) return false;
+      preset = FLUTE_PRESETS[id];
+      applyPreset();
+      return true;
+    },
+
+    getPreset() {
+      return preset.id;
+    },
+
+    dispose() {
+      [tone, vibrato, breath, breathFilter, breathGain, chiff, chiffFilter, chiffGain, output]
+        .forEach(node => node.dispose());
+    }
+  };
+}
+
+// Export
+export {
+  FLUTE_PRESETS,
+  DEFAULT_FLUTE_PRESET,
+  createFluteVoice
+};
@@ -3,7 +3,9 @@
  * Handles various input methods: buttons, text, dropdown, piano keyboard
  */
 
-import { NOTES, BANSURI_KEYS, getFingeringForNote, getFingeringForSargam, getFingeringForMidi, isPlayable, noteNameToMidi, midiToNoteName } from './fingering-data.js';
+import { NOTES, BANSURI_KEYS, BANSURI_PRESETS, KEY_OCTAVES, INSTRUMENT_PROFILES, getSaMidi, parseBansuriKey, formatBansuriKey, getFingeringForNote, getFingeringForSargam, getFingeringForMidi, getInstrumentProfile, isPlayable, noteNameToMidi, midiToNoteName } from './fingering-data.js';
+import { DEFAULT_REFERENCE_FREQUENCY, REFERENCE_RANGE, CENTS_RANGE, TUNING_SYSTEMS } from './tuning.js';
+import { getWaveformTypes, getFlutePresets } from './audio-engine.js';
 
 // SVG namespace
 const SVG_NS = 'http://www.w3.org/2000/svg';
@@ -164,9 +166,9 @@ function createTextInput(container, onNoteInput) {
 }
 
 /**
- * Create bansuri key selector dropdown
+ * Create bansuri key selector (key, octave and named presets)
  * @param {HTMLElement} container - Container element
- * @param {Function} onKeyChange - Callback when key is changed
+ * @param {Function} onKeyChange - Callback with the new key ('G', 'E3', ...)
  * @param {string} initialKey - Initial key selection
  * @returns {object} Controller object
  */
@@ -187,12 +189,71 @@ function createKeySelector(container, onKeyChange, initialKey = 'G') {
     const option = document.createElement('option');
     option.value = key;
     option.textContent = key;
-    if (key === initialKey) option.selected = true;
     select.appendChild(option);
   });
 
-  select.addEventListener('change', () => {
-    onKeyChange(select.value);
+  // Octave of Sa (bass, medium, small flutes)
+  const octaveSelect = document.createElement('select');
+  octaveSelect.id = 'bansuri-octave';
+  octaveSelect.className = 'key-selector';
+  octaveSelect.title = 'Octave of Sa';
+
+  KEY_OCTAVES.forEach(({ octave, name }) => {
+    const option = document.createElement('option');
+    option.value = octave;
+    option.textContent = `${octave} (${name})`;
+    octaveSelect.appendChild(option);
+  });
+
+  // Named presets fill in key and octave together
+  const presetSelect = document.createElement('select');
+  presetSelect.id = 'bansuri-preset';
+  presetSelect.className = 'key-selector';
+  presetSelect.title = 'Flute preset';
+
+  const customOption = document.createElement('option');
+  customOption.value = '';
+  customOption.textContent = 'Custom';
+  presetSelect.appendChild(customOption);
+
+  Object.keys(BANSURI_PRESETS).forEach(preset => {
+    const option = document.createElement('option');
+    option.value = preset;
+    option.textContent = preset;
+    presetSelect.appendChild(option);
+  });
+
+  const getKey = () => formatBansuriKey(select.value, parseInt(octaveSelect.value));
+
+  // Show the preset matching the current key, or 'Custom'
+  const syncPreset = () => {
+    const key = getKey();
+    const preset = Object.keys(BANSURI_PRESETS).find(name => BANSURI_PRESETS[name] === key);
+    presetSelect.value = preset || '';
+  };
+
+  const setKey = (key) => {
+    const parsed = parseBansuriKey(key);
+    if (!parsed) return;
+    select.value = parsed.key;
+    octaveSelect.value = parsed.octave;
+    syncPreset();
+  };
+
+  setKey(initialKey);
+
+  const handleChange = () => {
+    syncPreset();
+    onKeyChange(getKey());
+  };
+
+  select.addEventListener('change', handleChange);
+  octaveSelect.addEventListener('change', handleChange);
+
+  presetSelect.addEventListener('change', () => {
+    if (!presetSelect.value) return;
+    setKey(presetSelect.value);
+    onKeyChange(getKey());
   });
 
   // Add info text
@@ -202,17 +263,61 @@ function createKeySelector(container, onKeyChange, initialKey = 'G') {
 
   wrapper.appendChild(label);
   wrapper.appendChild(select);
+  wrapper.appendChild(octaveSelect);
   wrapper.appendChild(info);
+  wrapper.appendChild(presetSelect);
+  container.appendChild(wrapper);
+
+  return {
+    element: wrapper,
+    getKey,
+    setKey
+  };
+}
+
+/**
+ * Create instrument profile selector dropdown (6-hole / 7-hole)
+ * @param {HTMLElement} container - Container element
+ * @param {Function} onProfileChange - Callback when profile is changed
+ * @param {string} initialProfile - Initial profile id
+ * @returns {object} Controller object
+ */
+function createInstrumentSelector(container, onProfileChange, initialProfile = 'six-hole') {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'instrument-selector-container';
+
+  const label = document.createElement('label');
+  label.textContent = 'Flute: ';
+  label.htmlFor = 'instrument-profile';
+
+  const select = document.createElement('select');
+  select.id = 'instrument-profile';
+  select.className = 'key-selector';
+
+  Object.values(INSTRUMENT_PROFILES).forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    if (profile.id === initialProfile) option.selected = true;
+    select.appendChild(option);
+  });
+
+  select.addEventListener('change', () => {
+    onProfileChange(select.value);
+  });
+
+  wrapper.appendChild(label);
+  wrapper.appendChild(select);
   container.appendChild(wrapper);
 
   return {
     element: wrapper,
-    getKey() {
+    getProfile() {
       return select.value;
     },
-    setKey(key) {
-      if (BANSURI_KEYS[key]) {
-        select.value = key;
+    setProfile(profileId) {
+      if (INSTRUMENT_PROFILES[profileId]) {
+        select.value = profileId;
       }
     }
   };
@@ -316,12 +421,13 @@ function createRangeDisplay(container, bansuriKey = 'G', octaveShift = 0) {
   range.className = 'range-display-range';
 
   const updateRange = (key, shift) => {
-    const saNote = BANSURI_KEYS[key];
+    const saNote = getSaMidi(key);
     const shiftSemitones = shift * 12;
 
-    // Mandra Pa (semitone 7) to Taar Pa (semitone 31)
-    const lowMidi = saNote + 7 + shiftSemitones;
-    const highMidi = saNote + 31 + shiftSemitones;
+    // Playable range of the active instrument (Mandra Pa to Taar Pa on a 6-hole)
+    const { low, high } = getInstrumentProfile().range;
+    const lowMidi = saNote + low + shiftSemitones;
+    const highMidi = saNote + high + shiftSemitones;
 
     const lowNote = midiToNoteName(lowMidi);
     const highNote = midiToNoteName(highMidi);
@@ -343,6 +449,210 @@ function createRangeDisplay(container, bansuriKey = 'G', octaveShift = 0) {
   };
 }
 
+/**
+ * Create tuning control (reference pitch and flute offset)
+ * @param {HTMLElement} container - Container element
+ * @param {Function} onTuningChange - Callback with { referenceFrequency, cents }
+ * @param {object} initial - { referenceFrequency, cents }
+ * @returns {object} Controller object
+ */
+function createTuningControl(container, onTuningChange, initial = {}) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'tuning-control';
+
+  const createNumberInput = (id, range, step, value, title) => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.id = id;
+    input.className = 'tuning-input';
+    input.min = range.min;
+    input.max = range.max;
+    input.step = step;
+    input.value = value;
+    input.title = title;
+    return input;
+  };
+
+  const referenceLabel = document.createElement('label');
+  referenceLabel.textContent = 'A4 = ';
+  referenceLabel.htmlFor = 'tuning-reference';
+
+  const referenceInput = createNumberInput(
+    'tuning-reference', REFERENCE_RANGE, 0.1,
+    initial.referenceFrequency ?? DEFAULT_REFERENCE_FREQUENCY,
+    'Reference pitch in Hz'
+  );
+
+  const referenceUnit = document.createElement('span');
+  referenceUnit.textContent = 'Hz';
+
+  const centsLabel = document.createElement('label');
+  centsLabel.textContent = 'Offset: ';
+  centsLabel.htmlFor = 'tuning-cents';
+
+  const centsInput = createNumberInput(
+    'tuning-cents', CENTS_RANGE, 1,
+    initial.cents ?? 0,
+    'How sharp (+) or flat (−) this flute plays, in cents'
+  );
+
+  const centsUnit = document.createElement('span');
+  centsUnit.textContent = '¢';
+
+  const readValue = (input, fallback, range) => {
+    const value = parseFloat(input.value);
+    if (!Number.isFinite(value)) return fallback;
+    return Math.max(range.min, Math.min(range.max, value));
+  };
+
+  const handleChange = () => {
+    const referenceFrequency = readValue(referenceInput, DEFAULT_REFERENCE_FREQUENCY, REFERENCE_RANGE);
+    const cents = readValue(centsInput, 0, CENTS_RANGE);
+    referenceInput.value = referenceFrequency;
+    centsInput.value = cents;
+    onTuningChange({ referenceFrequency, cents });
+  };
+
+  referenceInput.addEventListener('change', handleChange);
+  centsInput.addEventListener('change', handleChange);
+
+  wrapper.appendChild(referenceLabel);
+  wrapper.appendChild(referenceInput);
+  wrapper.appendChild(referenceUnit);
+  wrapper.appendChild(centsLabel);
+  wrapper.appendChild(centsInput);
+  wrapper.appendChild(centsUnit);
+  container.appendChild(wrapper);
+
+  return {
+    element: wrapper,
+    setReferenceFrequency(frequency) {
+      referenceInput.value = frequency;
+    },
+    setCents(cents) {
+      centsInput.value = cents;
+    }
+  };
+}
+
+/**
+ * Create tuning system selector dropdown (equal, just, shruti)
+ * @param {HTMLElement} container - Container element
+ * @param {Function} onSystemChange - Callback when the tuning system is changed
+ * @param {string} initialSystem - Initial tuning system id
+ * @returns {object} Controller object
+ */
+function createTuningSystemSelector(container, onSystemChange, initialSystem = 'equal') {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'tuning-system-container';
+
+  const label = document.createElement('label');
+  label.textContent = 'Tuning: ';
+  label.htmlFor = 'tuning-system';
+
+  const select = document.createElement('select');
+  select.id = 'tuning-system';
+  select.className = 'key-selector';
+
+  Object.values(TUNING_SYSTEMS).forEach(system => {
+    const option = document.createElement('option');
+    option.value = system.id;
+    option.textContent = system.name;
+    if (system.id === initialSystem) option.selected = true;
+    select.appendChild(option);
+  });
+
+  select.addEventListener('change', () => {
+    onSystemChange(select.value);
+  });
+
+  wrapper.appendChild(label);
+  wrapper.appendChild(select);
+  container.appendChild(wrapper);
+
+  return {
+    element: wrapper,
+    getSystem() {
+      return select.value;
+    },
+    setSystem(systemId) {
+      if (TUNING_SYSTEMS[systemId]) {
+        select.value = systemId;
+      }
+    }
+  };
+}
+
+/**
+ * Create voice selector dropdown (flute presets and basic waveforms)
+ * Option values are 'flute:<preset>' for the flute voice or the waveform name
+ * @param {HTMLElement} container - Container element
+ * @param {Function} onVoiceChange - Callback with (waveform, flutePreset) when the voice is changed
+ * @param {object} initial - { waveform, flutePreset }
+ * @returns {object} Controller object
+ */
+function createVoiceSelector(container, onVoiceChange, initial = {}) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'voice-selector-container';
+
+  const label = document.createElement('label');
+  label.textContent = 'Voice: ';
+  label.htmlFor = 'voice-selector';
+
+  const select = document.createElement('select');
+  select.id = 'voice-selector';
+  select.className = 'key-selector';
+
+  const fluteGroup = document.createElement('optgroup');
+  fluteGroup.label = 'Flute';
+  getFlutePresets().forEach(preset => {
+    const option = document.createElement('option');
+    option.value = `flute:${preset.id}`;
+    option.textContent = preset.name;
+    fluteGroup.appendChild(option);
+  });
+  select.appendChild(fluteGroup);
+
+  const waveGroup = document.createElement('optgroup');
+  waveGroup.label = 'Waveform';
+  getWaveformTypes().filter(type => type !== 'flute').forEach(type => {
+    const option = document.createElement('option');
+    option.value = type;
+    option.textContent = type.charAt(0).toUpperCase() + type.slice(1);
+    waveGroup.appendChild(option);
+  });
+  select.appendChild(waveGroup);
+
+  const toValue = ({ waveform = 'flute', flutePreset } = {}) =>
+    waveform === 'flute' ? `flute:${flutePreset}` : waveform;
+
+  const setVoice = (voice) => {
+    const value = toValue(voice);
+    if (Array.from(select.options).some(option => option.value === value)) {
+      select.value = value;
+    }
+  };
+  setVoice(initial);
+
+  select.addEventListener('change', () => {
+    const [waveform, flutePreset] = select.value.split(':');
+    onVoiceChange(waveform, flutePreset);
+  });
+
+  wrapper.appendChild(label);
+  wrapper.appendChild(select);
+  container.appendChild(wrapper);
+
+  return {
+    element: wrapper,
+    getVoice() {
+      const [waveform, flutePreset] = select.value.split(':');
+      return { waveform, flutePreset };
+    },
+    setVoice
+  };
+}
+
 /**
  * Create piano keyboard input
  * @param {HTMLElement} container - Container element
@@ -378,11 +688,12 @@ function createPianoKeyboard(container, onNoteSelect, options = {}) {
 
   // Helper function to check if a piano key is within the shifted playable range
   const isInShiftedRange = (midiNote) => {
-    const saNote = BANSURI_KEYS[bansuriKey];
+    const saNote = getSaMidi(bansuriKey);
     const shiftSemitones = octaveShift * 12;
-    // Playable range: Mandra Pa (semitone 7) to Taar Pa (semitone 31)
-    const lowMidi = saNote + 7 + shiftSemitones;
-    const highMidi = saNote + 31 + shiftSemitones;
+    // Playable range of the active instrument profile
+    const { low, high } = getInstrumentProfile().range;
+    const lowMidi = saNote + low + shiftSemitones;
+    const highMidi = saNote + high + shiftSemitones;
     return midiNote >= lowMidi && midiNote <= highMidi;
   };
 
@@ -483,10 +794,11 @@ function createPianoKeyboard(container, onNoteSelect, options = {}) {
     svg,
     keys,
     updatePlayableNotes(newBansuriKey, newOctaveShift) {
-      const saNote = BANSURI_KEYS[newBansuriKey];
+      const saNote = getSaMidi(newBansuriKey);
       const shiftSemitones = newOctaveShift * 12;
-      const lowMidi = saNote + 7 + shiftSemitones;
-      const highMidi = saNote + 31 + shiftSemitones;
+      const { low, high } = getInstrumentProfile().range;
+      const lowMidi = saNote + low + shiftSemitones;
+      const highMidi = saNote + high + shiftSemitones;
 
       keys.forEach(({ element, midiNote, isBlack }) => {
         const playable = midiNote >= lowMidi && midiNote <= highMidi;
@@ -630,52 +942,36 @@ function createOctaveSelector(container, onChange) {
 function createCombinedNoteGrid(container, onNoteSelect, options = {}) {
   const { bansuriKey = 'G' } = options;
 
-  // Define saptak groups with their notes
+  // Swara cells for one saptak, indexed by semitones from Sa
+  const SWARA_CELLS = [
+    { sargam: 'Sa', label: 'Sa' },
+    { sargam: 'Komal Re', label: 're', komal: true },
+    { sargam: 'Re', label: 'Re' },
+    { sargam: 'Komal Ga', label: 'ga', komal: true },
+    { sargam: 'Ga', label: 'Ga' },
+    { sargam: 'Ma', label: 'Ma' },
+    { sargam: 'Tivra Ma', label: "Ma'", tivra: true },
+    { sargam: 'Pa', label: 'Pa' },
+    { sargam: 'Komal Dha', label: 'dha', komal: true },
+    { sargam: 'Dha', label: 'Dha' },
+    { sargam: 'Komal Ni', label: 'ni', komal: true },
+    { sargam: 'Ni', label: 'Ni' }
+  ];
+
+  // Define saptak groups with their notes, limited to the instrument's range
+  // (Mandra Pa to Taar Pa on a 6-hole, from Mandra Ma on a 7-hole)
+  const { low, high } = options.range || getInstrumentProfile().range;
   const SAPTAK_GROUPS = [
-    {
-      name: 'Mandra',
-      label: 'Mandra',
-      notes: [
-        { semitone: 7, sargam: 'Pa', label: 'Pa' },
-        { semitone: 8, sargam: 'Komal Dha', label: 'dha', komal: true },
-        { semitone: 9, sargam: 'Dha', label: 'Dha' },
-        { semitone: 10, sargam: 'Komal Ni', label: 'ni', komal: true },
-        { semitone: 11, sargam: 'Ni', label: 'Ni' }
-      ]
-    },
-    {
-      name: 'Madhya',
-      label: 'Madhya',
-      notes: [
-        { semitone: 12, sargam: 'Sa', label: 'Sa' },
-        { semitone: 13, sargam: 'Komal Re', label: 're', komal: true },
-        { semitone: 14, sargam: 'Re', label: 'Re' },
-        { semitone: 15, sargam: 'Komal Ga', label: 'ga', komal: true },
-        { semitone: 16, sargam: 'Ga', label: 'Ga' },
-        { semitone: 17, sargam: 'Ma', label: 'Ma' },
-        { semitone: 18, sargam: 'Tivra Ma', label: "Ma'", tivra: true },
-        { semitone: 19, sargam: 'Pa', label: 'Pa' },
-        { semitone: 20, sargam: 'Komal Dha', label: 'dha', komal: true },
-        { semitone: 21, sargam: 'Dha', label: 'Dha' },
-        { semitone: 22, sargam: 'Komal Ni', label: 'ni', komal: true },
-        { semitone: 23, sargam: 'Ni', label: 'Ni' }
-      ]
-    },
-    {
-      name: 'Taar',
-      label: 'Taar',
-      notes: [
-        { semitone: 24, sargam: 'Sa', label: 'Sa' },
-        { semitone: 25, sargam: 'Komal Re', label: 're', komal: true },
-        { semitone: 26, sargam: 'Re', label: 'Re' },
-        { semitone: 27, sargam: 'Komal Ga', label: 'ga', komal: true },
-        { semitone: 28, sargam: 'Ga', label: 'Ga' },
-        { semitone: 29, sargam: 'Ma', label: 'Ma' },
-        { semitone: 30, sargam: 'Tivra Ma', label: "Ma'", tivra: true },
-        { semitone: 31, sargam: 'Pa', label: 'Pa' }
-      ]
+    { name: 'Mandra', label: 'Mandra', start: 0 },
+    { name: 'Madhya', label: 'Madhya', start: 12 },
+    { name: 'Taar', label: 'Taar', start: 24 }
+  ].map(group => {
+    const notes = [];
+    for (let semitone = Math.max(group.start, low); semitone <= Math.min(group.start + 11, high); semitone++) {
+      notes.push({ semitone, ...SWARA_CELLS[semitone - group.start] });
     }
-  ];
+    return { ...group, notes };
+  }).filter(group => group.notes.length > 0);
 
   const wrapper = document.createElement('div');
   wrapper.className = 'combined-note-grid';
@@ -735,7 +1031,7 @@ function createCombinedNoteGrid(container, onNoteSelect, options = {}) {
       westernBtn.dataset.semitone = semitone;
 
       // Calculate initial Western note
-      const baseMidi = BANSURI_KEYS[currentBansuriKey];
+      const baseMidi = getSaMidi(currentBansuriKey);
       const midiNote = baseMidi + semitone;
       const western = midiToNoteName(midiNote);
       westernBtn.textContent = western.note;
@@ -753,7 +1049,7 @@ function createCombinedNoteGrid(container, onNoteSelect, options = {}) {
         westernBtn.classList.add('active');
 
         // Get current MIDI note based on current key
-        const currentBaseMidi = BANSURI_KEYS[currentBansuriKey];
+        const currentBaseMidi = getSaMidi(currentBansuriKey);
         const currentMidiNote = currentBaseMidi + semitone;
 
         onNoteSelect(sargam, currentMidiNote, semitone);
@@ -782,7 +1078,7 @@ function createCombinedNoteGrid(container, onNoteSelect, options = {}) {
 
     updateWesternNotes(newBansuriKey) {
       currentBansuriKey = newBansuriKey;
-      const baseMidi = BANSURI_KEYS[newBansuriKey];
+      const baseMidi = getSaMidi(newBansuriKey);
 
       allWesternButtons.forEach(btn => {
         const semitone = parseInt(btn.dataset.semitone);
@@ -828,7 +1124,7 @@ function createCombinedNoteGrid(container, onNoteSelect, options = {}) {
     },
 
     updatePlayability(newBansuriKey, octaveShift) {
-      const baseMidi = BANSURI_KEYS[newBansuriKey];
+      const baseMidi = getSaMidi(newBansuriKey);
       const shiftSemitones = octaveShift * 12;
 
       allSargamButtons.forEach((btn, i) => {
@@ -865,8 +1161,12 @@ export {
   createNoteButtons,
   createTextInput,
   createKeySelector,
+  createInstrumentSelector,
   createOctaveShift,
   createRangeDisplay,
+  createTuningControl,
+  createTuningSystemSelector,
+  createVoiceSelector,
   createPianoKeyboard,
   createSargamButtons,
   createOctaveSelector,
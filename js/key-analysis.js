@@ -0,0 +1,192 @@
+/**
+ * Bansuri.js - Key Analysis
+ * Tries every bansuri key and octave shift against a piece and recommends the best fit
+ */
+
+import {
+  OPEN,
+  CLOSED,
+  BANSURI_KEYS,
+  getFingeringBySemitone,
+  getInstrumentProfile,
+  getSaMidi,
+  parseBansuriKey,
+  formatBansuriKey,
+  DEFAULT_KEY_OCTAVE
+} from './fingering-data.js';
+import { analyzeTransitions } from './transition-analysis.js';
+
+// Octave shifts offered by the octave shift control
+const OCTAVE_SHIFTS = [-2, -1, 0, 1, 2];
+
+// How much each measurement counts towards a key's score
+const SCORE_WEIGHTS = {
+  coverage: 100,   // Share of notes in the playable range
+  halfHoles: 20,   // Share of notes that need a partially covered hole
+  difficulty: 5,   // Average transition score
+  shift: 1         // Each octave of shift, so unshifted keys win ties
+};
+
+/**
+ * Analyze how well a piece fits one key and octave shift
+ * Notes are fingered the way the range display reads the shift: a shifted
+ * flute sounds `octaveShift` octaves away from its fingerings
+ * @param {Array} notes - Notes with { midiNote, startTime, duration }
+ * @param {string} bansuriKey - Bansuri key
+ * @param {number} octaveShift - Octave shift
+ * @returns {object|null} { bansuriKey, octaveShift, inRange, outOfRange, halfHoles, coverage, halfHoleRatio, difficulty, score }
+ */
+function analyzeKey(notes, bansuriKey, octaveShift = 0) {
+  const saMidi = getSaMidi(bansuriKey);
+  if (!notes || notes.length === 0 || saMidi === undefined) return null;
+
+  const { low, high } = getInstrumentProfile().range;
+  let inRange = 0;
+  let halfHoles = 0;
+
+  notes.forEach(note => {
+    const semitonesFromSa = note.midiNote - saMidi - octaveShift * 12;
+    if (semitonesFromSa < low || semitonesFromSa > high) return;
+    inRange++;
+
+    const fingering = getFingeringBySemitone(semitonesFromSa, note.midiNote, bansuriKey);
+    if (fingering && fingering.holes.some(h => h > OPEN && h < CLOSED)) {
+      halfHoles++;
+    }
+  });
+
+  const coverage = inRange / notes.length;
+  const halfHoleRatio = inRange > 0 ? halfHoles / inRange : 0;
+  const { summary } = analyzeTransitions(notes, bansuriKey, { octaveShift });
+
+  const score = coverage * SCORE_WEIGHTS.coverage
+    - halfHoleRatio * SCORE_WEIGHTS.halfHoles
+    - summary.averageScore * SCORE_WEIGHTS.difficulty
+    - Math.abs(octaveShift) * SCORE_WEIGHTS.shift;
+
+  return {
+    bansuriKey,
+    octaveShift,
+    inRange,
+    outOfRange: notes.length - inRange,
+    halfHoles,
+    coverage,
+    halfHoleRatio,
+    difficulty: summary,
+    score
+  };
+}
+
+/**
+ * Rank every bansuri key and octave shift for a piece, best first
+ * Keys stay in the register (octave) of the current flute
+ * @param {Array} notes - Notes with { midiNote, startTime, duration }
+ * @param {object} options - { octave, shifts }
+ * @returns {Array} Results from analyzeKey, sorted by score
+ */
+function rankKeys(notes, options = {}) {
+  const { octave = DEFAULT_KEY_OCTAVE, shifts = OCTAVE_SHIFTS } = options;
+  if (!notes || notes.length === 0) return [];
+
+  const results = [];
+  Object.keys(BANSURI_KEYS).forEach(key => {
+    const bansuriKey = formatBansuriKey(key, octave);
+    shifts.forEach(shift => {
+      const result = analyzeKey(notes, bansuriKey, shift);
+      if (result) results.push(result);
+    });
+  });
+
+  return results.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Recommend the best key and octave shift for a piece
+ * @param {Array} notes - Notes with { midiNote, startTime, duration }
+ * @param {string} currentKey - Currently selected key; its register is kept
+ * @returns {object|null} Best result from rankKeys, with `ranking` holding the full list
+ */
+function recommendKey(notes, currentKey = 'G') {
+  const parsed = parseBansuriKey(currentKey);
+  const octave = parsed ? parsed.octave : DEFAULT_KEY_OCTAVE;
+
+  const ranking = rankKeys(notes, { octave });
+  if (ranking.length === 0) return null;
+
+  return { ...ranking[0], ranking };
+}
+
+/**
+ * Format an octave shift for display
+ */
+function formatShift(shift) {
+  return shift > 0 ? `+${shift}` : `${shift}`;
+}
+
+/**
+ * Create the key recommendation button shown next to the key selector
+ * @param {HTMLElement} container - Parent container element
+ * @param {Function} onApply - Callback with the recommendation when clicked
+ * @returns {object} Controller with update() method
+ */
+function createKeyRecommendation(container, onApply) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'key-recommendation';
+  wrapper.style.display = 'none'; // Hidden until a piece is loaded
+
+  const button = document.createElement('button');
+  button.className = 'key-recommendation-button';
+  button.type = 'button';
+
+  wrapper.appendChild(button);
+  container.appendChild(wrapper);
+
+  let recommendation = null;
+
+  button.addEventListener('click', () => {
+    if (recommendation && onApply) {
+      onApply(recommendation);
+    }
+  });
+
+  return {
+    element: wrapper,
+    update(result, currentKey, currentShift = 0) {
+      recommendation = result;
+      if (!result) {
+        wrapper.style.display = 'none';
+        return;
+      }
+
+      const { key } = parseBansuriKey(result.bansuriKey);
+      const shiftText = result.octaveShift !== 0 ? ` (shift ${formatShift(result.octaveShift)})` : '';
+      const percent = Math.round(result.coverage * 100);
+      const isCurrent = result.bansuriKey === currentKey && result.octaveShift === currentShift;
+
+      button.textContent = isCurrent
+        ? `Best key: ${key}${shiftText} · ${percent}% playable`
+        : `Suggested: ${key}${shiftText} · ${percent}% playable`;
+      button.disabled = isCurrent;
+
+      // Next best options in the tooltip
+      button.title = result.ranking.slice(0, 3).map(r => {
+        const name = parseBansuriKey(r.bansuriKey).key;
+        const shift = r.octaveShift !== 0 ? ` ${formatShift(r.octaveShift)}` : '';
+        return `${name}${shift}: ${Math.round(r.coverage * 100)}% playable, `
+          + `${Math.round(r.halfHoleRatio * 100)}% half-holes, ${r.difficulty.level}`;
+      }).join('\n');
+
+      wrapper.style.display = 'block';
+    }
+  };
+}
+
+// Export
+export {
+  OCTAVE_SHIFTS,
+  SCORE_WEIGHTS,
+  analyzeKey,
+  rankKeys,
+  recommendKey,
+  createKeyRecommendation
+};
@@ -3,14 +3,16 @@
  * Helps users find the right bansuri by showing all notes at once
  */
 
-import { BANSURI_KEYS } from './fingering-data.js';
+import { INSTRUMENT_PROFILES, isValidBansuriKey, setInstrumentProfile } from './fingering-data.js';
 import { createHorizontalBansuri } from './bansuri-svg.js';
-import { createKeySelector } from './input-handlers.js';
+import { createKeySelector, createInstrumentSelector, createTuningSystemSelector } from './input-handlers.js';
+import { setTuningSystem, getTuningSystem, getTuningSettings, applyTuningSettings } from './tuning.js';
 import { createNoteLabels, parseNoteInput, noteNameToSemitone } from './finder-note-labels.js';
 
 // Application state
 const state = {
   bansuriKey: 'G',
+  instrumentProfile: 'six-hole',
   highlightedNotes: []
 };
 
@@ -18,6 +20,8 @@ const state = {
 let bansuri = null;
 let noteLabels = null;
 let keySelector = null;
+let instrumentSelector = null;
+let tuningSystemSelector = null;
 let textInput = null;
 
 /**
@@ -33,8 +37,29 @@ function init() {
     return;
   }
 
-  // Create horizontal bansuri SVG
-  bansuri = createHorizontalBansuri(bansuriContainer);
+  // Create horizontal bansuri SVG with note labels
+  renderBansuri(bansuriContainer);
+
+  // Create settings bar
+  if (settingsContainer) {
+    createSettingsBar(settingsContainer);
+  }
+
+  // Load saved preferences
+  loadPreferences();
+
+  console.log('Flute Finder initialized');
+}
+
+/**
+ * Render the horizontal bansuri and its note labels for the active profile
+ */
+function renderBansuri(container) {
+  if (bansuri) {
+    bansuri.svg.remove();
+  }
+
+  bansuri = createHorizontalBansuri(container);
 
   // Remove finger labels (L1, L2, L3, R1, R2, R3) - not needed for finder
   const fingerLabels = bansuri.svg.querySelector('g.finger-labels');
@@ -52,16 +77,6 @@ function init() {
     { width: 900, height: 180 }, // Increased height for labels
     state.bansuriKey
   );
-
-  // Create settings bar
-  if (settingsContainer) {
-    createSettingsBar(settingsContainer);
-  }
-
-  // Load saved preferences
-  loadPreferences();
-
-  console.log('Flute Finder initialized');
 }
 
 /**
@@ -71,6 +86,12 @@ function createSettingsBar(container) {
   // Key selector
   keySelector = createKeySelector(container, handleKeyChange, state.bansuriKey);
 
+  // Instrument profile selector (6-hole / 7-hole)
+  instrumentSelector = createInstrumentSelector(container, handleProfileChange, state.instrumentProfile);
+
+  // Tuning system, shared with the pages that play sound
+  tuningSystemSelector = createTuningSystemSelector(container, handleTuningSystemChange, getTuningSystem());
+
   // Text input container
   const inputWrapper = document.createElement('div');
   inputWrapper.className = 'finder-input-container';
@@ -156,13 +177,53 @@ function handleKeyChange(newKey) {
   savePreferences();
 }
 
+/**
+ * Handle instrument profile change
+ */
+function handleProfileChange(profileId) {
+  applyInstrumentProfile(profileId);
+  savePreferences();
+}
+
+/**
+ * Switch the instrument profile, re-render the flute and restore highlights
+ */
+function applyInstrumentProfile(profileId) {
+  if (!setInstrumentProfile(profileId)) return;
+  state.instrumentProfile = profileId;
+
+  const bansuriContainer = document.getElementById('bansuri-display');
+  if (bansuriContainer) {
+    renderBansuri(bansuriContainer);
+  }
+
+  if (textInput) {
+    handleNoteInput();
+  }
+}
+
+/**
+ * Handle tuning system change
+ */
+function handleTuningSystemChange(systemId) {
+  setTuningSystem(systemId);
+  savePreferences();
+}
+
 /**
  * Save preferences to localStorage
  */
 function savePreferences() {
   try {
     localStorage.setItem('bansuri-finder-prefs', JSON.stringify({
-      bansuriKey: state.bansuriKey
+      bansuriKey: state.bansuriKey,
+      instrumentProfile: state.instrumentProfile
+    }));
+    // Tuning lives in the shared prefs used by the other pages
+    const generalPrefs = JSON.parse(localStorage.getItem('bansuri-prefs')) || {};
+    localStorage.setItem('bansuri-prefs', JSON.stringify({
+      ...generalPrefs,
+      tuning: getTuningSettings()
     }));
   } catch (e) {
     console.warn('Could not save preferences:', e);
@@ -174,8 +235,16 @@ function savePreferences() {
  */
 function loadPreferences() {
   try {
+    const generalPrefs = JSON.parse(localStorage.getItem('bansuri-prefs'));
+    if (generalPrefs) {
+      applyTuningSettings(generalPrefs.tuning);
+      if (tuningSystemSelector) {
+        tuningSystemSelector.setSystem(getTuningSystem());
+      }
+    }
+
     const prefs = JSON.parse(localStorage.getItem('bansuri-finder-prefs'));
-    if (prefs && prefs.bansuriKey && BANSURI_KEYS[prefs.bansuriKey]) {
+    if (prefs && prefs.bansuriKey && isValidBansuriKey(prefs.bansuriKey)) {
       state.bansuriKey = prefs.bansuriKey;
       if (keySelector) {
         keySelector.setKey(prefs.bansuriKey);
@@ -184,6 +253,12 @@ function loadPreferences() {
         noteLabels.updateKey(prefs.bansuriKey);
       }
     }
+    if (prefs && prefs.instrumentProfile && INSTRUMENT_PROFILES[prefs.instrumentProfile]) {
+      if (instrumentSelector) {
+        instrumentSelector.setProfile(prefs.instrumentProfile);
+      }
+      applyInstrumentProfile(prefs.instrumentProfile);
+    }
   } catch (e) {
     console.warn('Could not load preferences:', e);
   }
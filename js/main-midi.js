@@ -3,42 +3,74 @@
  * MIDI device input for bansuri fingering visualization
  */
 
-import { getFingeringForMidi, getFingeringBySemitone, midiToFrequency, midiToNoteName, BANSURI_KEYS } from './fingering-data.js';
+import { getFingeringForMidi, getFingeringBySemitone, midiToFrequency, setInstrumentProfile, INSTRUMENT_PROFILES, getSaMidi, isValidBansuriKey, isPlayable } from './fingering-data.js';
 import { createHorizontalBansuri } from './bansuri-svg.js';
-import { initAudio, playMidi, stopNote } from './audio-engine.js';
-import { createKeySelector, createOctaveShift, createRangeDisplay } from './input-handlers.js';
+import { initAudio, playMidi, stopNote, setWaveform, setFlutePreset, getVoiceSettings, applyVoiceSettings } from './audio-engine.js';
+import { createKeySelector, createInstrumentSelector, createOctaveShift, createRangeDisplay, createTuningControl, createTuningSystemSelector, createVoiceSelector } from './input-handlers.js';
+import { setMetronomeTempo, setBeatsPerCycle, getMetronomeSettings, applyMetronomeSettings, createMetronomeControls } from './metronome.js';
+import { createTanpuraControls, getTanpuraSettings, applyTanpuraSettings } from './tanpura.js';
+import { setReferenceFrequency, getReferenceFrequency, setFluteOffset, getFluteOffset, setActiveFlute, setTuningSystem, getTuningSystem, getTuningSettings, applyTuningSettings } from './tuning.js';
 import { initMidi, onNoteOn, onNoteOff, createMidiStatusDisplay } from './midi-handler.js';
-import { parseMIDI, createMIDIFileInput, createTempoControl, createTimedNoteSequencer, createPianoRoll, extractUniqueNotes, createUniqueNotesDisplay } from './midi-file-parser.js';
+import { analyzeTransitions, createDifficultyDisplay } from './transition-analysis.js';
+import { recommendKey, createKeyRecommendation } from './key-analysis.js';
+import { hasGlide, getBendAt, getGlideFingering } from './meend.js';
+import { GM_FLUTE_PROGRAM, notesToTracks, createMIDIExportButton, createNoteRecorder } from './midi-file-writer.js';
+import { createABCExportButton } from './abc-notation.js';
+import { DEFAULT_TAAL, createNotationView } from './bhatkhande-notation.js';
+import { MELODY_STRATEGIES, DEFAULT_MELODY_STRATEGY, extractMelody, fitToFlute, createMelodyExtractionControl, createFitToFluteControl } from './melody-transform.js';
+import { parseMIDI, createMIDIFileInput, createTempoControl, createTimedNoteSequencer, createPianoRoll, extractUniqueNotes, createUniqueNotesDisplay, summarizeParts, getDefaultPartSelection, filterNotesByParts, createPartSelector } from './midi-file-parser.js';
 
 // Application state
 const state = {
   bansuriKey: 'G',
+  instrumentProfile: 'six-hole',
   octaveShift: 0,
   currentFingering: null,
   audioEnabled: true,
   activeTab: 'device',
   isFilePlayback: false,
-  midiData: null
+  midiData: null,
+  partSelection: null, // Tracks and channels that drive the display
+  melody: { strategy: DEFAULT_MELODY_STRATEGY, channel: null, track: null },
+  melodyNotes: null,   // Single line extracted from the parsed notes
+  fitToFlute: false,
+  playbackNotes: null, // Parsed notes, or the fitted copy when fit to flute is on
+  glide: null,         // { note, semitonesFromSa, holes } while a bent note is playing
+  notationTaal: DEFAULT_TAAL,
+  tempoMultiplier: 1,  // Playback speed of the file
+  metronomeFollowsFile: { tempo: true, beats: true }, // Cleared once the user sets their own
+  metronomeShown: null // Metronome settings last shown in the controls
 };
 
 // UI Components
 let bansuri = null;
 let keySelector = null;
+let instrumentSelector = null;
 let octaveShiftControl = null;
 let rangeDisplay = null;
+let tuningControl = null;
+let tuningSystemSelector = null;
+let voiceSelector = null;
+let tanpuraControls = null;
+let metronomeControls = null;
 let midiStatus = null;
 let sequencer = null;
 let pianoRoll = null;
 let uniqueNotesDisplay = null;
+let difficultyDisplay = null;
+let keyRecommendation = null;
+let partSelector = null;
+let noteRecorder = null;
+let recordingExport = null;
+let melodyExtractionControl = null;
+let fitToFluteControl = null;
+let notationView = null;
 
 // Audio engine reference that wraps audio functions
 // This object is created immediately so sequencer can use it,
 // but the functions it calls will initialize audio on first use
 const audioEngineRef = {
-  playMidi: (note, duration) => {
-    const shiftedNote = note + (state.octaveShift * 12);
-    return playMidi(shiftedNote, duration);
-  },
+  playMidi: (note, duration) => playMidi(note, duration),
   stopNote: () => stopNote()
 };
 
@@ -48,6 +80,7 @@ const audioEngineRef = {
 function init() {
   const bansuriContainer = document.getElementById('bansuri-display');
   const settingsContainer = document.getElementById('settings-bar');
+  const tanpuraContainer = document.getElementById('tanpura-controls');
   const noteInfoContainer = document.getElementById('note-info');
 
   if (!bansuriContainer) {
@@ -56,13 +89,18 @@ function init() {
   }
 
   // Create horizontal bansuri SVG
-  bansuri = createHorizontalBansuri(bansuriContainer);
+  bansuri = createHorizontalBansuri(bansuriContainer, { onAlternateChange: handleAlternateChange });
 
   // Create settings bar
   if (settingsContainer) {
     createSettingsBar(settingsContainer);
   }
 
+  // Create tanpura drone controls
+  if (tanpuraContainer) {
+    tanpuraControls = createTanpuraControls(tanpuraContainer, () => savePreferences());
+  }
+
   // Create note info display
   if (noteInfoContainer) {
     createNoteInfo(noteInfoContainer);
@@ -95,17 +133,35 @@ function init() {
 }
 
 /**
- * Create settings bar (key selector, octave shift, and range display)
+ * Create settings bar (key selector, flute type, octave shift, and range display)
  */
 function createSettingsBar(container) {
   // Key selector
   keySelector = createKeySelector(container, handleKeyChange, state.bansuriKey);
 
+  // Best key for the loaded file, applied with one click
+  keyRecommendation = createKeyRecommendation(container, applyKeyRecommendation);
+
+  // Instrument profile selector (6-hole / 7-hole)
+  instrumentSelector = createInstrumentSelector(container, handleProfileChange, state.instrumentProfile);
+
   // Octave shift controls
   octaveShiftControl = createOctaveShift(container, handleOctaveShiftChange, state.octaveShift);
 
   // Range display
   rangeDisplay = createRangeDisplay(container, state.bansuriKey, state.octaveShift);
+
+  // Tuning system (equal temperament, just intonation, shruti)
+  tuningSystemSelector = createTuningSystemSelector(container, handleTuningSystemChange, getTuningSystem());
+
+  // Voice (flute presets or a basic waveform)
+  voiceSelector = createVoiceSelector(container, handleVoiceChange, getVoiceSettings());
+
+  // Reference pitch and flute tuning offset
+  tuningControl = createTuningControl(container, handleTuningChange, {
+    referenceFrequency: getReferenceFrequency(),
+    cents: getFluteOffset(state.bansuriKey)
+  });
 }
 
 /**
@@ -162,6 +218,67 @@ function initDeviceTab() {
     `;
     midiStatusContainer.appendChild(instructions);
   }
+
+  // Record device input and save it as a MIDI file
+  const recorderContainer = document.getElementById('recorder-container');
+  if (recorderContainer) {
+    noteRecorder = createNoteRecorder(recorderContainer, notes => {
+      recordingExport.setEnabled(notes.length > 0);
+    });
+    recordingExport = createMIDIExportButton(recorderContainer, getRecordingExport);
+    recordingExport.setEnabled(false);
+  }
+}
+
+/**
+ * Get the last device recording as a MIDI export
+ */
+function getRecordingExport() {
+  if (!noteRecorder || noteRecorder.isRecording()) return null;
+
+  return {
+    tracks: [{ name: 'Bansuri', notes: noteRecorder.getNotes(), program: GM_FLUTE_PROGRAM }],
+    options: { name: 'Bansuri recording' },
+    fileName: 'bansuri-recording.mid'
+  };
+}
+
+/**
+ * Get the notes being played from the loaded file as a MIDI export
+ * Keeps the file's timing, time signatures and markers; the notes are the
+ * selected, extracted and fitted ones
+ */
+function getFileExport() {
+  if (!state.midiData || !state.playbackNotes || state.playbackNotes.length === 0) return null;
+
+  const { fileName, division, tempoMap, timeSignatures, keySignatures, markers } = state.midiData;
+  const baseName = fileName ? fileName.replace(/\.[^.]+$/, '') : 'bansuri';
+  return {
+    tracks: notesToTracks(state.playbackNotes, { name: 'Bansuri' }),
+    options: { name: baseName, division, tempoMap, timeSignatures, keySignatures, markers },
+    fileName: `${baseName}-bansuri.mid`
+  };
+}
+
+/**
+ * Get the notes being played from the loaded file as an ABC export
+ * Uses the file's first tempo, time signature and key signature
+ */
+function getFileABCExport() {
+  if (!state.midiData || !state.playbackNotes || state.playbackNotes.length === 0) return null;
+
+  const { fileName, title, tempoMap, timeSignatures, keySignatures } = state.midiData;
+  const baseName = fileName ? fileName.replace(/\.[^.]+$/, '') : 'bansuri';
+  const options = { title: title || baseName };
+  if (tempoMap && tempoMap.length > 0) options.bpm = 60000000 / tempoMap[0].tempo;
+  if (timeSignatures && timeSignatures.length > 0) options.meter = timeSignatures[0];
+  if (keySignatures && keySignatures.length > 0) options.key = keySignatures[0].name;
+
+  return {
+    notes: state.playbackNotes,
+    options,
+    fileName: `${baseName}-bansuri.abc`
+  };
 }
 
 /**
@@ -179,23 +296,64 @@ function initFileTab() {
     fileInputComponent = createMIDIFileInput(fileInputContainer, handleMIDIFileParsed);
   }
 
+  // Create MIDI and ABC exports of the notes being played
+  if (fileInputContainer) {
+    createMIDIExportButton(fileInputContainer, getFileExport);
+    createABCExportButton(fileInputContainer, getFileABCExport);
+  }
+
   // Create tempo control
   if (tempoControlContainer) {
     createTempoControl(tempoControlContainer, handleTempoChange);
   }
 
+  // Create metronome to play along with
+  const metronomeContainer = document.getElementById('metronome-container');
+  if (metronomeContainer) {
+    metronomeControls = createMetronomeControls(metronomeContainer, {
+      standalone: true,
+      onChange: handleMetronomeChange
+    });
+    state.metronomeShown = getMetronomeSettings();
+  }
+
   // Create unique notes display
   const uniqueNotesContainer = document.getElementById('unique-notes-container');
   if (uniqueNotesContainer) {
     uniqueNotesDisplay = createUniqueNotesDisplay(uniqueNotesContainer);
   }
 
+  // Create transition difficulty summary
+  const difficultyContainer = document.getElementById('difficulty-container');
+  if (difficultyContainer) {
+    difficultyDisplay = createDifficultyDisplay(difficultyContainer);
+  }
+
+  // Create track and channel selector
+  const partSelectorContainer = document.getElementById('part-selector-container');
+  if (partSelectorContainer) {
+    partSelector = createPartSelector(partSelectorContainer, handlePartSelectionChange);
+  }
+
+  // Create melody extraction selector
+  const melodyExtractionContainer = document.getElementById('melody-extraction-container');
+  if (melodyExtractionContainer) {
+    melodyExtractionControl = createMelodyExtractionControl(melodyExtractionContainer, handleMelodyExtractionChange, state.melody);
+  }
+
+  // Create fit to flute toggle and report
+  const fitToFluteContainer = document.getElementById('fit-to-flute-container');
+  if (fitToFluteContainer) {
+    fitToFluteControl = createFitToFluteControl(fitToFluteContainer, handleFitToFluteChange, state.fitToFlute);
+  }
+
   // Create piano roll visualization
   if (pianoRollContainer) {
     pianoRoll = createPianoRoll(pianoRollContainer, {
       width: 800,
       height: 200,
-      bansuriKey: state.bansuriKey
+      bansuriKey: state.bansuriKey,
+      octaveShift: state.octaveShift
     });
   }
 
@@ -209,6 +367,15 @@ function initFileTab() {
     );
   }
 
+  // Create notation of the melody
+  const notationContainer = document.getElementById('notation-container');
+  if (notationContainer) {
+    notationView = createNotationView(notationContainer, {
+      taal: state.notationTaal,
+      onTaalChange: handleNotationTaalChange
+    });
+  }
+
   // Auto-load cached MIDI file if available
   if (fileInputComponent && fileInputComponent.loadCachedFile) {
     // Use setTimeout to ensure all components are initialized
@@ -223,17 +390,224 @@ function initFileTab() {
  */
 function handleMIDIFileParsed(midiData) {
   state.midiData = midiData;
+  state.playbackNotes = null;
+  if (pianoRoll) {
+    pianoRoll.setTimeline(midiData);
+  }
+
+  // Start with every part except the drums
+  const parts = summarizeParts(midiData);
+  state.partSelection = getDefaultPartSelection(parts);
+  if (partSelector) {
+    partSelector.update(parts, state.partSelection);
+  }
+
+  // Channels and tracks differ between files
+  state.melody = { ...state.melody, channel: null, track: null };
+  if (melodyExtractionControl) {
+    melodyExtractionControl.setOptions(state.melody);
+  }
+  updateMelodyExtraction();
+  updateMelodyTransform();
+  updateTransitionAnalysis();
+  updateKeyRecommendation();
+  updateMetronomeFromFile();
+}
+
+/**
+ * Set the metronome to the file's first tempo and time signature, at the playback speed
+ * A tempo or beat count the user has set themselves is left alone
+ */
+function updateMetronomeFromFile() {
+  if (!state.midiData) return;
+
+  const { tempoMap, timeSignatures } = state.midiData;
+  const { tempo, beats } = state.metronomeFollowsFile;
+  if (tempo) {
+    const bpm = tempoMap && tempoMap.length > 0 ? 60000000 / tempoMap[0].tempo : 120;
+    setMetronomeTempo(bpm * state.tempoMultiplier);
+  }
+  if (beats && timeSignatures && timeSignatures.length > 0) {
+    setBeatsPerCycle(timeSignatures[0].numerator);
+  }
+
+  showMetronomeSettings();
+}
+
+/**
+ * Show the current metronome settings in its controls
+ */
+function showMetronomeSettings() {
+  state.metronomeShown = getMetronomeSettings();
+  if (metronomeControls) {
+    metronomeControls.setSettings(state.metronomeShown);
+  }
+}
+
+/**
+ * Handle a change in the metronome controls
+ * Once the user sets the tempo or beats, the file no longer overrides it
+ */
+function handleMetronomeChange(settings) {
+  const shown = state.metronomeShown;
+  if (shown && settings.bpm !== shown.bpm) {
+    state.metronomeFollowsFile.tempo = false;
+  }
+  if (shown && settings.beatsPerCycle !== shown.beatsPerCycle) {
+    state.metronomeFollowsFile.beats = false;
+  }
+  state.metronomeShown = settings;
+
+  savePreferences();
+}
+
+/**
+ * Load the notes to play into the sequencer and piano roll
+ */
+function loadPlaybackNotes(notes) {
+  state.playbackNotes = notes;
   if (sequencer) {
-    sequencer.setNotes(midiData.notes);
+    sequencer.setNotes(notes);
   }
   if (pianoRoll) {
-    pianoRoll.setNotes(midiData.notes, state.bansuriKey);
+    pianoRoll.setNotes(notes, state.bansuriKey);
   }
   // Update unique notes display
-  if (uniqueNotesDisplay && midiData.notes && midiData.notes.length > 0) {
-    const uniqueNotes = extractUniqueNotes(midiData.notes);
+  if (uniqueNotesDisplay && notes && notes.length > 0) {
+    const uniqueNotes = extractUniqueNotes(notes);
     uniqueNotesDisplay.update(uniqueNotes);
   }
+  updateNotation();
+}
+
+/**
+ * Write the notes being played in Bhatkhande notation
+ * Beats are quarter notes at the file's first tempo; swaras depend on the key
+ */
+function updateNotation() {
+  if (!notationView || !state.midiData) return;
+
+  const { tempoMap, title, fileName } = state.midiData;
+  notationView.setMelody(state.playbackNotes || [], {
+    bansuriKey: state.bansuriKey,
+    msPerBeat: tempoMap && tempoMap.length > 0 ? tempoMap[0].tempo / 1000 : 500,
+    title: title || fileName || ''
+  });
+}
+
+function handleNotationTaalChange(taalId) {
+  state.notationTaal = taalId;
+  savePreferences();
+}
+
+function handlePartSelectionChange(selection) {
+  state.partSelection = selection;
+  updateMelodyExtraction();
+  updateMelodyTransform();
+  updateTransitionAnalysis();
+  updateKeyRecommendation();
+}
+
+/**
+ * Reduce the selected tracks and channels to the single line a bansuri can play
+ */
+function updateMelodyExtraction() {
+  if (!state.midiData) return;
+
+  const notes = state.partSelection
+    ? filterNotesByParts(state.midiData.notes, state.partSelection)
+    : state.midiData.notes;
+  const result = extractMelody(notes, state.melody);
+  state.melodyNotes = result.notes;
+  if (melodyExtractionControl) {
+    melodyExtractionControl.update(result, notes.length);
+  }
+}
+
+function handleMelodyExtractionChange(options) {
+  state.melody = options;
+  if (state.midiData) {
+    updateMelodyExtraction();
+    updateMelodyTransform();
+    updateTransitionAnalysis();
+    updateKeyRecommendation();
+  }
+  savePreferences();
+}
+
+/**
+ * Fit the melody to the flute's range and play the fitted copy when enabled
+ * The parsed notes in state.midiData are never changed, so turning the option off restores them
+ */
+function updateMelodyTransform() {
+  if (!state.melodyNotes) return;
+
+  const notes = state.melodyNotes;
+  const result = fitToFlute(notes, state.bansuriKey, state.octaveShift);
+  const playbackNotes = state.fitToFlute ? result.notes : notes;
+
+  // Reloading resets playback, so only do it when the notes actually change
+  if (playbackNotes !== state.playbackNotes) {
+    loadPlaybackNotes(playbackNotes);
+  }
+  if (pianoRoll) {
+    pianoRoll.setChangedNotes(state.fitToFlute ? result.changes : []);
+  }
+
+  if (fitToFluteControl) {
+    const outOfRange = notes.filter(n => !isPlayable(n.midiNote - state.octaveShift * 12, state.bansuriKey)).length;
+    fitToFluteControl.update(result, outOfRange);
+  }
+}
+
+function handleFitToFluteChange(enabled) {
+  state.fitToFlute = enabled;
+  updateMelodyTransform();
+  updateTransitionAnalysis();
+  savePreferences();
+}
+
+/**
+ * Rank every key and octave shift for the loaded file and show the best one
+ * Reruns when the instrument changes its range, and when the key or shift
+ * changes so the button can tell whether the best key is already selected
+ */
+function updateKeyRecommendation() {
+  if (!state.melodyNotes || !keyRecommendation) return;
+
+  const recommendation = recommendKey(state.melodyNotes, state.bansuriKey);
+  keyRecommendation.update(recommendation, state.bansuriKey, state.octaveShift);
+}
+
+/**
+ * Switch to a recommended key and octave shift
+ */
+function applyKeyRecommendation({ bansuriKey, octaveShift }) {
+  if (keySelector) {
+    keySelector.setKey(bansuriKey);
+  }
+  handleKeyChange(bansuriKey);
+
+  if (octaveShiftControl) {
+    octaveShiftControl.setShift(octaveShift);
+  }
+  handleOctaveShiftChange(octaveShift);
+}
+
+/**
+ * Analyze fingering transitions of the loaded file and highlight the hard ones
+ * Fingerings depend on the key and instrument, so this reruns when they change
+ */
+function updateTransitionAnalysis() {
+  if (!state.midiData) return;
+
+  const analysis = analyzeTransitions(state.playbackNotes, state.bansuriKey, { octaveShift: state.octaveShift });
+  if (pianoRoll) {
+    pianoRoll.setTransitionAnalysis(analysis);
+  }
+  if (difficultyDisplay) {
+    difficultyDisplay.update(analysis);
+  }
 }
 
 /**
@@ -243,26 +617,54 @@ function handleTimeUpdate(currentTime) {
   if (pianoRoll) {
     pianoRoll.setCurrentTime(currentTime);
   }
+  animateGlide(currentTime);
+}
+
+/**
+ * Slide the holes through a pitch-bent note (meend) as playback moves through it
+ */
+function animateGlide(currentTime) {
+  if (!state.glide) return;
+
+  const { note, semitonesFromSa } = state.glide;
+  const offset = currentTime - note.startTime;
+  if (offset < 0 || offset > note.duration) return;
+
+  const fingering = getGlideFingering(semitonesFromSa, getBendAt(note, offset), note.midiNote, state.bansuriKey);
+  if (!fingering) return;
+
+  // Holes only change in coverage steps, so skip frames that look the same
+  const holes = fingering.holes.join(',');
+  if (holes !== state.glide.holes) {
+    state.glide.holes = holes;
+    bansuri.setFingering(fingering);
+  }
 }
 
 /**
  * Handle tempo multiplier change
  */
 function handleTempoChange(multiplier) {
+  state.tempoMultiplier = multiplier;
   if (sequencer) {
     sequencer.setTempoMultiplier(multiplier);
   }
+  updateMetronomeFromFile();
+}
+
+/**
+ * Get the semitones from Sa of the fingering that sounds a note
+ * The flute sounds `octaveShift` octaves away from its fingerings, as the range display shows
+ */
+function getSemitonesFromSa(midiNote, bansuriKey = state.bansuriKey) {
+  return midiNote - getSaMidi(bansuriKey) - state.octaveShift * 12;
 }
 
 /**
  * Handle sequencer note change
  */
 function handleSequencerNoteChange(noteData) {
-  const shiftedNote = noteData.midiNote + (state.octaveShift * 12);
-
-  // Calculate semitones from Sa to always show fingering pattern regardless of range
-  const baseMidi = BANSURI_KEYS[state.bansuriKey];
-  const semitonesFromSa = noteData.midiNote - baseMidi;
+  const semitonesFromSa = getSemitonesFromSa(noteData.midiNote);
 
   // Get fingering for the note to show the fingering pattern (regardless of octave/range)
   const fingering = getFingeringBySemitone(semitonesFromSa, noteData.midiNote, state.bansuriKey);
@@ -270,14 +672,22 @@ function handleSequencerNoteChange(noteData) {
   if (fingering) {
     state.currentFingering = fingering;
     bansuri.setFingering(fingering);
+    updateNoteInfo(fingering);
+  }
+
+  // Bent notes animate their holes from the time updates
+  state.glide = hasGlide(noteData)
+    ? { note: noteData, semitonesFromSa, holes: fingering ? fingering.holes.join(',') : null }
+    : null;
 
-    // Create a display fingering object with shifted note info for the display
-    const displayFingering = {
-      ...fingering,
-      midiNote: shiftedNote,
-      westernNote: midiToNoteName(shiftedNote)
-    };
-    updateNoteInfo(displayFingering);
+  // Mark the hard passage being played, if any
+  if (difficultyDisplay && noteData.index !== undefined) {
+    difficultyDisplay.setCurrentIndex(noteData.index);
+  }
+
+  // Follow playback in the notation
+  if (notationView && state.playbackNotes) {
+    notationView.setCurrentIndex(state.playbackNotes.indexOf(noteData));
   }
 
   // Update playback state
@@ -305,10 +715,25 @@ function createNoteInfo(container) {
   frequency.className = 'info-frequency';
   frequency.innerHTML = '<span class="label">Frequency:</span> <span class="value">-</span>';
 
+  const breath = document.createElement('div');
+  breath.className = 'info-breath';
+  breath.innerHTML = '<span class="label">Breath:</span> <span class="value">-</span>';
+
+  const embouchure = document.createElement('div');
+  embouchure.className = 'info-embouchure';
+  embouchure.innerHTML = '<span class="label">Embouchure:</span> <span class="value">-</span>';
+
+  const stability = document.createElement('div');
+  stability.className = 'info-stability';
+  stability.innerHTML = '<span class="label">Stability:</span> <span class="value">-</span>';
+
   wrapper.appendChild(western);
   wrapper.appendChild(indian);
   wrapper.appendChild(octave);
   wrapper.appendChild(frequency);
+  wrapper.appendChild(breath);
+  wrapper.appendChild(embouchure);
+  wrapper.appendChild(stability);
   container.appendChild(wrapper);
 }
 
@@ -321,6 +746,28 @@ function updateNoteInfo(fingering) {
   container.querySelector('.info-octave .value').textContent = fingering.octave;
   container.querySelector('.info-frequency .value').textContent =
     `${midiToFrequency(fingering.midiNote).toFixed(1)} Hz`;
+
+  // Register guidance: short value, full hint on hover
+  const breathValue = container.querySelector('.info-breath .value');
+  breathValue.textContent = fingering.breath ? fingering.breath.label : '-';
+  breathValue.title = fingering.guidance || '';
+
+  const embouchureValue = container.querySelector('.info-embouchure .value');
+  embouchureValue.textContent = fingering.embouchure || '-';
+  embouchureValue.title = fingering.guidance || '';
+
+  const stabilityValue = container.querySelector('.info-stability .value');
+  const stability = fingering.stability;
+  stabilityValue.textContent = stability ? stability.rating : '-';
+  stabilityValue.title = stability && stability.reasons.length > 0
+    ? stability.reasons.join('\n')
+    : 'Speaks reliably';
+  stabilityValue.dataset.rating = stability ? stability.rating : '';
+}
+
+function handleAlternateChange(fingering) {
+  state.currentFingering = fingering;
+  updateNoteInfo(fingering);
 }
 
 /**
@@ -331,31 +778,22 @@ function setupMidiHandlers() {
     // Block device input during file playback
     if (state.isFilePlayback) return;
 
-    const shiftedNote = note + (state.octaveShift * 12);
-
-    // Calculate semitones from Sa to always show fingering pattern regardless of range
-    const baseMidi = BANSURI_KEYS[state.bansuriKey];
-    const semitonesFromSa = note - baseMidi;
-
     // Get fingering for the note to show the fingering pattern (regardless of octave/range)
-    const fingering = getFingeringBySemitone(semitonesFromSa, note, state.bansuriKey);
+    const fingering = getFingeringBySemitone(getSemitonesFromSa(note), note, state.bansuriKey);
 
     if (fingering) {
       state.currentFingering = fingering;
       bansuri.setFingering(fingering);
-
-      // Create a display fingering object with shifted note info for the display
-      const displayFingering = {
-        ...fingering,
-        midiNote: shiftedNote,
-        westernNote: midiToNoteName(shiftedNote)
-      };
-      updateNoteInfo(displayFingering);
+      updateNoteInfo(fingering);
     }
 
-    // Always play audio at the shifted pitch, even if outside fingering range
+    // Always play audio, even if outside fingering range
     if (state.audioEnabled) {
-      playMidi(shiftedNote, 0); // Sustained until note off
+      playMidi(note, 0); // Sustained until note off
+    }
+
+    if (noteRecorder) {
+      noteRecorder.noteOn(note, velocity);
     }
   });
 
@@ -364,20 +802,29 @@ function setupMidiHandlers() {
     if (state.isFilePlayback) return;
 
     stopNote();
+
+    if (noteRecorder) {
+      noteRecorder.noteOff(note);
+    }
   });
 }
 
 function handleKeyChange(newKey) {
   state.bansuriKey = newKey;
 
+  // Each flute keeps its own tuning offset
+  setActiveFlute(newKey, getSaMidi(newKey));
+  if (tuningControl) {
+    tuningControl.setCents(getFluteOffset(newKey));
+  }
+
   // Update range display
   if (rangeDisplay) {
     rangeDisplay.update(newKey, state.octaveShift);
   }
 
   if (state.currentFingering) {
-    const baseMidi = BANSURI_KEYS[newKey];
-    const semitonesFromSa = state.currentFingering.midiNote - baseMidi;
+    const semitonesFromSa = getSemitonesFromSa(state.currentFingering.midiNote, newKey);
     const newFingering = getFingeringBySemitone(semitonesFromSa, state.currentFingering.midiNote, newKey);
     if (newFingering) {
       bansuri.setFingering(newFingering);
@@ -389,10 +836,86 @@ function handleKeyChange(newKey) {
   if (pianoRoll) {
     pianoRoll.updateBansuriKey(newKey);
   }
+  updateMelodyTransform();
+  updateNotation();
+  updateTransitionAnalysis();
+  updateKeyRecommendation();
+
+  savePreferences();
+}
+
+function handleTuningSystemChange(systemId) {
+  setTuningSystem(systemId);
+
+  // Frequency in the note info depends on the tuning
+  if (state.currentFingering) {
+    updateNoteInfo(state.currentFingering);
+  }
+
+  savePreferences();
+}
+
+function handleVoiceChange(waveform, flutePreset) {
+  if (flutePreset) {
+    setFlutePreset(flutePreset);
+  }
+  setWaveform(waveform);
+  savePreferences();
+}
+
+function handleTuningChange({ referenceFrequency, cents }) {
+  setReferenceFrequency(referenceFrequency);
+  setFluteOffset(state.bansuriKey, cents);
+
+  // Frequency in the note info depends on the tuning
+  if (state.currentFingering) {
+    updateNoteInfo(state.currentFingering);
+  }
+
+  savePreferences();
+}
 
+function handleProfileChange(profileId) {
+  applyInstrumentProfile(profileId);
   savePreferences();
 }
 
+/**
+ * Switch the instrument profile and rebuild the views that depend on its holes and range
+ */
+function applyInstrumentProfile(profileId) {
+  if (!setInstrumentProfile(profileId)) return;
+  state.instrumentProfile = profileId;
+
+  // Re-render the flute with the new number of holes
+  const bansuriContainer = document.getElementById('bansuri-display');
+  if (bansuri && bansuriContainer) {
+    bansuri.svg.remove();
+    bansuri = createHorizontalBansuri(bansuriContainer, { onAlternateChange: handleAlternateChange });
+  }
+
+  if (rangeDisplay) {
+    rangeDisplay.update(state.bansuriKey, state.octaveShift);
+  }
+
+  // Playable notes in the piano roll depend on the range
+  if (pianoRoll) {
+    pianoRoll.redraw();
+  }
+  updateMelodyTransform();
+  updateTransitionAnalysis();
+  updateKeyRecommendation();
+
+  if (state.currentFingering) {
+    const semitonesFromSa = getSemitonesFromSa(state.currentFingering.midiNote);
+    const newFingering = getFingeringBySemitone(semitonesFromSa, state.currentFingering.midiNote, state.bansuriKey);
+    if (newFingering) {
+      state.currentFingering = newFingering;
+      bansuri.setFingering(newFingering);
+    }
+  }
+}
+
 function handleOctaveShiftChange(newShift) {
   state.octaveShift = newShift;
 
@@ -403,26 +926,45 @@ function handleOctaveShiftChange(newShift) {
 
   // Re-display current fingering if exists
   if (state.currentFingering) {
-    const baseMidi = BANSURI_KEYS[state.bansuriKey];
-    const semitonesFromSa = state.currentFingering.midiNote - baseMidi;
+    const semitonesFromSa = getSemitonesFromSa(state.currentFingering.midiNote);
     const newFingering = getFingeringBySemitone(semitonesFromSa, state.currentFingering.midiNote, state.bansuriKey);
     if (newFingering) {
+      state.currentFingering = newFingering;
       bansuri.setFingering(newFingering);
       updateNoteInfo(newFingering);
     }
   }
 
+  // Which notes are playable, and how they are fingered, depends on the shift
+  if (pianoRoll) {
+    pianoRoll.setOctaveShift(state.octaveShift);
+  }
+  updateMelodyTransform();
+  updateTransitionAnalysis();
+  updateKeyRecommendation();
+
   savePreferences();
 }
 
 function savePreferences() {
   const prefs = {
     bansuriKey: state.bansuriKey,
-    octaveShift: state.octaveShift
+    instrumentProfile: state.instrumentProfile,
+    octaveShift: state.octaveShift,
+    melodyStrategy: state.melody.strategy,
+    fitToFlute: state.fitToFlute,
+    notationTaal: state.notationTaal,
+    tuning: getTuningSettings(),
+    voice: getVoiceSettings(),
+    tanpura: getTanpuraSettings(),
+    // Kept apart from the practice page's click, since a loaded file sets its tempo and beats
+    midiMetronome: getMetronomeSettings()
   };
 
   try {
-    localStorage.setItem('bansuri-prefs', JSON.stringify(prefs));
+    // Merge into the shared prefs so settings from the other pages are kept
+    const generalPrefs = JSON.parse(localStorage.getItem('bansuri-prefs')) || {};
+    localStorage.setItem('bansuri-prefs', JSON.stringify({ ...generalPrefs, ...prefs }));
   } catch (e) {}
 }
 
@@ -430,8 +972,13 @@ function loadPreferences() {
   try {
     const prefs = JSON.parse(localStorage.getItem('bansuri-prefs'));
     if (prefs) {
-      if (prefs.bansuriKey && BANSURI_KEYS[prefs.bansuriKey]) {
+      applyTuningSettings(prefs.tuning);
+      applyVoiceSettings(prefs.voice);
+      applyTanpuraSettings(prefs.tanpura);
+      applyMetronomeSettings(prefs.midiMetronome);
+      if (prefs.bansuriKey && isValidBansuriKey(prefs.bansuriKey)) {
         state.bansuriKey = prefs.bansuriKey;
+        setActiveFlute(prefs.bansuriKey, getSaMidi(prefs.bansuriKey));
         // Update key selector if it exists
         if (keySelector) {
           keySelector.setKey(prefs.bansuriKey);
@@ -447,6 +994,47 @@ function loadPreferences() {
         if (rangeDisplay) {
           rangeDisplay.update(state.bansuriKey, prefs.octaveShift);
         }
+        if (pianoRoll) {
+          pianoRoll.setOctaveShift(prefs.octaveShift);
+        }
+      }
+      if (prefs.melodyStrategy && MELODY_STRATEGIES[prefs.melodyStrategy]) {
+        state.melody = { ...state.melody, strategy: prefs.melodyStrategy };
+        if (melodyExtractionControl) {
+          melodyExtractionControl.setOptions(state.melody);
+        }
+      }
+      if (typeof prefs.fitToFlute === 'boolean') {
+        state.fitToFlute = prefs.fitToFlute;
+        if (fitToFluteControl) {
+          fitToFluteControl.setEnabled(prefs.fitToFlute);
+        }
+      }
+      if (prefs.notationTaal) {
+        state.notationTaal = prefs.notationTaal;
+        if (notationView) {
+          notationView.setTaal(prefs.notationTaal);
+        }
+      }
+      if (prefs.instrumentProfile && INSTRUMENT_PROFILES[prefs.instrumentProfile]) {
+        if (instrumentSelector) {
+          instrumentSelector.setProfile(prefs.instrumentProfile);
+        }
+        applyInstrumentProfile(prefs.instrumentProfile);
+      }
+      if (tuningSystemSelector) {
+        tuningSystemSelector.setSystem(getTuningSystem());
+      }
+      if (voiceSelector) {
+        voiceSelector.setVoice(getVoiceSettings());
+      }
+      if (tanpuraControls) {
+        tanpuraControls.setSettings(getTanpuraSettings());
+      }
+      showMetronomeSettings();
+      if (tuningControl) {
+        tuningControl.setReferenceFrequency(getReferenceFrequency());
+        tuningControl.setCents(getFluteOffset(state.bansuriKey));
       }
     }
   } catch (e) {}
@@ -3,15 +3,25 @@
  * Palta/Alankar practice exercises with tempo control and playback
  */
 
-import { getFingeringForMidi, getFingeringBySemitone, BANSURI_KEYS } from './fingering-data.js';
+import { getFingeringForMidi, getFingeringBySemitone, setInstrumentProfile, INSTRUMENT_PROFILES, getSaMidi, isValidBansuriKey, parseBansuriKey } from './fingering-data.js';
 import { createHorizontalBansuri } from './bansuri-svg.js';
-import { initAudio, playMidi, stopNote } from './audio-engine.js';
-import { createKeySelector, createOctaveShift, createRangeDisplay } from './input-handlers.js';
+import { initAudio, playMidi, stopNote, setWaveform, setFlutePreset, getVoiceSettings, applyVoiceSettings } from './audio-engine.js';
+import { createKeySelector, createInstrumentSelector, createOctaveShift, createRangeDisplay, createTuningControl, createTuningSystemSelector, createVoiceSelector } from './input-handlers.js';
+import { playBeat, getTaalSettings, applyTaalSettings, createTaalDisplay } from './taal.js';
+import { playMetronomeBeat, countIn, cancelCountIn, isCountingIn, getMetronomeSettings, applyMetronomeSettings, createMetronomeControls } from './metronome.js';
+import { createTanpuraControls, getTanpuraSettings, applyTanpuraSettings } from './tanpura.js';
+import { setReferenceFrequency, getReferenceFrequency, setFluteOffset, getFluteOffset, setActiveFlute, setTuningSystem, getTuningSystem, getTuningSettings, applyTuningSettings } from './tuning.js';
 import { PRACTICE_PATTERNS, patternToNoteSequence } from './practice-patterns.js';
+import { analyzeTransitions, createDifficultyDisplay } from './transition-analysis.js';
+import { GM_FLUTE_PROGRAM, createMIDIExportButton } from './midi-file-writer.js';
+import { createABCExportButton } from './abc-notation.js';
+import { createSargamEditor } from './sargam-notation.js';
+import { DEFAULT_TAAL, createNotationView } from './bhatkhande-notation.js';
 
 // Application state
 const state = {
   bansuriKey: 'G',
+  instrumentProfile: 'six-hole',
   octaveShift: 0,
   currentFingering: null,
   audioEnabled: true,
@@ -23,25 +33,45 @@ const state = {
   isPaused: false,
   loopEnabled: false,
   currentSequence: [],
-  sequencer: null
+  sequencer: null,
+
+  // Typed sargam composition
+  sargamText: '',
+
+  // Taal used to group beats in the notation
+  notationTaal: DEFAULT_TAAL
 };
 
+// Id of the pattern built from the sargam editor
+const CUSTOM_PATTERN_ID = 'custom';
+
 // UI Components
 let bansuri = null;
 let patternSelector = null;
 let tempoControl = null;
 let playbackControls = null;
 let patternDescription = null;
+let difficultyDisplay = null;
 let keySelector = null;
+let instrumentSelector = null;
 let octaveShiftControl = null;
 let rangeDisplay = null;
+let tuningControl = null;
+let tuningSystemSelector = null;
+let voiceSelector = null;
+let tanpuraControls = null;
+let sargamEditor = null;
+let notationView = null;
+let taalDisplay = null;
+let metronomeControls = null;
 
 /**
  * PracticeSequencer - Handles timed playback of practice patterns
  */
 class PracticeSequencer {
-  constructor(onNoteChange) {
+  constructor(onNoteChange, onBeat) {
     this.onNoteChange = onNoteChange;
+    this.onBeat = onBeat;
     this.sequence = [];
     this.currentIndex = 0;
     this.isPlaying = false;
@@ -50,6 +80,8 @@ class PracticeSequencer {
     this.scheduledTimeouts = [];
     this.playbackStartTime = 0;
     this.playbackStartOffset = 0;
+    this.beatLength = 0;  // ms per beat, for the beat callback
+    this.beatOffset = 0;  // Beats played in earlier loops
   }
 
   setSequence(sequence) {
@@ -58,6 +90,15 @@ class PracticeSequencer {
     this.currentIndex = 0;
   }
 
+  setBeatLength(ms) {
+    this.beatLength = ms;
+  }
+
+  getEndTime() {
+    const last = this.sequence[this.sequence.length - 1];
+    return last ? last.startTime + last.duration : 0;
+  }
+
   play() {
     if (this.sequence.length === 0) return;
 
@@ -85,19 +126,46 @@ class PracticeSequencer {
         playMidi(note.midiNote, note.duration / 1000);
 
         // If last note and loop enabled, restart
+        // Each pass ends on a whole beat, so the taal and the click stay in step with the pattern
         if (i === this.sequence.length - 1) {
           setTimeout(() => {
             if (this.isPlaying && this.loopEnabled) {
-              this.restart();
+              // Keep counting beats across loops so the taal carries on
+              const beatOffset = this.beatOffset + this.getPassBeats();
+              this.stop();
+              this.beatOffset = beatOffset;
+              this.play();
             } else if (this.isPlaying) {
               this.stop();
             }
-          }, note.duration);
+          }, this.getPassEnd() - note.startTime);
         }
       }, delay);
 
       this.scheduledTimeouts.push(timeoutId);
     }
+
+    // Schedule beats on the same clock as the notes
+    if (this.onBeat && this.beatLength > 0) {
+      const passBeats = this.getPassBeats();
+      for (let beat = Math.ceil(startOffset / this.beatLength - 0.001); beat < passBeats; beat++) {
+        const timeoutId = setTimeout(() => {
+          if (this.isPlaying) this.onBeat(this.beatOffset + beat);
+        }, beat * this.beatLength - startOffset);
+
+        this.scheduledTimeouts.push(timeoutId);
+      }
+    }
+  }
+
+  // Whole beats in one pass through the sequence, counting a last partial beat
+  getPassBeats() {
+    return this.beatLength > 0 ? Math.ceil(this.getEndTime() / this.beatLength - 0.001) : 0;
+  }
+
+  // Time one pass ends, padded to the end of its last beat
+  getPassEnd() {
+    return this.beatLength > 0 ? this.getPassBeats() * this.beatLength : this.getEndTime();
   }
 
   pause() {
@@ -118,6 +186,7 @@ class PracticeSequencer {
     this.clearTimeouts();
     this.currentIndex = 0;
     this.playbackStartOffset = 0;
+    this.beatOffset = 0;
     stopNote();
   }
 
@@ -194,6 +263,9 @@ function createPatternSelector(container, onPatternSelect, patterns) {
       const pattern = patterns.find(p => p.id === id);
       if (pattern) onPatternSelect(pattern);
     },
+    clearSelection() {
+      select.value = '';
+    },
     getPattern() {
       return patterns.find(p => p.id === select.value);
     }
@@ -362,10 +434,17 @@ function init() {
   // Get container elements
   const bansuriContainer = document.getElementById('bansuri-display');
   const settingsContainer = document.getElementById('settings-bar');
+  const tanpuraContainer = document.getElementById('tanpura-controls');
   const patternSelectorContainer = document.getElementById('pattern-selector');
   const tempoControlContainer = document.getElementById('tempo-control');
   const playbackControlsContainer = document.getElementById('playback-controls');
   const patternDescContainer = document.getElementById('pattern-description');
+  const difficultyContainer = document.getElementById('difficulty-display');
+  const midiExportContainer = document.getElementById('midi-export');
+  const sargamEditorContainer = document.getElementById('sargam-editor');
+  const notationContainer = document.getElementById('notation-view');
+  const taalDisplayContainer = document.getElementById('taal-display');
+  const metronomeContainer = document.getElementById('metronome-controls');
 
   if (!bansuriContainer) {
     console.error('Bansuri container not found');
@@ -380,6 +459,11 @@ function init() {
     createSettingsBar(settingsContainer);
   }
 
+  // Create tanpura drone controls
+  if (tanpuraContainer) {
+    tanpuraControls = createTanpuraControls(tanpuraContainer, () => savePreferences());
+  }
+
   // Create pattern selector
   if (patternSelectorContainer) {
     patternSelector = createPatternSelector(
@@ -413,8 +497,51 @@ function init() {
     patternDescription = createPatternDescription(patternDescContainer);
   }
 
+  // Create transition difficulty summary
+  if (difficultyContainer) {
+    difficultyDisplay = createDifficultyDisplay(difficultyContainer);
+  }
+
+  // Create MIDI and ABC exports of the current pattern
+  if (midiExportContainer) {
+    createMIDIExportButton(midiExportContainer, getPatternExport);
+    createABCExportButton(midiExportContainer, getPatternABCExport);
+  }
+
+  // Create sargam editor for typed compositions
+  if (sargamEditorContainer) {
+    sargamEditor = createSargamEditor(sargamEditorContainer, handleSargamChange, {
+      onPlay: handleSargamPlay,
+      getPatternNotes: () => (state.currentPattern ? state.currentPattern.notes : null)
+    });
+  }
+
+  // Create notation of the current pattern
+  if (notationContainer) {
+    notationView = createNotationView(notationContainer, {
+      taal: state.notationTaal,
+      onTaalChange: handleTaalChange
+    });
+  }
+
+  // Create tabla accompaniment with the current matra
+  if (taalDisplayContainer) {
+    taalDisplay = createTaalDisplay(taalDisplayContainer, {
+      onTaalChange: handleTaalChange,
+      onChange: () => savePreferences()
+    });
+    taalDisplay.setTaal(state.notationTaal);
+  }
+
+  // Create metronome click and count-in
+  if (metronomeContainer) {
+    metronomeControls = createMetronomeControls(metronomeContainer, {
+      onChange: () => savePreferences()
+    });
+  }
+
   // Create sequencer
-  state.sequencer = new PracticeSequencer(handleNoteChange);
+  state.sequencer = new PracticeSequencer(handleNoteChange, handleBeat);
 
   // Initialize audio on first interaction
   document.addEventListener('click', initAudioOnce, { once: true });
@@ -447,11 +574,26 @@ function createSettingsBar(container) {
   // Key selector
   keySelector = createKeySelector(container, handleKeyChange, state.bansuriKey);
 
+  // Instrument profile selector (6-hole / 7-hole)
+  instrumentSelector = createInstrumentSelector(container, handleProfileChange, state.instrumentProfile);
+
   // Octave shift controls
   octaveShiftControl = createOctaveShift(container, handleOctaveShiftChange, state.octaveShift);
 
   // Range display
   rangeDisplay = createRangeDisplay(container, state.bansuriKey, state.octaveShift);
+
+  // Tuning system (equal temperament, just intonation, shruti)
+  tuningSystemSelector = createTuningSystemSelector(container, handleTuningSystemChange, getTuningSystem());
+
+  // Voice (flute presets or a basic waveform)
+  voiceSelector = createVoiceSelector(container, handleVoiceChange, getVoiceSettings());
+
+  // Reference pitch and flute tuning offset
+  tuningControl = createTuningControl(container, handleTuningChange, {
+    referenceFrequency: getReferenceFrequency(),
+    cents: getFluteOffset(state.bansuriKey)
+  });
 }
 
 /**
@@ -460,6 +602,7 @@ function createSettingsBar(container) {
 function handlePatternSelect(pattern) {
   // Stop current playback
   if (state.sequencer && state.isPlaying) {
+    cancelCountIn();
     state.sequencer.stop();
     state.isPlaying = false;
     if (playbackControls) {
@@ -488,6 +631,51 @@ function handlePatternSelect(pattern) {
   savePreferences();
 }
 
+/**
+ * Handle a valid composition typed in the sargam editor
+ * It becomes the current pattern; if a pattern was playing, the composition
+ * takes over straight away
+ */
+function handleSargamChange(notes, text) {
+  const wasPlaying = state.isPlaying;
+  state.sargamText = text;
+
+  if (patternSelector) {
+    patternSelector.clearSelection();
+  }
+
+  handlePatternSelect({
+    id: CUSTOM_PATTERN_ID,
+    name: 'Custom composition',
+    category: 'Custom',
+    description: text,
+    notes
+  });
+
+  if (wasPlaying) {
+    handlePlay();
+  }
+}
+
+/**
+ * Handle the sargam editor's play button
+ */
+function handleSargamPlay() {
+  if (state.isPlaying) return;
+  handlePlay();
+}
+
+/**
+ * Handle taal change in the notation or the tabla
+ * Both use the same taal, so a change in one is made in the other
+ */
+function handleTaalChange(taalId) {
+  state.notationTaal = taalId;
+  if (notationView) notationView.setTaal(taalId);
+  if (taalDisplay) taalDisplay.setTaal(taalId);
+  savePreferences();
+}
+
 /**
  * Handle tempo change
  */
@@ -497,6 +685,7 @@ function handleTempoChange(bpm) {
   // If playing, stop and restart with new tempo
   const wasPlaying = state.isPlaying;
   if (wasPlaying && state.sequencer) {
+    cancelCountIn();
     state.sequencer.stop();
     state.isPlaying = false;
   }
@@ -523,6 +712,12 @@ function handleTempoChange(bpm) {
 function handleKeyChange(newKey) {
   state.bansuriKey = newKey;
 
+  // Each flute keeps its own tuning offset
+  setActiveFlute(newKey, getSaMidi(newKey));
+  if (tuningControl) {
+    tuningControl.setCents(getFluteOffset(newKey));
+  }
+
   // Stop playback (fingering patterns will change)
   if (state.sequencer && state.isPlaying) {
     state.sequencer.stop();
@@ -545,6 +740,65 @@ function handleKeyChange(newKey) {
   savePreferences();
 }
 
+/**
+ * Handle tuning system change
+ * Takes effect from the next note played
+ */
+function handleTuningSystemChange(systemId) {
+  setTuningSystem(systemId);
+  savePreferences();
+}
+
+/**
+ * Handle voice change (flute preset or basic waveform)
+ */
+function handleVoiceChange(waveform, flutePreset) {
+  if (flutePreset) {
+    setFlutePreset(flutePreset);
+  }
+  setWaveform(waveform);
+  savePreferences();
+}
+
+/**
+ * Handle reference pitch or flute offset change
+ * Takes effect from the next note played
+ */
+function handleTuningChange({ referenceFrequency, cents }) {
+  setReferenceFrequency(referenceFrequency);
+  setFluteOffset(state.bansuriKey, cents);
+  savePreferences();
+}
+
+/**
+ * Handle instrument profile change
+ */
+function handleProfileChange(profileId) {
+  applyInstrumentProfile(profileId);
+  savePreferences();
+}
+
+/**
+ * Switch the instrument profile and re-render the flute with its holes
+ */
+function applyInstrumentProfile(profileId) {
+  if (!setInstrumentProfile(profileId)) return;
+  state.instrumentProfile = profileId;
+
+  const bansuriContainer = document.getElementById('bansuri-display');
+  if (bansuri && bansuriContainer) {
+    bansuri.svg.remove();
+    bansuri = createHorizontalBansuri(bansuriContainer);
+  }
+
+  if (rangeDisplay) {
+    rangeDisplay.update(state.bansuriKey, state.octaveShift);
+  }
+
+  // Fingerings, and so transition difficulty, depend on the instrument
+  updateTransitionAnalysis();
+}
+
 /**
  * Handle octave shift change
  */
@@ -577,17 +831,32 @@ function handleOctaveShiftChange(newShift) {
  * Handle play button
  */
 function handlePlay() {
-  if (!state.sequencer || !state.currentPattern) return;
+  if (!state.sequencer || !state.currentPattern || isCountingIn()) return;
 
   // Initialize audio if needed
   initAudio();
 
-  state.sequencer.play();
+  const resuming = state.isPaused;
   state.isPlaying = true;
+  state.isPaused = false;
 
   if (playbackControls) {
     playbackControls.setPlaying(true);
   }
+
+  if (resuming) {
+    state.sequencer.play();
+    return;
+  }
+
+  // Count in before the pattern starts (no count-in resolves straight away)
+  countIn(state.currentBPM, beat => {
+    if (metronomeControls) metronomeControls.showBeat(beat);
+  }).then(finished => {
+    if (finished && state.isPlaying) {
+      state.sequencer.play();
+    }
+  });
 }
 
 /**
@@ -596,6 +865,12 @@ function handlePlay() {
 function handlePause() {
   if (!state.sequencer) return;
 
+  // Nothing to resume during the count-in
+  if (isCountingIn()) {
+    handleStop();
+    return;
+  }
+
   state.sequencer.pause();
   state.isPlaying = false;
   state.isPaused = true;
@@ -611,10 +886,23 @@ function handlePause() {
 function handleStop() {
   if (!state.sequencer) return;
 
+  cancelCountIn();
   state.sequencer.stop();
   state.isPlaying = false;
   state.isPaused = false;
 
+  if (notationView) {
+    notationView.clearCurrent();
+  }
+
+  if (taalDisplay) {
+    taalDisplay.clear();
+  }
+
+  if (metronomeControls) {
+    metronomeControls.clear();
+  }
+
   if (playbackControls) {
     playbackControls.setPlaying(false);
     playbackControls.setReady();
@@ -637,9 +925,10 @@ function handleLoopChange(enabled) {
  */
 function handleNoteChange(noteData, index) {
   // Update bansuri display
-  // Calculate semitones from Sa for this MIDI note
-  const baseMidi = BANSURI_KEYS[state.bansuriKey];
-  const semitonesFromSa = noteData.midiNote - baseMidi;
+  // Calculate semitones from Sa for this MIDI note, ignoring the octave shift
+  // so the octave-specific fingering matches the written register
+  const baseMidi = getSaMidi(state.bansuriKey);
+  const semitonesFromSa = noteData.midiNote - baseMidi - state.octaveShift * 12;
 
   // Use getFingeringBySemitone to always show fingering regardless of octave/range
   const fingering = getFingeringBySemitone(semitonesFromSa, noteData.midiNote, state.bansuriKey);
@@ -648,12 +937,39 @@ function handleNoteChange(noteData, index) {
     state.currentFingering = fingering;
   }
 
+  // Highlight the hard passage being played, if any
+  if (difficultyDisplay) {
+    difficultyDisplay.setCurrentIndex(index);
+  }
+
+  // Follow playback in the notation
+  if (notationView) {
+    notationView.setCurrentIndex(index);
+  }
+
   // Update progress
   if (playbackControls && state.sequencer) {
     playbackControls.setProgress(index, state.sequencer.getSequenceLength());
   }
 }
 
+/**
+ * Handle each beat of playback: play the tabla bol and the click, and show the matra and beat
+ */
+function handleBeat(beat) {
+  const beatSeconds = 60 / state.currentBPM;
+
+  const position = playBeat(beat, beatSeconds);
+  if (taalDisplay) {
+    taalDisplay.showBeat(position);
+  }
+
+  playMetronomeBeat(beat, beatSeconds);
+  if (metronomeControls) {
+    metronomeControls.showBeat(beat);
+  }
+}
+
 /**
  * Regenerate note sequence from current pattern
  */
@@ -663,9 +979,17 @@ function regenerateSequence() {
     if (state.sequencer) {
       state.sequencer.setSequence([]);
     }
+    if (notationView) {
+      notationView.setPattern([]);
+    }
     return;
   }
 
+  // Notation is written from Sa, so it looks the same in every key and octave
+  if (notationView) {
+    notationView.setPattern(state.currentPattern.notes, state.currentPattern.name);
+  }
+
   const sequence = patternToNoteSequence(
     state.currentPattern,
     state.currentBPM,
@@ -676,8 +1000,52 @@ function regenerateSequence() {
   state.currentSequence = sequence;
 
   if (state.sequencer) {
+    state.sequencer.setBeatLength((60 / state.currentBPM) * 1000);
     state.sequencer.setSequence(sequence);
   }
+
+  updateTransitionAnalysis();
+}
+
+/**
+ * Get the current pattern as a MIDI export at the current tempo, key and octave
+ */
+function getPatternExport() {
+  if (!state.currentPattern || state.currentSequence.length === 0) return null;
+
+  const { id, name } = state.currentPattern;
+  return {
+    tracks: [{ name, notes: state.currentSequence, program: GM_FLUTE_PROGRAM }],
+    options: { name, bpm: state.currentBPM },
+    fileName: `${id}.mid`
+  };
+}
+
+/**
+ * Get the current pattern as an ABC export, written in the major key of Sa
+ */
+function getPatternABCExport() {
+  if (!state.currentPattern || state.currentSequence.length === 0) return null;
+
+  const { id, name } = state.currentPattern;
+  const parsedKey = parseBansuriKey(state.bansuriKey);
+  return {
+    notes: state.currentSequence,
+    options: { title: name, bpm: state.currentBPM, key: parsedKey ? parsedKey.key : 'C' },
+    fileName: `${id}.abc`
+  };
+}
+
+/**
+ * Analyze fingering transitions of the current sequence
+ */
+function updateTransitionAnalysis() {
+  if (!difficultyDisplay) return;
+
+  const analysis = analyzeTransitions(state.currentSequence, state.bansuriKey, {
+    octaveShift: state.octaveShift
+  });
+  difficultyDisplay.update(analysis);
 }
 
 /**
@@ -689,11 +1057,24 @@ function savePreferences() {
     octaveShift: state.octaveShift,
     lastPatternId: state.currentPattern ? state.currentPattern.id : null,
     lastBPM: state.currentBPM,
-    loopEnabled: state.loopEnabled
+    loopEnabled: state.loopEnabled,
+    sargamText: state.sargamText,
+    notationTaal: state.notationTaal,
+    tabla: getTaalSettings()
   };
 
   try {
-    localStorage.setItem('bansuri-prefs', JSON.stringify({ bansuriKey: state.bansuriKey }));
+    // Merge into the shared prefs so settings from the other pages are kept
+    const generalPrefs = JSON.parse(localStorage.getItem('bansuri-prefs')) || {};
+    localStorage.setItem('bansuri-prefs', JSON.stringify({
+      ...generalPrefs,
+      bansuriKey: state.bansuriKey,
+      instrumentProfile: state.instrumentProfile,
+      tuning: getTuningSettings(),
+      voice: getVoiceSettings(),
+      tanpura: getTanpuraSettings(),
+      metronome: getMetronomeSettings()
+    }));
     localStorage.setItem('bansuri-practice-prefs', JSON.stringify(prefs));
   } catch (e) {
     console.warn('Could not save preferences:', e);
@@ -707,11 +1088,30 @@ function loadPreferences() {
   try {
     // Load general prefs
     const generalPrefs = JSON.parse(localStorage.getItem('bansuri-prefs'));
-    if (generalPrefs && generalPrefs.bansuriKey && BANSURI_KEYS[generalPrefs.bansuriKey]) {
+    if (generalPrefs) {
+      applyTuningSettings(generalPrefs.tuning);
+      applyVoiceSettings(generalPrefs.voice);
+      applyTanpuraSettings(generalPrefs.tanpura);
+      applyMetronomeSettings(generalPrefs.metronome);
+    }
+    if (generalPrefs && generalPrefs.bansuriKey && isValidBansuriKey(generalPrefs.bansuriKey)) {
       state.bansuriKey = generalPrefs.bansuriKey;
+      setActiveFlute(generalPrefs.bansuriKey, getSaMidi(generalPrefs.bansuriKey));
       if (keySelector) keySelector.setKey(generalPrefs.bansuriKey);
       if (rangeDisplay) rangeDisplay.update(state.bansuriKey, state.octaveShift);
     }
+    if (generalPrefs && generalPrefs.instrumentProfile && INSTRUMENT_PROFILES[generalPrefs.instrumentProfile]) {
+      if (instrumentSelector) instrumentSelector.setProfile(generalPrefs.instrumentProfile);
+      applyInstrumentProfile(generalPrefs.instrumentProfile);
+    }
+    if (tuningSystemSelector) tuningSystemSelector.setSystem(getTuningSystem());
+    if (voiceSelector) voiceSelector.setVoice(getVoiceSettings());
+    if (tanpuraControls) tanpuraControls.setSettings(getTanpuraSettings());
+    if (metronomeControls) metronomeControls.setSettings(getMetronomeSettings());
+    if (tuningControl) {
+      tuningControl.setReferenceFrequency(getReferenceFrequency());
+      tuningControl.setCents(getFluteOffset(state.bansuriKey));
+    }
 
     // Load practice-specific prefs
     const practicePrefs = JSON.parse(localStorage.getItem('bansuri-practice-prefs'));
@@ -727,7 +1127,26 @@ function loadPreferences() {
         if (state.sequencer) state.sequencer.setLoop(practicePrefs.loopEnabled);
       }
 
-      if (practicePrefs.lastPatternId && patternSelector) {
+      applyTaalSettings(practicePrefs.tabla);
+      if (taalDisplay) taalDisplay.setSettings(getTaalSettings());
+
+      if (practicePrefs.notationTaal) {
+        state.notationTaal = practicePrefs.notationTaal;
+        if (notationView) notationView.setTaal(practicePrefs.notationTaal);
+        if (taalDisplay) taalDisplay.setTaal(practicePrefs.notationTaal);
+      }
+
+      if (practicePrefs.sargamText && sargamEditor) {
+        state.sargamText = practicePrefs.sargamText;
+        sargamEditor.setText(practicePrefs.sargamText);
+      }
+
+      if (practicePrefs.lastPatternId === CUSTOM_PATTERN_ID && state.sargamText && sargamEditor) {
+        // Bring back the typed composition, or the first pattern if it no longer parses
+        if (!sargamEditor.apply() && patternSelector) {
+          patternSelector.setPattern(PRACTICE_PATTERNS[0].id);
+        }
+      } else if (practicePrefs.lastPatternId && patternSelector) {
         patternSelector.setPattern(practicePrefs.lastPatternId);
       } else if (patternSelector) {
         // Load first pattern by default
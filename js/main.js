@@ -3,14 +3,17 @@
  * New horizontal layout with combined Sargam/Western note grid
  */
 
-import { getFingeringForMidi, getFingeringBySemitone, midiToFrequency, midiToNoteName, BANSURI_KEYS } from './fingering-data.js';
+import { getFingeringForMidi, getFingeringBySemitone, midiToFrequency, midiToNoteName, setInstrumentProfile, INSTRUMENT_PROFILES, getSaMidi, isValidBansuriKey } from './fingering-data.js';
 import { createHorizontalBansuri } from './bansuri-svg.js';
-import { initAudio, playTap } from './audio-engine.js';
-import { createKeySelector, createOctaveShift, createRangeDisplay, createCombinedNoteGrid } from './input-handlers.js';
+import { initAudio, playTap, setWaveform, setFlutePreset, getVoiceSettings, applyVoiceSettings } from './audio-engine.js';
+import { createKeySelector, createInstrumentSelector, createOctaveShift, createRangeDisplay, createTuningControl, createTuningSystemSelector, createVoiceSelector, createCombinedNoteGrid } from './input-handlers.js';
+import { createTanpuraControls, getTanpuraSettings, applyTanpuraSettings } from './tanpura.js';
+import { setReferenceFrequency, getReferenceFrequency, setFluteOffset, getFluteOffset, setActiveFlute, setTuningSystem, getTuningSystem, getTuningSettings, applyTuningSettings } from './tuning.js';
 
 // Application state
 const state = {
   bansuriKey: 'G',
+  instrumentProfile: 'six-hole',
   octaveShift: 0,
   currentFingering: null,
   audioEnabled: true,
@@ -21,8 +24,13 @@ const state = {
 let bansuri = null;
 let combinedNoteGrid = null;
 let keySelector = null;
+let instrumentSelector = null;
 let octaveShiftControl = null;
 let rangeDisplay = null;
+let tuningControl = null;
+let tuningSystemSelector = null;
+let voiceSelector = null;
+let tanpuraControls = null;
 
 /**
  * Initialize the application
@@ -31,6 +39,7 @@ function init() {
   // Get container elements
   const bansuriContainer = document.getElementById('bansuri-display');
   const settingsContainer = document.getElementById('settings-bar');
+  const tanpuraContainer = document.getElementById('tanpura-controls');
   const noteGridContainer = document.getElementById('note-grid');
   const noteInfoContainer = document.getElementById('note-info');
 
@@ -40,13 +49,18 @@ function init() {
   }
 
   // Create horizontal bansuri SVG
-  bansuri = createHorizontalBansuri(bansuriContainer);
+  bansuri = createHorizontalBansuri(bansuriContainer, { onAlternateChange: handleAlternateChange });
 
   // Create settings bar
   if (settingsContainer) {
     createSettingsBar(settingsContainer);
   }
 
+  // Create tanpura drone controls
+  if (tanpuraContainer) {
+    tanpuraControls = createTanpuraControls(tanpuraContainer, () => savePreferences());
+  }
+
   // Create combined note grid
   if (noteGridContainer) {
     combinedNoteGrid = createCombinedNoteGrid(noteGridContainer, handleNoteSelect, {
@@ -77,18 +91,33 @@ function initAudioOnce() {
 }
 
 /**
- * Create settings bar (key selector, octave shift, range display, and scale toggle)
+ * Create settings bar (key selector, flute type, octave shift, range display, and scale toggle)
  */
 function createSettingsBar(container) {
   // Key selector
   keySelector = createKeySelector(container, handleKeyChange, state.bansuriKey);
 
+  // Instrument profile selector (6-hole / 7-hole)
+  instrumentSelector = createInstrumentSelector(container, handleProfileChange, state.instrumentProfile);
+
   // Octave shift controls
   octaveShiftControl = createOctaveShift(container, handleOctaveShiftChange, state.octaveShift);
 
   // Range display
   rangeDisplay = createRangeDisplay(container, state.bansuriKey, state.octaveShift);
 
+  // Tuning system (equal temperament, just intonation, shruti)
+  tuningSystemSelector = createTuningSystemSelector(container, handleTuningSystemChange, getTuningSystem());
+
+  // Voice (flute presets or a basic waveform)
+  voiceSelector = createVoiceSelector(container, handleVoiceChange, getVoiceSettings());
+
+  // Reference pitch and flute tuning offset
+  tuningControl = createTuningControl(container, handleTuningChange, {
+    referenceFrequency: getReferenceFrequency(),
+    cents: getFluteOffset(state.bansuriKey)
+  });
+
   // Half notes toggle
   createHalfNotesToggle(container);
 }
@@ -149,10 +178,25 @@ function createNoteInfo(container) {
   frequency.className = 'info-frequency';
   frequency.innerHTML = '<span class="label">Frequency:</span> <span class="value">-</span>';
 
+  const breath = document.createElement('div');
+  breath.className = 'info-breath';
+  breath.innerHTML = '<span class="label">Breath:</span> <span class="value">-</span>';
+
+  const embouchure = document.createElement('div');
+  embouchure.className = 'info-embouchure';
+  embouchure.innerHTML = '<span class="label">Embouchure:</span> <span class="value">-</span>';
+
+  const stability = document.createElement('div');
+  stability.className = 'info-stability';
+  stability.innerHTML = '<span class="label">Stability:</span> <span class="value">-</span>';
+
   wrapper.appendChild(western);
   wrapper.appendChild(indian);
   wrapper.appendChild(octave);
   wrapper.appendChild(frequency);
+  wrapper.appendChild(breath);
+  wrapper.appendChild(embouchure);
+  wrapper.appendChild(stability);
   container.appendChild(wrapper);
 }
 
@@ -168,6 +212,31 @@ function updateNoteInfo(fingering) {
   container.querySelector('.info-octave .value').textContent = fingering.octave;
   container.querySelector('.info-frequency .value').textContent =
     `${midiToFrequency(fingering.midiNote).toFixed(1)} Hz`;
+
+  // Register guidance: short value, full hint on hover
+  const breathValue = container.querySelector('.info-breath .value');
+  breathValue.textContent = fingering.breath ? fingering.breath.label : '-';
+  breathValue.title = fingering.guidance || '';
+
+  const embouchureValue = container.querySelector('.info-embouchure .value');
+  embouchureValue.textContent = fingering.embouchure || '-';
+  embouchureValue.title = fingering.guidance || '';
+
+  const stabilityValue = container.querySelector('.info-stability .value');
+  const stability = fingering.stability;
+  stabilityValue.textContent = stability ? stability.rating : '-';
+  stabilityValue.title = stability && stability.reasons.length > 0
+    ? stability.reasons.join('\n')
+    : 'Speaks reliably';
+  stabilityValue.dataset.rating = stability ? stability.rating : '';
+}
+
+/**
+ * Handle cycling to an alternate fingering on the flute
+ */
+function handleAlternateChange(fingering) {
+  state.currentFingering = fingering;
+  updateNoteInfo(fingering);
 }
 
 /**
@@ -177,7 +246,7 @@ function updateNoteInfo(fingering) {
  * @param {number} semitone - Semitones from low Sa
  */
 function handleNoteSelect(sargamNote, midiNote, semitone) {
-  const baseMidi = BANSURI_KEYS[state.bansuriKey];
+  const baseMidi = getSaMidi(state.bansuriKey);
   const shiftSemitones = state.octaveShift * 12;
   const shiftedMidiNote = baseMidi + semitone + shiftSemitones;
 
@@ -211,6 +280,12 @@ function handleNoteSelect(sargamNote, midiNote, semitone) {
 function handleKeyChange(newKey) {
   state.bansuriKey = newKey;
 
+  // Each flute keeps its own tuning offset
+  setActiveFlute(newKey, getSaMidi(newKey));
+  if (tuningControl) {
+    tuningControl.setCents(getFluteOffset(newKey));
+  }
+
   // Update range display
   if (rangeDisplay) {
     rangeDisplay.update(newKey, state.octaveShift);
@@ -227,7 +302,7 @@ function handleKeyChange(newKey) {
     const semitone = state.currentFingering.semitonesFromSa;
     if (semitone !== undefined) {
       // Recalculate based on new key
-      const baseMidi = BANSURI_KEYS[newKey];
+      const baseMidi = getSaMidi(newKey);
       const octaveOffset = state.currentFingering.octave === 'madhya' ? 12 :
                            state.currentFingering.octave === 'taar' ? 24 : 0;
       const newMidiNote = baseMidi + semitone + octaveOffset;
@@ -244,6 +319,96 @@ function handleKeyChange(newKey) {
   savePreferences();
 }
 
+/**
+ * Handle tuning system change
+ */
+function handleTuningSystemChange(systemId) {
+  setTuningSystem(systemId);
+
+  // Frequency in the note info depends on the tuning
+  if (state.currentFingering) {
+    updateNoteInfo(state.currentFingering);
+  }
+
+  savePreferences();
+}
+
+/**
+ * Handle voice change (flute preset or basic waveform)
+ */
+function handleVoiceChange(waveform, flutePreset) {
+  if (flutePreset) {
+    setFlutePreset(flutePreset);
+  }
+  setWaveform(waveform);
+  savePreferences();
+}
+
+/**
+ * Handle reference pitch or flute offset change
+ */
+function handleTuningChange({ referenceFrequency, cents }) {
+  setReferenceFrequency(referenceFrequency);
+  setFluteOffset(state.bansuriKey, cents);
+
+  // Frequency in the note info depends on the tuning
+  if (state.currentFingering) {
+    updateNoteInfo(state.currentFingering);
+  }
+
+  savePreferences();
+}
+
+/**
+ * Handle instrument profile change
+ */
+function handleProfileChange(profileId) {
+  applyInstrumentProfile(profileId);
+  savePreferences();
+}
+
+/**
+ * Switch the instrument profile and rebuild the views that depend on its holes and range
+ */
+function applyInstrumentProfile(profileId) {
+  if (!setInstrumentProfile(profileId)) return;
+  state.instrumentProfile = profileId;
+
+  // Re-render the flute with the new number of holes
+  const bansuriContainer = document.getElementById('bansuri-display');
+  if (bansuri && bansuriContainer) {
+    bansuri.svg.remove();
+    bansuri = createHorizontalBansuri(bansuriContainer, { onAlternateChange: handleAlternateChange });
+  }
+
+  // Rebuild the note grid for the new playable range
+  const noteGridContainer = document.getElementById('note-grid');
+  if (combinedNoteGrid && noteGridContainer) {
+    noteGridContainer.innerHTML = '';
+    combinedNoteGrid = createCombinedNoteGrid(noteGridContainer, handleNoteSelect, {
+      bansuriKey: state.bansuriKey
+    });
+    combinedNoteGrid.setHalfNotesVisible(state.showHalfNotes);
+  }
+
+  if (rangeDisplay) {
+    rangeDisplay.update(state.bansuriKey, state.octaveShift);
+  }
+
+  // Re-display current fingering with the new profile's holes
+  if (state.currentFingering) {
+    const semitone = state.currentFingering.semitonesFromSa;
+    const baseMidi = getSaMidi(state.bansuriKey);
+    const octaveOffset = state.currentFingering.octave === 'madhya' ? 12 :
+                         state.currentFingering.octave === 'taar' ? 24 : 0;
+    const newFingering = getFingeringBySemitone(semitone + octaveOffset, baseMidi + semitone + octaveOffset, state.bansuriKey);
+    if (newFingering) {
+      state.currentFingering = newFingering;
+      bansuri.setFingering(newFingering);
+    }
+  }
+}
+
 /**
  * Handle octave shift change
  */
@@ -258,7 +423,7 @@ function handleOctaveShiftChange(newShift) {
   // Re-display current fingering if exists
   if (state.currentFingering) {
     const semitone = state.currentFingering.semitonesFromSa;
-    const baseMidi = BANSURI_KEYS[state.bansuriKey];
+    const baseMidi = getSaMidi(state.bansuriKey);
     const octaveOffset = state.currentFingering.octave === 'madhya' ? 12 :
                          state.currentFingering.octave === 'taar' ? 24 : 0;
     const newMidiNote = baseMidi + semitone + octaveOffset;
@@ -280,12 +445,18 @@ function handleOctaveShiftChange(newShift) {
 function savePreferences() {
   const prefs = {
     bansuriKey: state.bansuriKey,
+    instrumentProfile: state.instrumentProfile,
     octaveShift: state.octaveShift,
-    showHalfNotes: state.showHalfNotes
+    showHalfNotes: state.showHalfNotes,
+    tuning: getTuningSettings(),
+    voice: getVoiceSettings(),
+    tanpura: getTanpuraSettings()
   };
 
   try {
-    localStorage.setItem('bansuri-prefs', JSON.stringify(prefs));
+    // Merge into the shared prefs so settings saved by the other pages are kept
+    const generalPrefs = JSON.parse(localStorage.getItem('bansuri-prefs')) || {};
+    localStorage.setItem('bansuri-prefs', JSON.stringify({ ...generalPrefs, ...prefs }));
   } catch (e) {
     // localStorage not available
   }
@@ -298,8 +469,12 @@ function loadPreferences() {
   try {
     const prefs = JSON.parse(localStorage.getItem('bansuri-prefs'));
     if (prefs) {
-      if (prefs.bansuriKey && BANSURI_KEYS[prefs.bansuriKey]) {
+      applyTuningSettings(prefs.tuning);
+      applyVoiceSettings(prefs.voice);
+      applyTanpuraSettings(prefs.tanpura);
+      if (prefs.bansuriKey && isValidBansuriKey(prefs.bansuriKey)) {
         state.bansuriKey = prefs.bansuriKey;
+        setActiveFlute(prefs.bansuriKey, getSaMidi(prefs.bansuriKey));
         // Update key selector if it exists
         if (keySelector) {
           keySelector.setKey(prefs.bansuriKey);
@@ -320,6 +495,25 @@ function loadPreferences() {
           rangeDisplay.update(state.bansuriKey, prefs.octaveShift);
         }
       }
+      if (prefs.instrumentProfile && INSTRUMENT_PROFILES[prefs.instrumentProfile]) {
+        if (instrumentSelector) {
+          instrumentSelector.setProfile(prefs.instrumentProfile);
+        }
+        applyInstrumentProfile(prefs.instrumentProfile);
+      }
+      if (tuningSystemSelector) {
+        tuningSystemSelector.setSystem(getTuningSystem());
+      }
+      if (voiceSelector) {
+        voiceSelector.setVoice(getVoiceSettings());
+      }
+      if (tanpuraControls) {
+        tanpuraControls.setSettings(getTanpuraSettings());
+      }
+      if (tuningControl) {
+        tuningControl.setReferenceFrequency(getReferenceFrequency());
+        tuningControl.setCents(getFluteOffset(state.bansuriKey));
+      }
       if (typeof prefs.showHalfNotes === 'boolean') {
         state.showHalfNotes = prefs.showHalfNotes;
         if (combinedNoteGrid) {
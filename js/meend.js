@@ -0,0 +1,110 @@
+/**
+ * Bansuri.js - Meend
+ * Reads pitch bend and vibrato curves from notes and turns glides into
+ * gradual hole slides between neighbouring fingerings
+ */
+
+import { OPEN, getFingeringBySemitone, quantizeCoverage } from './fingering-data.js';
+
+// Bends smaller than this (semitones) are intonation rather than a glide
+const MIN_GLIDE_SEMITONES = 0.1;
+
+/**
+ * Read a curve at a time, interpolating linearly between its points
+ * @param {Array} curve - Points { time, value } sorted by time
+ * @param {number} time - Time relative to the note start (ms)
+ * @param {number} initial - Value before the first point
+ * @returns {number} Curve value
+ */
+function getCurveValue(curve, time, initial = 0) {
+  if (!curve || curve.length === 0 || time < curve[0].time) return initial;
+
+  for (let i = 1; i < curve.length; i++) {
+    const next = curve[i];
+    if (time < next.time) {
+      const previous = curve[i - 1];
+      const span = next.time - previous.time;
+      const amount = span > 0 ? (time - previous.time) / span : 1;
+      return previous.value + (next.value - previous.value) * amount;
+    }
+  }
+
+  return curve[curve.length - 1].value;
+}
+
+/**
+ * Check if a note glides (has a pitch bend large enough to show as meend)
+ * @param {object} note - Parsed note
+ * @returns {boolean} True if the note bends
+ */
+function hasGlide(note) {
+  return Boolean(note && note.pitchBend && note.pitchBend.some(p => Math.abs(p.value) >= MIN_GLIDE_SEMITONES));
+}
+
+/**
+ * Get a note's bend at a time
+ * @param {object} note - Parsed note with an optional pitchBend curve
+ * @param {number} offset - Time since the note started (ms)
+ * @returns {number} Bend in semitones
+ */
+function getBendAt(note, offset) {
+  return getCurveValue(note.pitchBend, offset);
+}
+
+/**
+ * Get a note's vibrato depth at a time
+ * @param {object} note - Parsed note with an optional modulation curve
+ * @param {number} offset - Time since the note started (ms)
+ * @returns {number} Modulation from 0 to 1
+ */
+function getVibratoAt(note, offset) {
+  return getCurveValue(note.modulation, offset);
+}
+
+/**
+ * Get the fingering partway through a glide
+ * Each hole moves from its state in the lower fingering towards the upper one
+ * in proportion to how far the pitch has bent between them
+ * @param {number} semitonesFromSa - Semitones from Sa of the written note
+ * @param {number} bend - Current bend in semitones
+ * @param {number} midiNote - Written MIDI note
+ * @param {string} bansuriKey - Bansuri key
+ * @returns {object|null} Fingering with blended holes and a `glide` description
+ */
+function getGlideFingering(semitonesFromSa, bend, midiNote, bansuriKey) {
+  const position = semitonesFromSa + bend;
+  const lower = Math.floor(position);
+  const amount = position - lower;
+  const offset = lower - semitonesFromSa;
+
+  const from = getFingeringBySemitone(lower, midiNote + offset, bansuriKey);
+  if (!from) return null;
+  if (amount < MIN_GLIDE_SEMITONES / 2) return from;
+
+  const to = getFingeringBySemitone(lower + 1, midiNote + offset + 1, bansuriKey);
+  if (!to) return from;
+
+  const holeCount = Math.max(from.holes.length, to.holes.length);
+  const holes = [];
+  for (let i = 0; i < holeCount; i++) {
+    const start = from.holes[i] ?? OPEN;
+    const end = to.holes[i] ?? OPEN;
+    holes.push(quantizeCoverage(start + (end - start) * amount));
+  }
+
+  return {
+    ...from,
+    holes,
+    glide: { from: from.indianNote, to: to.indianNote, amount }
+  };
+}
+
+// Export
+export {
+  MIN_GLIDE_SEMITONES,
+  getCurveValue,
+  hasGlide,
+  getBendAt,
+  getVibratoAt,
+  getGlideFingering
+};
@@ -0,0 +1,546 @@
+/**
+ * Bansuri.js - Melody Transform
+ * Extracts a single melodic line from parsed MIDI notes and fits it into the
+ * flute's range by transposing and octave folding
+ */
+
+import { getInstrumentProfile, getSaMidi, midiToNoteName } from './fingering-data.js';
+
+// Largest global transposition tried, in semitones
+const MAX_TRANSPOSITION = 24;
+
+// A rest at least this long (ms) starts a new phrase
+const PHRASE_GAP_MS = 400;
+
+// Notes starting this close together (ms) count as one chord
+const CHORD_WINDOW_MS = 30;
+
+// Ways of reducing a polyphonic file to one line
+const MELODY_STRATEGIES = {
+  'all': { id: 'all', name: 'All notes' },
+  'skyline': { id: 'skyline', name: 'Highest note' },
+  'longest': { id: 'longest', name: 'Longest note' },
+  'channel': { id: 'channel', name: 'Channel' },
+  'track': { id: 'track', name: 'Track' }
+};
+
+const DEFAULT_MELODY_STRATEGY = 'skyline';
+
+// Why a note moved
+const MOVE_REASON = {
+  TRANSPOSE: 'transpose',
+  PHRASE: 'phrase',
+  NOTE: 'note'
+};
+
+/**
+ * Get the sounding MIDI range of a key on the active instrument
+ * @param {string} bansuriKey - Bansuri key
+ * @param {number} octaveShift - Octaves the flute sounds away from its fingerings
+ * @returns {object|null} { low, high } MIDI notes, or null if the key is invalid
+ */
+function getMidiRange(bansuriKey, octaveShift = 0) {
+  const saMidi = getSaMidi(bansuriKey);
+  if (saMidi === undefined) return null;
+
+  const { low, high } = getInstrumentProfile().range;
+  const shift = octaveShift * 12;
+  return { low: saMidi + low + shift, high: saMidi + high + shift };
+}
+
+/**
+ * Group notes whose onsets fall within CHORD_WINDOW_MS of the group's first note
+ * @param {Array} notes - Notes sorted by startTime
+ * @returns {Array<Array>} Groups of notes
+ */
+function groupOnsets(notes) {
+  const groups = [];
+  notes.forEach(note => {
+    const group = groups[groups.length - 1];
+    if (group && note.startTime - group[0].startTime <= CHORD_WINDOW_MS) {
+      group.push(note);
+    } else {
+      groups.push([note]);
+    }
+  });
+  return groups;
+}
+
+/**
+ * Extract a monophonic melody from parsed MIDI notes
+ * Each chord is reduced to one note (the highest, or the longest with the
+ * `longest` strategy); channel and track strategies keep only that part and
+ * then take its highest notes. Notes that start under a held, preferred note
+ * are dropped, and every kept note ends when the next one starts.
+ * The input notes are not modified.
+ * @param {Array} notes - Notes with { midiNote, startTime, duration, channel, track }
+ * @param {object} options - { strategy, channel, track }
+ * @returns {object} { notes, strategy, dropped, channels, tracks }
+ */
+function extractMelody(notes, options = {}) {
+  const { strategy = DEFAULT_MELODY_STRATEGY, channel = null, track = null } = options;
+  const channels = [...new Set((notes || []).map(n => n.channel).filter(c => c !== undefined))].sort((a, b) => a - b);
+  const tracks = [...new Set((notes || []).map(n => n.track).filter(t => t !== undefined))].sort((a, b) => a - b);
+
+  if (!notes || notes.length === 0 || strategy === 'all' || !MELODY_STRATEGIES[strategy]) {
+    return { notes: notes || [], strategy: 'all', dropped: 0, channels, tracks };
+  }
+
+  let candidates = notes;
+  if (strategy === 'channel' && channel !== null) {
+    candidates = notes.filter(n => n.channel === channel);
+  } else if (strategy === 'track' && track !== null) {
+    candidates = notes.filter(n => n.track === track);
+  }
+  candidates = candidates.slice().sort((a, b) => a.startTime - b.startTime || b.midiNote - a.midiNote);
+
+  // Which of two notes the line should follow
+  const prefer = strategy === 'longest'
+    ? (a, b) => (a.duration !== b.duration ? a.duration > b.duration : a.midiNote > b.midiNote)
+    : (a, b) => a.midiNote > b.midiNote;
+
+  const kept = [];
+  groupOnsets(candidates).forEach(group => {
+    const chosen = group.reduce((best, note) => (prefer(note, best) ? note : best));
+    const held = kept[kept.length - 1];
+
+    // Skip notes that begin and end under a note the line is already following
+    if (held) {
+      const heldEnd = held.startTime + held.duration;
+      if (chosen.startTime + chosen.duration <= heldEnd && !prefer(chosen, held)) return;
+    }
+    kept.push(chosen);
+  });
+
+  // One note at a time: cut each note where the next begins, renumber for the sequencer
+  const melody = kept.map((note, i) => {
+    const next = kept[i + 1];
+    const end = next ? Math.min(note.startTime + note.duration, next.startTime) : note.startTime + note.duration;
+    return {
+      ...note,
+      index: i,
+      sourceIndex: note.sourceIndex ?? note.index,
+      duration: end - note.startTime
+    };
+  });
+
+  return {
+    notes: melody,
+    strategy,
+    dropped: notes.length - melody.length,
+    channels,
+    tracks
+  };
+}
+
+/**
+ * Count how many pitches fall inside a range
+ */
+function countInRange(pitches, range) {
+  return pitches.filter(p => p >= range.low && p <= range.high).length;
+}
+
+/**
+ * Find the global transposition that fits the most notes
+ * Ties go to whole octaves (the melody stays in its key), then to the smallest move
+ * @param {Array<number>} pitches - MIDI notes
+ * @param {object} range - { low, high }
+ * @returns {number} Transposition in semitones
+ */
+function findBestTransposition(pitches, range) {
+  let best = { semitones: 0, fits: countInRange(pitches, range) };
+
+  for (let semitones = -MAX_TRANSPOSITION; semitones <= MAX_TRANSPOSITION; semitones++) {
+    const fits = countInRange(pitches.map(p => p + semitones), range);
+    const isOctave = semitones % 12 === 0;
+    const bestIsOctave = best.semitones % 12 === 0;
+
+    const better = fits > best.fits
+      || (fits === best.fits && isOctave && !bestIsOctave)
+      || (fits === best.fits && isOctave === bestIsOctave && Math.abs(semitones) < Math.abs(best.semitones));
+
+    if (better) {
+      best = { semitones, fits };
+    }
+  }
+
+  return best.semitones;
+}
+
+/**
+ * Split notes into phrases separated by rests
+ * @param {Array} notes - Notes with { startTime, duration }
+ * @param {number} gapMs - Minimum rest between phrases
+ * @returns {Array<Array<number>>} Note indices of each phrase, in time order
+ */
+function splitPhrases(notes, gapMs = PHRASE_GAP_MS) {
+  const order = notes
+    .map((note, index) => index)
+    .sort((a, b) => notes[a].startTime - notes[b].startTime);
+
+  const phrases = [];
+  let phrase = [];
+  let phraseEnd = -Infinity;
+
+  order.forEach(index => {
+    const note = notes[index];
+    if (phrase.length > 0 && note.startTime - phraseEnd >= gapMs) {
+      phrases.push(phrase);
+      phrase = [];
+    }
+    phrase.push(index);
+    phraseEnd = Math.max(phraseEnd, note.startTime + note.duration);
+  });
+  if (phrase.length > 0) phrases.push(phrase);
+
+  return phrases;
+}
+
+/**
+ * Move a pitch by whole octaves to the nearest spot inside a range
+ * @returns {number} Folded MIDI note (unchanged if the range is narrower than an octave and misses it)
+ */
+function foldIntoRange(pitch, range) {
+  let folded = pitch;
+  while (folded < range.low) folded += 12;
+  while (folded > range.high) folded -= 12;
+  return folded >= range.low ? folded : pitch;
+}
+
+/**
+ * Fit a melody into the flute's playable range
+ * Tries a global transposition first, then moves whole phrases by octaves,
+ * then folds any note still outside the range. The input notes are not modified.
+ * @param {Array} notes - Notes with { midiNote, startTime, duration }
+ * @param {string} bansuriKey - Bansuri key
+ * @param {number} octaveShift - Octaves the flute sounds away from its fingerings
+ * @returns {object} { notes, transposition, changes, phrases, summary }
+ */
+function fitToFlute(notes, bansuriKey = 'G', octaveShift = 0) {
+  const range = getMidiRange(bansuriKey, octaveShift);
+  const empty = {
+    notes: notes ? notes.slice() : [],
+    transposition: 0,
+    changes: [],
+    phrases: [],
+    summary: { total: notes ? notes.length : 0, moved: 0, unplayable: 0 }
+  };
+  if (!notes || notes.length === 0 || !range) return empty;
+
+  // 1. Global transposition
+  const transposition = findBestTransposition(notes.map(n => n.midiNote), range);
+  const pitches = notes.map(n => n.midiNote + transposition);
+  const reasons = notes.map(() => (transposition !== 0 ? MOVE_REASON.TRANSPOSE : null));
+
+  // 2. Move phrases that still stick out by whole octaves
+  const phrases = splitPhrases(notes);
+  const phraseShifts = phrases.map(phrase => {
+    const phrasePitches = phrase.map(i => pitches[i]);
+    const fitsNow = countInRange(phrasePitches, range);
+    if (fitsNow === phrase.length) return 0;
+
+    let best = { octaves: 0, fits: fitsNow };
+    [-1, 1, -2, 2].forEach(octaves => {
+      const fits = countInRange(phrasePitches.map(p => p + octaves * 12), range);
+      if (fits > best.fits) best = { octaves, fits };
+    });
+
+    if (best.octaves !== 0) {
+      phrase.forEach(i => {
+        pitches[i] += best.octaves * 12;
+        reasons[i] = MOVE_REASON.PHRASE;
+      });
+    }
+    return best.octaves;
+  });
+
+  // 3. Fold the remaining stray notes one at a time
+  pitches.forEach((pitch, i) => {
+    if (pitch >= range.low && pitch <= range.high) return;
+    const folded = foldIntoRange(pitch, range);
+    if (folded !== pitch) {
+      pitches[i] = folded;
+      reasons[i] = MOVE_REASON.NOTE;
+    }
+  });
+
+  // Build new note objects so the parsed data stays intact
+  const changes = [];
+  const fitted = notes.map((note, i) => {
+    const midiNote = pitches[i];
+    if (midiNote === note.midiNote) return note;
+
+    changes.push({
+      index: i,
+      from: note.midiNote,
+      to: midiNote,
+      fromName: midiToNoteName(note.midiNote),
+      toName: midiToNoteName(midiNote),
+      startTime: note.startTime,
+      reason: reasons[i]
+    });
+
+    return {
+      ...note,
+      midiNote,
+      noteName: midiToNoteName(midiNote),
+      originalMidiNote: note.midiNote
+    };
+  });
+
+  return {
+    notes: fitted,
+    transposition,
+    changes,
+    phrases: phrases.map((indices, i) => ({ indices, octaves: phraseShifts[i] })),
+    summary: {
+      total: notes.length,
+      moved: changes.length,
+      unplayable: pitches.length - countInRange(pitches, range)
+    }
+  };
+}
+
+/**
+ * Format a semitone count with its sign
+ */
+function formatSemitones(semitones) {
+  const sign = semitones > 0 ? '+' : '';
+  if (semitones % 12 === 0) {
+    const octaves = semitones / 12;
+    return `${sign}${octaves} octave${Math.abs(octaves) === 1 ? '' : 's'}`;
+  }
+  return `${sign}${semitones} semitones`;
+}
+
+/**
+ * Create the melody extraction selector (strategy plus channel or track)
+ * @param {HTMLElement} container - Parent container element
+ * @param {Function} onChange - Callback with { strategy, channel, track }
+ * @param {object} initial - { strategy, channel, track }
+ * @returns {object} Controller with update() and setOptions() methods
+ */
+function createMelodyExtractionControl(container, onChange, initial = {}) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'melody-extraction';
+  wrapper.style.display = 'none'; // Hidden until a file is loaded
+
+  const label = document.createElement('label');
+  label.textContent = 'Melody: ';
+  label.className = 'melody-extraction-label';
+
+  const strategySelect = document.createElement('select');
+  strategySelect.className = 'melody-extraction-select';
+  Object.values(MELODY_STRATEGIES).forEach(({ id, name }) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = name;
+    strategySelect.appendChild(option);
+  });
+
+  const partSelect = document.createElement('select');
+  partSelect.className = 'melody-extraction-select';
+
+  const info = document.createElement('span');
+  info.className = 'melody-extraction-info';
+
+  wrapper.appendChild(label);
+  wrapper.appendChild(strategySelect);
+  wrapper.appendChild(partSelect);
+  wrapper.appendChild(info);
+  container.appendChild(wrapper);
+
+  let options = {
+    strategy: initial.strategy || DEFAULT_MELODY_STRATEGY,
+    channel: initial.channel ?? null,
+    track: initial.track ?? null
+  };
+  let parts = { channels: [], tracks: [] };
+
+  const renderParts = () => {
+    const isChannel = options.strategy === 'channel';
+    const isTrack = options.strategy === 'track';
+    partSelect.style.display = isChannel || isTrack ? '' : 'none';
+    if (!isChannel && !isTrack) return;
+
+    const values = isChannel ? parts.channels : parts.tracks;
+    const current = isChannel ? options.channel : options.track;
+    partSelect.innerHTML = '';
+    values.forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      // Channels are shown 1-16 as in most sequencers
+      option.textContent = isChannel ? `Channel ${value + 1}` : `Track ${value + 1}`;
+      partSelect.appendChild(option);
+    });
+    if (values.includes(current)) {
+      partSelect.value = current;
+    }
+  };
+
+  const emit = () => {
+    if (onChange) onChange({ ...options });
+  };
+
+  // Pick the first part when the channel or track strategy has none of the current parts;
+  // true if the part was changed
+  const selectFirstPart = () => {
+    if (options.strategy === 'channel' && !parts.channels.includes(options.channel)) {
+      options.channel = parts.channels.length > 0 ? parts.channels[0] : null;
+      return true;
+    }
+    if (options.strategy === 'track' && !parts.tracks.includes(options.track)) {
+      options.track = parts.tracks.length > 0 ? parts.tracks[0] : null;
+      return true;
+    }
+    return false;
+  };
+
+  strategySelect.value = options.strategy;
+
+  strategySelect.addEventListener('change', () => {
+    options.strategy = strategySelect.value;
+    selectFirstPart();
+    renderParts();
+    emit();
+  });
+
+  partSelect.addEventListener('change', () => {
+    const value = parseInt(partSelect.value);
+    if (options.strategy === 'channel') {
+      options.channel = value;
+    } else {
+      options.track = value;
+    }
+    emit();
+  });
+
+  return {
+    element: wrapper,
+    update(result, totalNotes = 0) {
+      if (!result || totalNotes === 0) {
+        wrapper.style.display = 'none';
+        return;
+      }
+      parts = { channels: result.channels, tracks: result.tracks };
+      // A new file's parts: extract from the part the dropdown shows
+      const partChanged = selectFirstPart();
+      renderParts();
+      info.textContent = result.dropped > 0
+        ? ` ${result.notes.length} of ${totalNotes} notes`
+        : ` ${totalNotes} notes`;
+      wrapper.style.display = 'flex';
+      if (partChanged) emit();
+    },
+    setOptions(newOptions) {
+      options = { ...options, ...newOptions };
+      strategySelect.value = options.strategy;
+      renderParts();
+    },
+    getOptions() {
+      return { ...options };
+    }
+  };
+}
+
+/**
+ * Create the "fit to flute" toggle and its report of moved notes
+ * @param {HTMLElement} container - Parent container element
+ * @param {Function} onToggle - Callback with the new enabled state
+ * @param {boolean} initialEnabled - Initial state
+ * @returns {object} Controller with update() and setEnabled() methods
+ */
+function createFitToFluteControl(container, onToggle, initialEnabled = false) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'fit-to-flute';
+  wrapper.style.display = 'none'; // Hidden until a file is loaded
+
+  const label = document.createElement('label');
+  label.className = 'fit-to-flute-label';
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = initialEnabled;
+
+  label.appendChild(checkbox);
+  label.appendChild(document.createTextNode(' Fit to flute'));
+
+  const summaryLine = document.createElement('span');
+  summaryLine.className = 'fit-to-flute-summary';
+
+  const changeList = document.createElement('ul');
+  changeList.className = 'fit-to-flute-changes';
+
+  wrapper.appendChild(label);
+  wrapper.appendChild(summaryLine);
+  wrapper.appendChild(changeList);
+  container.appendChild(wrapper);
+
+  checkbox.addEventListener('change', () => {
+    if (onToggle) onToggle(checkbox.checked);
+  });
+
+  return {
+    element: wrapper,
+    update(result, outOfRange = 0) {
+      changeList.innerHTML = '';
+      if (!result || result.summary.total === 0) {
+        wrapper.style.display = 'none';
+        return;
+      }
+      wrapper.style.display = 'block';
+
+      if (!checkbox.checked) {
+        summaryLine.textContent = outOfRange > 0
+          ? ` · ${outOfRange} note${outOfRange === 1 ? '' : 's'} out of range`
+          : ' · all notes in range';
+        return;
+      }
+
+      const parts = [];
+      if (result.transposition !== 0) {
+        parts.push(`transposed ${formatSemitones(result.transposition)}`);
+      }
+      parts.push(`${result.summary.moved} of ${result.summary.total} notes moved`);
+      if (result.summary.unplayable > 0) {
+        parts.push(`${result.summary.unplayable} still out of range`);
+      }
+      summaryLine.textContent = ` · ${parts.join(', ')}`;
+
+      // Individually moved notes; a global transposition is already in the summary
+      result.changes
+        .filter(change => change.reason !== MOVE_REASON.TRANSPOSE)
+        .forEach(change => {
+          const item = document.createElement('li');
+          item.className = `fit-to-flute-change fit-to-flute-${change.reason}`;
+          item.textContent = `${(change.startTime / 1000).toFixed(1)}s ${change.fromName} → ${change.toName}`;
+          item.title = change.reason === MOVE_REASON.PHRASE ? 'Phrase moved by octave' : 'Note folded by octave';
+          changeList.appendChild(item);
+        });
+    },
+    setEnabled(enabled) {
+      checkbox.checked = enabled;
+    },
+    isEnabled() {
+      return checkbox.checked;
+    }
+  };
+}
+
+// Export
+export {
+  CHORD_WINDOW_MS,
+  MELODY_STRATEGIES,
+  DEFAULT_MELODY_STRATEGY,
+  MAX_TRANSPOSITION,
+  PHRASE_GAP_MS,
+  MOVE_REASON,
+  extractMelody,
+  getMidiRange,
+  findBestTransposition,
+  splitPhrases,
+  foldIntoRange,
+  fitToFlute,
+  createMelodyExtractionControl,
+  createFitToFluteControl
+};
@@ -0,0 +1,505 @@
+/**
+ * Bansuri.js - Metronome (Tone.js)
+ * Click track with an accented first beat, subdivisions and a count-in.
+ * Follows the practice sequencer's beats, or runs on its own clock
+ */
+
+import { levelToDecibels } from './audio-engine.js';
+
+// Beats per cycle and the ways a beat can be divided
+const BEATS_RANGE = { min: 1, max: 16 };
+const SUBDIVISIONS = [
+  { value: 1, name: 'Beats' },
+  { value: 2, name: 'Eighths' },
+  { value: 3, name: 'Triplets' },
+  { value: 4, name: 'Sixteenths' }
+];
+const COUNT_IN_OPTIONS = [
+  { value: 0, name: 'No count-in' },
+  { value: 1, name: 'Count-in: 1 bar' },
+  { value: 2, name: 'Count-in: 2 bars' }
+];
+const TEMPO_RANGE = { min: 30, max: 240 };
+
+// Click pitches: first beat of the cycle, other beats, subdivisions
+const CLICK_FREQUENCIES = { accent: 1760, beat: 1320, subdivision: 880 };
+
+const DEFAULT_SETTINGS = {
+  enabled: false,      // Click along with practice playback
+  beatsPerCycle: 4,
+  subdivision: 1,
+  accent: true,
+  countInBars: 0,
+  volumeLevel: 0.6,    // 0.0 to 1.0
+  bpm: 100             // Tempo when running on its own
+};
+
+let settings = { ...DEFAULT_SETTINGS };
+
+// Tone.js nodes, created on first click
+let click = null;
+let volume = null;
+let clock = null;
+let onClockBeat = null;
+
+// Count-in in progress
+let countInTimeouts = [];
+let countInResolve = null;
+
+/**
+ * Create the click voice
+ */
+function initClick() {
+  volume = new Tone.Volume().toDestination();
+  click = new Tone.Synth({
+    oscillator: { type: 'triangle' },
+    envelope: { attack: 0.001, decay: 0.05, sustain: 0, release: 0.01 }
+  }).connect(volume);
+  setMetronomeVolume(settings.volumeLevel);
+}
+
+/**
+ * Sound one click
+ * @param {string} type - 'accent', 'beat' or 'subdivision'
+ * @param {number} time - Tone.js time to play at
+ */
+function playClick(type, time) {
+  if (Tone.context.state !== 'running') return;
+  if (!click) initClick();
+
+  const velocity = type === 'subdivision' ? 0.4 : type === 'accent' ? 1 : 0.7;
+  click.triggerAttackRelease(CLICK_FREQUENCIES[type], 0.03, time, velocity);
+}
+
+/**
+ * Get the click type of a beat
+ */
+function getBeatType(beat) {
+  return settings.accent && beat % settings.beatsPerCycle === 0 ? 'accent' : 'beat';
+}
+
+/**
+ * Click one beat and its subdivisions, if the click is on
+ * Called from the practice sequencer so the click follows the pattern
+ * @param {number} beat - Beat number from the start of playback
+ * @param {number} beatSeconds - Length of one beat
+ */
+function playMetronomeBeat(beat, beatSeconds) {
+  if (!settings.enabled) return;
+
+  const now = Tone.now();
+  playClick(getBeatType(beat), now);
+  for (let i = 1; i < settings.subdivision; i++) {
+    playClick('subdivision', now + (i * beatSeconds) / settings.subdivision);
+  }
+}
+
+/**
+ * Count in before playback: one or two bars of beats at the tempo
+ * @param {number} bpm - Tempo in beats per minute
+ * @param {Function} onBeat - Called with each count-in beat (from 0)
+ * @returns {Promise<boolean>} True when the count-in finishes, false if it was cancelled
+ */
+function countIn(bpm, onBeat) {
+  cancelCountIn();
+
+  const beats = settings.countInBars * settings.beatsPerCycle;
+  if (beats === 0) return Promise.resolve(true);
+
+  const beatLength = 60000 / bpm;
+  return new Promise(resolve => {
+    countInResolve = resolve;
+
+    for (let beat = 0; beat < beats; beat++) {
+      countInTimeouts.push(setTimeout(() => {
+        // The count-in always sounds the bar's first beat, even without accents
+        playClick(beat % settings.beatsPerCycle === 0 ? 'accent' : 'beat', Tone.now());
+        if (onBeat) onBeat(beat);
+      }, beat * beatLength));
+    }
+
+    countInTimeouts.push(setTimeout(() => {
+      countInTimeouts = [];
+      countInResolve = null;
+      resolve(true);
+    }, beats * beatLength));
+  });
+}
+
+/**
+ * Stop a count-in in progress
+ */
+function cancelCountIn() {
+  countInTimeouts.forEach(id => clearTimeout(id));
+  countInTimeouts = [];
+  if (countInResolve) {
+    countInResolve(false);
+    countInResolve = null;
+  }
+}
+
+/**
+ * Check if a count-in is in progress
+ * @returns {boolean}
+ */
+function isCountingIn() {
+  return countInResolve !== null;
+}
+
+/**
+ * Get the clock rate in clicks per second
+ */
+function getClickFrequency() {
+  return (settings.bpm * settings.subdivision) / 60;
+}
+
+/**
+ * Start the metronome on its own clock at the set tempo
+ * Must be called from a user interaction (click, keypress, etc.)
+ * @param {Function} onBeat - Called with each beat number, in time with the click
+ */
+async function startMetronome(onBeat) {
+  if (clock && clock.state === 'started') return;
+  if (Tone.context.state !== 'running') {
+    await Tone.start();
+  }
+
+  if (!clock) {
+    clock = new Tone.Clock((time, ticks) => {
+      const beat = Math.floor(ticks / settings.subdivision);
+      const onTheBeat = ticks % settings.subdivision === 0;
+      playClick(onTheBeat ? getBeatType(beat) : 'subdivision', time);
+      if (onTheBeat && onClockBeat) {
+        Tone.Draw.schedule(() => onClockBeat(beat), time);
+      }
+    }, getClickFrequency());
+  }
+
+  onClockBeat = onBeat;
+  clock.start();
+}
+
+/**
+ * Stop the metronome's own clock
+ */
+function stopMetronome() {
+  if (clock) clock.stop();
+}
+
+/**
+ * Check if the metronome is running on its own clock
+ * @returns {boolean}
+ */
+function isMetronomeRunning() {
+  return clock !== null && clock.state === 'started';
+}
+
+/**
+ * Turn the click along with practice playback on or off
+ * @param {boolean} enabled
+ */
+function setMetronomeEnabled(enabled) {
+  settings.enabled = !!enabled;
+}
+
+/**
+ * Set the beats per cycle (the first one is accented)
+ * @param {number} beats - 1 to 16
+ */
+function setBeatsPerCycle(beats) {
+  settings.beatsPerCycle = Math.max(BEATS_RANGE.min, Math.min(BEATS_RANGE.max, Math.round(beats) || DEFAULT_SETTINGS.beatsPerCycle));
+}
+
+/**
+ * Set the clicks per beat
+ * @param {number} subdivision - Value of SUBDIVISIONS
+ */
+function setSubdivision(subdivision) {
+  if (!SUBDIVISIONS.some(s => s.value === subdivision)) return;
+  settings.subdivision = subdivision;
+  if (clock) clock.frequency.value = getClickFrequency();
+}
+
+/**
+ * Turn the accent on the first beat on or off
+ * @param {boolean} accent
+ */
+function setAccent(accent) {
+  settings.accent = !!accent;
+}
+
+/**
+ * Set the count-in length
+ * @param {number} bars - Value of COUNT_IN_OPTIONS
+ */
+function setCountInBars(bars) {
+  if (!COUNT_IN_OPTIONS.some(option => option.value === bars)) return;
+  settings.countInBars = bars;
+}
+
+/**
+ * Set the click volume
+ * @param {number} level - Volume level 0.0 to 1.0
+ */
+function setMetronomeVolume(level) {
+  settings.volumeLevel = Math.max(0, Math.min(1, level));
+
+  if (volume) {
+    volume.volume.value = levelToDecibels(settings.volumeLevel);
+  }
+}
+
+/**
+ * Set the tempo used when running on its own
+ * @param {number} bpm - Beats per minute
+ */
+function setMetronomeTempo(bpm) {
+  settings.bpm = Math.max(TEMPO_RANGE.min, Math.min(TEMPO_RANGE.max, Math.round(bpm) || DEFAULT_SETTINGS.bpm));
+  if (clock) clock.frequency.value = getClickFrequency();
+}
+
+/**
+ * Get the metronome settings for saving with preferences
+ * @returns {object} { enabled, beatsPerCycle, subdivision, accent, countInBars, volumeLevel, bpm }
+ */
+function getMetronomeSettings() {
+  return { ...settings };
+}
+
+/**
+ * Restore metronome settings saved with preferences
+ * @param {object} saved - As from getMetronomeSettings()
+ */
+function applyMetronomeSettings(saved) {
+  if (!saved || typeof saved !== 'object') return;
+
+  if (typeof saved.enabled === 'boolean') setMetronomeEnabled(saved.enabled);
+  if (typeof saved.beatsPerCycle === 'number') setBeatsPerCycle(saved.beatsPerCycle);
+  if (typeof saved.subdivision === 'number') setSubdivision(saved.subdivision);
+  if (typeof saved.accent === 'boolean') setAccent(saved.accent);
+  if (typeof saved.countInBars === 'number') setCountInBars(saved.countInBars);
+  if (typeof saved.volumeLevel === 'number') setMetronomeVolume(saved.volumeLevel);
+  if (typeof saved.bpm === 'number') setMetronomeTempo(saved.bpm);
+}
+
+/**
+ * Create a select with the given options
+ */
+function createSelect(options, title) {
+  const select = document.createElement('select');
+  select.className = 'key-selector';
+  select.title = title;
+  options.forEach(({ value, name }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = name;
+    select.appendChild(option);
+  });
+  return select;
+}
+
+/**
+ * Create metronome controls with a beat indicator
+ * With standalone, the button starts and stops the metronome's own clock and a tempo
+ * input is shown; otherwise the button turns the click along with playback on or off
+ * and the count-in can be chosen
+ * @param {HTMLElement} container - Container element
+ * @param {object} options - { standalone, onChange } where onChange gets the settings when one is changed
+ * @returns {object} Controller with showBeat(), clear() and setSettings() methods
+ */
+function createMetronomeControls(container, options = {}) {
+  const { standalone = false, onChange } = options;
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'metronome-controls';
+
+  const toggleBtn = document.createElement('button');
+  toggleBtn.className = 'toggle-btn metronome-toggle';
+
+  const bpmLabel = document.createElement('label');
+  bpmLabel.className = 'metronome-label';
+  bpmLabel.textContent = 'BPM ';
+  const bpmInput = document.createElement('input');
+  bpmInput.type = 'number';
+  bpmInput.min = TEMPO_RANGE.min;
+  bpmInput.max = TEMPO_RANGE.max;
+  bpmInput.className = 'bpm-input';
+  bpmLabel.appendChild(bpmInput);
+
+  const beatsLabel = document.createElement('label');
+  beatsLabel.className = 'metronome-label';
+  beatsLabel.textContent = 'Beats ';
+  const beatsInput = document.createElement('input');
+  beatsInput.type = 'number';
+  beatsInput.min = BEATS_RANGE.min;
+  beatsInput.max = BEATS_RANGE.max;
+  beatsInput.className = 'bpm-input';
+  beatsLabel.appendChild(beatsInput);
+
+  const subdivisionSelect = createSelect(SUBDIVISIONS, 'Clicks per beat');
+  const countInSelect = createSelect(COUNT_IN_OPTIONS, 'Count-in before playback');
+
+  const accentLabel = document.createElement('label');
+  accentLabel.className = 'metronome-label';
+  const accentCheckbox = document.createElement('input');
+  accentCheckbox.type = 'checkbox';
+  accentLabel.appendChild(accentCheckbox);
+  accentLabel.appendChild(document.createTextNode(' Accent'));
+
+  const volumeLabel = document.createElement('label');
+  volumeLabel.className = 'metronome-label';
+  volumeLabel.textContent = 'Vol ';
+  const volumeSlider = document.createElement('input');
+  volumeSlider.type = 'range';
+  volumeSlider.min = '0';
+  volumeSlider.max = '1';
+  volumeSlider.step = '0.05';
+  volumeSlider.className = 'volume-slider';
+  volumeLabel.appendChild(volumeSlider);
+
+  // One dot per beat of the cycle
+  const beatDots = document.createElement('div');
+  beatDots.className = 'metronome-beats';
+
+  wrapper.appendChild(toggleBtn);
+  if (standalone) wrapper.appendChild(bpmLabel);
+  wrapper.appendChild(beatsLabel);
+  wrapper.appendChild(subdivisionSelect);
+  wrapper.appendChild(accentLabel);
+  if (!standalone) wrapper.appendChild(countInSelect);
+  wrapper.appendChild(volumeLabel);
+  wrapper.appendChild(beatDots);
+  container.appendChild(wrapper);
+
+  let dots = [];
+  let currentDot = null;
+
+  const renderDots = () => {
+    beatDots.innerHTML = '';
+    currentDot = null;
+    dots = Array.from({ length: settings.beatsPerCycle }, (_, i) => {
+      const dot = document.createElement('span');
+      dot.className = i === 0 && settings.accent ? 'metronome-dot accent' : 'metronome-dot';
+      beatDots.appendChild(dot);
+      return dot;
+    });
+  };
+
+  const isOn = () => (standalone ? isMetronomeRunning() : settings.enabled);
+
+  const updateToggle = () => {
+    if (standalone) {
+      toggleBtn.textContent = isOn() ? '⏹ Metronome' : '▶ Metronome';
+    } else {
+      toggleBtn.textContent = isOn() ? 'Click on' : 'Click off';
+    }
+    toggleBtn.classList.toggle('active', isOn());
+  };
+
+  const showBeat = (beat) => {
+    if (currentDot) currentDot.classList.remove('current');
+    currentDot = dots[beat % dots.length] || null;
+    if (currentDot) currentDot.classList.add('current');
+  };
+
+  const clear = () => {
+    if (currentDot) currentDot.classList.remove('current');
+    currentDot = null;
+  };
+
+  const setSettings = (values) => {
+    bpmInput.value = values.bpm;
+    beatsInput.value = values.beatsPerCycle;
+    subdivisionSelect.value = values.subdivision;
+    countInSelect.value = values.countInBars;
+    accentCheckbox.checked = values.accent;
+    volumeSlider.value = values.volumeLevel;
+    updateToggle();
+    renderDots();
+  };
+
+  const changed = () => {
+    if (onChange) onChange(getMetronomeSettings());
+  };
+
+  toggleBtn.addEventListener('click', async () => {
+    if (standalone) {
+      if (isMetronomeRunning()) {
+        stopMetronome();
+        clear();
+      } else {
+        await startMetronome(showBeat);
+      }
+    } else {
+      setMetronomeEnabled(!settings.enabled);
+      changed();
+    }
+    updateToggle();
+  });
+
+  bpmInput.addEventListener('change', () => {
+    setMetronomeTempo(parseInt(bpmInput.value));
+    bpmInput.value = settings.bpm;
+    changed();
+  });
+
+  beatsInput.addEventListener('change', () => {
+    setBeatsPerCycle(parseInt(beatsInput.value));
+    beatsInput.value = settings.beatsPerCycle;
+    renderDots();
+    changed();
+  });
+
+  subdivisionSelect.addEventListener('change', () => {
+    setSubdivision(parseInt(subdivisionSelect.value));
+    changed();
+  });
+
+  countInSelect.addEventListener('change', () => {
+    setCountInBars(parseInt(countInSelect.value));
+    changed();
+  });
+
+  accentCheckbox.addEventListener('change', () => {
+    setAccent(accentCheckbox.checked);
+    renderDots();
+    changed();
+  });
+
+  volumeSlider.addEventListener('input', () => {
+    setMetronomeVolume(parseFloat(volumeSlider.value));
+  });
+  volumeSlider.addEventListener('change', changed);
+
+  setSettings(settings);
+
+  return {
+    element: wrapper,
+    showBeat,
+    clear,
+    setSettings
+  };
+}
+
+// Export
+export {
+  SUBDIVISIONS,
+  COUNT_IN_OPTIONS,
+  playMetronomeBeat,
+  countIn,
+  cancelCountIn,
+  isCountingIn,
+  startMetronome,
+  stopMetronome,
+  isMetronomeRunning,
+  setMetronomeEnabled,
+  setBeatsPerCycle,
+  setSubdivision,
+  setAccent,
+  setCountInBars,
+  setMetronomeVolume,
+  setMetronomeTempo,
+  getMetronomeSettings,
+  applyMetronomeSettings,
+  createMetronomeControls
+};
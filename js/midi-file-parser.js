@@ -3,6 +3,37 @@
  * Parses Standard MIDI Files (SMF) and provides timing-accurate playback
  */
 
+import { isPlayable as isPlayableOnBansuri } from './fingering-data.js';
+import { DIFFICULTY } from './transition-analysis.js';
+import { getBendAt, getVibratoAt } from './meend.js';
+import { isMusicXMLFile, parseMusicXMLFile } from './musicxml-parser.js';
+import { isABCFile, looksLikeABC, parseABC } from './abc-notation.js';
+import { DRUM_CHANNEL, MIN_NOTE_DURATION, midiNoteToName, ticksToMilliseconds, keySignatureName } from './midi-utils.js';
+
+// Meta event types
+const META_TEXT = 0x01;
+const META_TRACK_NAME = 0x03;
+const META_INSTRUMENT_NAME = 0x04;
+const META_LYRIC = 0x05;
+const META_MARKER = 0x06;
+const META_TIME_SIGNATURE = 0x58;
+const META_KEY_SIGNATURE = 0x59;
+
+// Largest time signature denominator, as a power of two (128th notes)
+const MAX_DENOMINATOR_POWER = 7;
+
+// Controllers attached to notes as expression curves
+const CC_MODULATION = 1;
+const CC_EXPRESSION = 11;
+
+// Registered parameter (RPN) 0 sets the pitch bend range
+const CC_DATA_ENTRY = 6;
+const CC_RPN_LSB = 100;
+const CC_RPN_MSB = 101;
+
+// Pitch bend range in semitones until a file sets its own
+const DEFAULT_BEND_RANGE = 2;
+
 /**
  * Parse a MIDI file from ArrayBuffer
  * @param {ArrayBuffer} arrayBuffer - Binary MIDI file data
@@ -40,6 +71,9 @@ export function parseMIDI(arrayBuffer) {
   if (division & 0x8000) {
     throw new Error('SMPTE timing format not supported');
   }
+  if (division === 0) {
+    throw new Error('Invalid MIDI file: Zero ticks per quarter note');
+  }
 
   // Parse all tracks
   const tracks = [];
@@ -52,18 +86,45 @@ export function parseMIDI(arrayBuffer) {
   // Build tempo map from meta events
   const tempoMap = buildTempoMap(tracks, division);
 
+  // Track and instrument names
+  const trackInfo = readTrackInfo(tracks);
+
   // Assemble notes from all tracks
-  const notes = assembleNotes(tracks, division, tempoMap);
+  const notes = assembleNotes(tracks, division, tempoMap, trackInfo);
+
+  // Time and key signatures, markers, lyrics and text
+  const meta = readMetaEvents(tracks, division, tempoMap);
+  const bars = buildBars(meta.timeSignatures, getEndTick(tracks), division, tempoMap);
 
   return {
     format,
     trackCount,
     division,
     tempoMap,
-    notes
+    tracks: trackInfo,
+    notes,
+    duration: notes.reduce((max, n) => Math.max(max, n.startTime + n.duration), 0),
+    ...meta,
+    bars
   };
 }
 
+/**
+ * Parse a MIDI, MusicXML or ABC file, chosen by its file name
+ * @param {ArrayBuffer} arrayBuffer - File data
+ * @param {string} fileName - File name
+ * @returns {Promise<Object>} Parsed data with notes array
+ */
+export async function parseScoreFile(arrayBuffer, fileName) {
+  if (isMusicXMLFile(fileName)) {
+    return parseMusicXMLFile(arrayBuffer, fileName);
+  }
+  if (isABCFile(fileName)) {
+    return parseABC(new TextDecoder().decode(arrayBuffer));
+  }
+  return parseMIDI(arrayBuffer);
+}
+
 /**
  * Read 4-byte chunk type as string
  */
@@ -146,6 +207,25 @@ function readTrack(view, offset) {
       if (metaType === 0x51 && length.value === 3) {
         event.tempo = (event.data[0] << 16) | (event.data[1] << 8) | event.data[2];
       }
+
+      // Text meta events (0x01-0x0F)
+      if (metaType >= 0x01 && metaType <= 0x0F) {
+        event.text = decodeMetaText(event.data);
+      }
+
+      // Time Signature: numerator, denominator as a power of two, clocks per click, 32nds per quarter
+      if (metaType === META_TIME_SIGNATURE && length.value >= 2) {
+        event.numerator = event.data[0];
+        event.denominator = Math.pow(2, Math.min(event.data[1], MAX_DENOMINATOR_POWER));
+        event.clocksPerClick = event.data[2] ?? 24;
+        event.thirtySecondsPerQuarter = event.data[3] ?? 8;
+      }
+
+      // Key Signature: sharps (negative for flats) and major/minor flag
+      if (metaType === META_KEY_SIGNATURE && length.value >= 2) {
+        event.sharps = (event.data[0] << 24) >> 24; // Signed byte
+        event.minor = event.data[1] === 1;
+      }
     }
     // SysEx event
     else if (eventType === 0xF0 || eventType === 0xF7) {
@@ -178,6 +258,18 @@ function readTrack(view, offset) {
           event.subtype = 'noteOn';
           event.note = event.data1;
           event.velocity = event.data2;
+        } else if (status === 0xA) {
+          event.subtype = 'polyAftertouch';
+          event.note = event.data1;
+          event.pressure = event.data2;
+        } else if (status === 0xB) {
+          event.subtype = 'controlChange';
+          event.controller = event.data1;
+          event.value = event.data2;
+        } else if (status === 0xE) {
+          // 14-bit value centred on 8192
+          event.subtype = 'pitchBend';
+          event.value = ((event.data2 << 7) | event.data1) - 8192;
         }
 
         runningStatus = eventType;
@@ -185,6 +277,15 @@ function readTrack(view, offset) {
         // One-byte events
         event.data1 = view.getUint8(offset);
         offset++;
+
+        if (status === 0xC) {
+          event.subtype = 'programChange';
+          event.program = event.data1;
+        } else {
+          event.subtype = 'channelAftertouch';
+          event.pressure = event.data1;
+        }
+
         runningStatus = eventType;
       }
     }
@@ -195,6 +296,145 @@ function readTrack(view, offset) {
   return { events, newOffset: offset };
 }
 
+/**
+ * Decode the text of a meta event
+ * Text is usually ASCII or UTF-8; older files often use Latin-1
+ */
+function decodeMetaText(data) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(data).replace(/\0+$/, '').trim();
+  } catch (e) {
+    return new TextDecoder('windows-1252').decode(data).replace(/\0+$/, '').trim();
+  }
+}
+
+/**
+ * Read each track's name and instrument name meta events
+ * @returns {Array<object>} { index, name, instrument } per track
+ */
+function readTrackInfo(tracks) {
+  return tracks.map((track, index) => {
+    const info = { index, name: null, instrument: null };
+    for (const event of track) {
+      if (event.type !== 'meta' || !event.text) continue;
+      if (event.metaType === META_TRACK_NAME && info.name === null) {
+        info.name = event.text;
+      } else if (event.metaType === META_INSTRUMENT_NAME && info.instrument === null) {
+        info.instrument = event.text;
+      }
+    }
+    return info;
+  });
+}
+
+/**
+ * Collect time signatures, key signatures, markers, lyrics and text events
+ * Every entry carries its tick and time in milliseconds
+ * @returns {object} { timeSignatures, keySignatures, markers, lyrics, texts }
+ */
+function readMetaEvents(tracks, division, tempoMap) {
+  const meta = {
+    timeSignatures: [],
+    keySignatures: [],
+    markers: [],
+    lyrics: [],
+    texts: []
+  };
+
+  tracks.forEach((track, trackIndex) => {
+    let tick = 0;
+    for (const event of track) {
+      tick += event.deltaTime;
+      if (event.type !== 'meta') continue;
+
+      const time = ticksToMilliseconds(tick, division, tempoMap);
+      switch (event.metaType) {
+        case META_TIME_SIGNATURE:
+          if (event.numerator) {
+            meta.timeSignatures.push({
+              tick,
+              time,
+              numerator: event.numerator,
+              denominator: event.denominator,
+              clocksPerClick: event.clocksPerClick,
+              thirtySecondsPerQuarter: event.thirtySecondsPerQuarter
+            });
+          }
+          break;
+        case META_KEY_SIGNATURE:
+          if (event.sharps !== undefined) {
+            meta.keySignatures.push({
+              tick,
+              time,
+              sharps: event.sharps,
+              minor: event.minor,
+              name: keySignatureName(event.sharps, event.minor)
+            });
+          }
+          break;
+        case META_MARKER:
+          if (event.text) meta.markers.push({ tick, time, text: event.text });
+          break;
+        case META_LYRIC:
+          if (event.text) meta.lyrics.push({ tick, time, text: event.text, track: trackIndex });
+          break;
+        case META_TEXT:
+          if (event.text) meta.texts.push({ tick, time, text: event.text, track: trackIndex });
+          break;
+      }
+    }
+  });
+
+  Object.values(meta).forEach(list => list.sort((a, b) => a.tick - b.tick));
+  return meta;
+}
+
+/**
+ * Get the tick of the last event in any track
+ */
+function getEndTick(tracks) {
+  return tracks.reduce((max, track) => {
+    const length = track.reduce((sum, event) => sum + event.deltaTime, 0);
+    return Math.max(max, length);
+  }, 0);
+}
+
+/**
+ * Build the bar lines of a piece from its time signatures (4/4 if there are none)
+ * @returns {Array<object>} { number, tick, time, numerator, denominator } per bar
+ */
+function buildBars(timeSignatures, endTick, division, tempoMap) {
+  const signatures = timeSignatures.length > 0 && timeSignatures[0].tick === 0
+    ? timeSignatures
+    : [{ tick: 0, numerator: 4, denominator: 4 }, ...timeSignatures];
+
+  const bars = [];
+  let tick = 0;
+  let signatureIndex = 0;
+
+  while (tick <= endTick) {
+    // A new time signature starts a new bar
+    while (signatureIndex < signatures.length - 1 && signatures[signatureIndex + 1].tick <= tick) {
+      signatureIndex++;
+    }
+    const { numerator, denominator } = signatures[signatureIndex];
+    bars.push({
+      number: bars.length + 1,
+      tick,
+      time: ticksToMilliseconds(tick, division, tempoMap),
+      numerator,
+      denominator
+    });
+
+    const barTicks = numerator * division * 4 / denominator;
+    if (!Number.isFinite(barTicks) || barTicks <= 0) break;
+    const next = signatures[signatureIndex + 1];
+    tick = next && next.tick < tick + barTicks ? next.tick : tick + barTicks;
+  }
+
+  return bars;
+}
+
 /**
  * Build tempo map from meta events
  */
@@ -232,71 +472,144 @@ function buildTempoMap(tracks, division) {
 }
 
 /**
- * Convert MIDI ticks to milliseconds
+ * Create the controller state of a channel
  */
-function ticksToMilliseconds(ticks, division, tempoMap) {
-  let ms = 0;
-  let currentTick = 0;
-  let tempoIndex = 0;
-
-  while (tempoIndex < tempoMap.length - 1 && tempoMap[tempoIndex + 1].tick <= ticks) {
-    const nextTempo = tempoMap[tempoIndex + 1];
-    const ticksInSegment = nextTempo.tick - currentTick;
-    const microsecondsPerTick = tempoMap[tempoIndex].tempo / division;
-    ms += (ticksInSegment * microsecondsPerTick) / 1000;
-    currentTick = nextTempo.tick;
-    tempoIndex++;
-  }
+function createChannelState() {
+  return {
+    program: 0,
+    bend: 0,            // Semitones
+    bendRange: DEFAULT_BEND_RANGE,
+    modulation: 0,      // 0-1
+    expression: null,   // 0-1, null until the file sends CC 11
+    pressure: 0,        // 0-1
+    rpn: [null, null]   // Selected registered parameter (MSB, LSB)
+  };
+}
 
-  // Add remaining ticks
-  const remainingTicks = ticks - currentTick;
-  const microsecondsPerTick = tempoMap[tempoIndex].tempo / division;
-  ms += (remainingTicks * microsecondsPerTick) / 1000;
+/**
+ * Append a point to a note's curve, starting the curve if needed
+ */
+function addCurvePoint(note, curve, value, time) {
+  if (!note.curves[curve]) note.curves[curve] = [];
+  note.curves[curve].push({ time: Math.max(0, time - note.startTime), value });
+}
 
-  return ms;
+/**
+ * Update a channel's controller state and extend the curves of its sounding notes
+ * @param {object} event - Pitch bend, control change or aftertouch event
+ * @param {object} channel - Channel state
+ * @param {Array} sounding - Active notes on the channel
+ * @param {number} time - Event time in milliseconds
+ */
+function applyControllerEvent(event, channel, sounding, time) {
+  if (event.subtype === 'pitchBend') {
+    channel.bend = (event.value / 8192) * channel.bendRange;
+    sounding.forEach(note => addCurvePoint(note, 'pitchBend', channel.bend, time));
+  } else if (event.subtype === 'channelAftertouch') {
+    channel.pressure = event.pressure / 127;
+    sounding.forEach(note => addCurvePoint(note, 'aftertouch', channel.pressure, time));
+  } else if (event.subtype === 'polyAftertouch') {
+    sounding
+      .filter(note => note.midiNote === event.note)
+      .forEach(note => addCurvePoint(note, 'aftertouch', event.pressure / 127, time));
+  } else if (event.subtype === 'controlChange') {
+    switch (event.controller) {
+      case CC_MODULATION:
+        channel.modulation = event.value / 127;
+        sounding.forEach(note => addCurvePoint(note, 'modulation', channel.modulation, time));
+        break;
+      case CC_EXPRESSION:
+        channel.expression = event.value / 127;
+        sounding.forEach(note => addCurvePoint(note, 'expression', channel.expression, time));
+        break;
+      case CC_RPN_MSB:
+        channel.rpn[0] = event.value;
+        break;
+      case CC_RPN_LSB:
+        channel.rpn[1] = event.value;
+        break;
+      case CC_DATA_ENTRY:
+        if (channel.rpn[0] === 0 && channel.rpn[1] === 0) {
+          channel.bendRange = event.value;
+        }
+        break;
+    }
+  }
 }
 
+/**
+ * Keep only the curves that carry information (a bend or some vibrato)
+ */
+function finishCurves(curves) {
+  const result = {};
+  if (curves.pitchBend && curves.pitchBend.some(p => p.value !== 0)) result.pitchBend = curves.pitchBend;
+  if (curves.modulation && curves.modulation.some(p => p.value > 0)) result.modulation = curves.modulation;
+  if (curves.expression) result.expression = curves.expression;
+  if (curves.aftertouch && curves.aftertouch.some(p => p.value > 0)) result.aftertouch = curves.aftertouch;
+  return result;
+}
+
+// Channel events that change a channel's controller state
+const CONTROLLER_SUBTYPES = ['pitchBend', 'controlChange', 'channelAftertouch', 'polyAftertouch'];
+
 /**
  * Assemble notes from Note On/Off events
+ * Each note keeps its track, channel and the program active on that channel,
+ * plus pitch bend (semitones), modulation, expression and aftertouch (0-1)
+ * curves with times relative to the note start
  */
-function assembleNotes(tracks, division, tempoMap) {
+function assembleNotes(tracks, division, tempoMap, trackInfo = []) {
   const allEvents = [];
 
   // Flatten all events with absolute tick times
-  for (const track of tracks) {
+  tracks.forEach((track, trackIndex) => {
     let tick = 0;
     for (const event of track) {
       tick += event.deltaTime;
-      if (event.type === 'channel' && (event.subtype === 'noteOn' || event.subtype === 'noteOff')) {
-        allEvents.push({
-          tick,
-          channel: event.channel,
-          subtype: event.subtype,
-          note: event.note,
-          velocity: event.velocity
-        });
+      if (event.type === 'channel' && event.subtype) {
+        allEvents.push({ ...event, tick, track: trackIndex });
       }
     }
-  }
+  });
 
   // Sort by tick time
   allEvents.sort((a, b) => a.tick - b.tick);
 
   // Match Note On with Note Off
   const activeNotes = new Map(); // Key: "channel-note"
+  const channels = new Map();    // Key: channel
   const notes = [];
 
+  const getChannel = number => {
+    if (!channels.has(number)) channels.set(number, createChannelState());
+    return channels.get(number);
+  };
+
   for (const event of allEvents) {
     const key = `${event.channel}-${event.note}`;
-
-    if (event.subtype === 'noteOn' && event.velocity > 0) {
-      // Start a new note
-      activeNotes.set(key, {
+    const channel = getChannel(event.channel);
+
+    if (event.subtype === 'programChange') {
+      channel.program = event.program;
+    } else if (CONTROLLER_SUBTYPES.includes(event.subtype)) {
+      const sounding = [...activeNotes.values()].filter(note => note.channel === event.channel);
+      applyControllerEvent(event, channel, sounding, ticksToMilliseconds(event.tick, division, tempoMap));
+    } else if (event.subtype === 'noteOn' && event.velocity > 0) {
+      // Start a new note with the channel's current controller values
+      const note = {
         midiNote: event.note,
         startTick: event.tick,
         startTime: ticksToMilliseconds(event.tick, division, tempoMap),
-        channel: event.channel
-      });
+        channel: event.channel,
+        track: event.track,
+        program: channel.program,
+        curves: {}
+      };
+      if (channel.bend !== 0) addCurvePoint(note, 'pitchBend', channel.bend, note.startTime);
+      if (channel.modulation > 0) addCurvePoint(note, 'modulation', channel.modulation, note.startTime);
+      if (channel.expression !== null) addCurvePoint(note, 'expression', channel.expression, note.startTime);
+      if (channel.pressure > 0) addCurvePoint(note, 'aftertouch', channel.pressure, note.startTime);
+      activeNotes.set(key, note);
     } else if (event.subtype === 'noteOff' || (event.subtype === 'noteOn' && event.velocity === 0)) {
       // End the note
       const activeNote = activeNotes.get(key);
@@ -311,7 +624,13 @@ function assembleNotes(tracks, division, tempoMap) {
           midiNote: activeNote.midiNote,
           noteName: midiNoteToName(activeNote.midiNote),
           startTime: activeNote.startTime,
-          duration: Math.max(duration, 100) // Minimum 100ms duration
+          duration: Math.max(duration, MIN_NOTE_DURATION),
+          channel: activeNote.channel,
+          track: activeNote.track,
+          trackName: trackInfo[activeNote.track]?.name ?? null,
+          instrument: trackInfo[activeNote.track]?.instrument ?? null,
+          program: activeNote.program,
+          ...finishCurves(activeNote.curves)
         });
 
         activeNotes.delete(key);
@@ -347,13 +666,170 @@ export function extractUniqueNotes(notes) {
 }
 
 /**
- * Convert MIDI note number to Western note name
+ * Summarize the tracks and channels that contain notes
+ * @param {object} midiData - Result of parseMIDI
+ * @returns {object} { tracks, channels } with note counts and ranges
+ *   tracks: [{ index, name, instrument, noteCount, low, high }]
+ *   channels: [{ channel, programs, noteCount, low, high, isDrum }]
+ */
+export function summarizeParts(midiData) {
+  const tracks = new Map();
+  const channels = new Map();
+
+  const addNote = (map, key, create, note) => {
+    if (!map.has(key)) {
+      map.set(key, { ...create(), noteCount: 0, low: note.midiNote, high: note.midiNote });
+    }
+    const part = map.get(key);
+    part.noteCount++;
+    part.low = Math.min(part.low, note.midiNote);
+    part.high = Math.max(part.high, note.midiNote);
+    return part;
+  };
+
+  (midiData.notes || []).forEach(note => {
+    const info = (midiData.tracks || [])[note.track] || {};
+    addNote(tracks, note.track, () => ({
+      index: note.track,
+      name: info.name || null,
+      instrument: info.instrument || null
+    }), note);
+
+    const channel = addNote(channels, note.channel, () => ({
+      channel: note.channel,
+      programs: [],
+      isDrum: note.channel === DRUM_CHANNEL
+    }), note);
+    if (!channel.programs.includes(note.program)) {
+      channel.programs.push(note.program);
+    }
+  });
+
+  return {
+    tracks: [...tracks.values()].sort((a, b) => a.index - b.index),
+    channels: [...channels.values()].sort((a, b) => a.channel - b.channel)
+  };
+}
+
+/**
+ * Default part selection: every track and every channel except drums
+ * @param {object} parts - Result of summarizeParts
+ * @returns {object} { tracks, channels } arrays of selected indices
  */
-function midiNoteToName(midiNote) {
-  const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-  const octave = Math.floor(midiNote / 12) - 1;
-  const noteName = noteNames[midiNote % 12];
-  return `${noteName}${octave}`;
+export function getDefaultPartSelection(parts) {
+  return {
+    tracks: parts.tracks.map(t => t.index),
+    channels: parts.channels.filter(c => !c.isDrum).map(c => c.channel)
+  };
+}
+
+/**
+ * Keep the notes of the selected tracks and channels
+ * Notes are renumbered; `sourceIndex` points back at the parsed note
+ * @param {Array} notes - Parsed notes
+ * @param {object} selection - { tracks, channels } arrays of selected indices
+ * @returns {Array} Selected notes
+ */
+export function filterNotesByParts(notes, selection) {
+  const tracks = new Set(selection.tracks);
+  const channels = new Set(selection.channels);
+
+  return notes
+    .filter(note => tracks.has(note.track) && channels.has(note.channel))
+    .map((note, i) => ({ ...note, index: i, sourceIndex: note.sourceIndex ?? note.index }));
+}
+
+/**
+ * Create track and channel selector for a loaded file
+ * @param {HTMLElement} container - Parent container element
+ * @param {Function} onChange - Callback with the new { tracks, channels } selection
+ * @returns {object} Controller with update() method
+ */
+export function createPartSelector(container, onChange) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'part-selector';
+  wrapper.style.display = 'none'; // Hidden until a file is loaded
+
+  const trackList = document.createElement('div');
+  trackList.className = 'part-selector-group';
+
+  const channelList = document.createElement('div');
+  channelList.className = 'part-selector-group';
+
+  wrapper.appendChild(trackList);
+  wrapper.appendChild(channelList);
+  container.appendChild(wrapper);
+
+  let selection = { tracks: [], channels: [] };
+
+  const formatRange = part => `${part.noteCount} notes, ${midiNoteToName(part.low)}–${midiNoteToName(part.high)}`;
+
+  const renderGroup = (list, title, items, key) => {
+    list.innerHTML = '';
+    const heading = document.createElement('div');
+    heading.className = 'part-selector-title';
+    heading.textContent = title;
+    list.appendChild(heading);
+
+    items.forEach(item => {
+      const label = document.createElement('label');
+      label.className = 'part-selector-item';
+      if (item.isDrum) label.classList.add('drums');
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = selection[key].includes(item.value);
+      checkbox.addEventListener('change', () => {
+        selection = {
+          ...selection,
+          [key]: checkbox.checked
+            ? [...selection[key], item.value]
+            : selection[key].filter(v => v !== item.value)
+        };
+        if (onChange) onChange(selection);
+      });
+
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${item.label}`));
+      const detail = document.createElement('span');
+      detail.className = 'part-selector-detail';
+      detail.textContent = ` · ${item.detail}`;
+      label.appendChild(detail);
+      list.appendChild(label);
+    });
+  };
+
+  return {
+    element: wrapper,
+    update(parts, newSelection) {
+      if (!parts || parts.tracks.length === 0) {
+        wrapper.style.display = 'none';
+        return;
+      }
+      selection = newSelection;
+
+      renderGroup(trackList, 'Tracks', parts.tracks.map(track => {
+        const names = [track.name, track.instrument].filter(Boolean);
+        return {
+          value: track.index,
+          label: `${track.index + 1}. ${names.length > 0 ? names.join(' / ') : 'Untitled'}`,
+          detail: formatRange(track)
+        };
+      }), 'tracks');
+
+      // Channels are shown 1-16 as in most sequencers
+      renderGroup(channelList, 'Channels', parts.channels.map(channel => ({
+        value: channel.channel,
+        label: channel.isDrum
+          ? `Channel ${channel.channel + 1} (drums)`
+          : `Channel ${channel.channel + 1} (program ${channel.programs.map(p => p + 1).join(', ')})`,
+        detail: formatRange(channel),
+        isDrum: channel.isDrum
+      })), 'channels');
+
+      wrapper.style.display = 'flex';
+    }
+  };
 }
 
 /**
@@ -362,11 +838,11 @@ function midiNoteToName(midiNote) {
 export function createMIDIFileInput(container, onParsed) {
   const fileInput = document.createElement('input');
   fileInput.type = 'file';
-  fileInput.accept = '.mid,.midi';
+  fileInput.accept = '.mid,.midi,.musicxml,.xml,.mxl,.abc';
   fileInput.style.display = 'none';
 
   const button = document.createElement('button');
-  button.textContent = 'Choose MIDI File';
+  button.textContent = 'Choose MIDI, MusicXML or ABC File';
   button.className = 'file-input-btn';
 
   const status = document.createElement('div');
@@ -384,7 +860,8 @@ export function createMIDIFileInput(container, onParsed) {
       status.className = 'file-status loading';
 
       const arrayBuffer = await file.arrayBuffer();
-      const midiData = parseMIDI(arrayBuffer);
+      const midiData = await parseScoreFile(arrayBuffer, file.name);
+      midiData.fileName = file.name;
 
       status.textContent = `Loaded: ${file.name} (${midiData.notes.length} notes)`;
       status.className = 'file-status success';
@@ -400,16 +877,72 @@ export function createMIDIFileInput(container, onParsed) {
     }
   });
 
+  // Pasted ABC text
+  const pasteButton = document.createElement('button');
+  pasteButton.textContent = 'Paste ABC';
+  pasteButton.className = 'file-input-btn abc-paste-toggle';
+
+  const pastePanel = document.createElement('div');
+  pastePanel.className = 'abc-paste';
+  pastePanel.style.display = 'none';
+
+  const pasteInput = document.createElement('textarea');
+  pasteInput.className = 'abc-paste-input';
+  pasteInput.rows = 8;
+  pasteInput.spellcheck = false;
+  pasteInput.placeholder = 'X:1\nT:Tune\nM:4/4\nL:1/8\nK:D\nd2 fd A2 FA | ...';
+
+  const loadPasteButton = document.createElement('button');
+  loadPasteButton.textContent = 'Load ABC';
+  loadPasteButton.className = 'midi-export-btn';
+
+  pastePanel.appendChild(pasteInput);
+  pastePanel.appendChild(loadPasteButton);
+
+  pasteButton.addEventListener('click', () => {
+    const isOpen = pastePanel.style.display !== 'none';
+    pastePanel.style.display = isOpen ? 'none' : 'flex';
+    if (!isOpen) pasteInput.focus();
+  });
+
+  loadPasteButton.addEventListener('click', () => {
+    const text = pasteInput.value;
+    try {
+      if (!looksLikeABC(text)) {
+        throw new Error('Pasted text is not an ABC tune (it needs at least a K: line)');
+      }
+      const midiData = parseABC(text);
+      const fileName = `${midiData.title || 'Pasted tune'}.abc`;
+      midiData.fileName = fileName;
+
+      status.textContent = `Loaded: ${fileName} (${midiData.notes.length} notes)`;
+      status.className = 'file-status success';
+
+      // Cache the text like a file, so it comes back on reload
+      saveMIDIFileToCache(new TextEncoder().encode(text).buffer, fileName);
+
+      pastePanel.style.display = 'none';
+      onParsed(midiData);
+    } catch (error) {
+      status.textContent = `Error: ${error.message}`;
+      status.className = 'file-status error';
+      console.error('ABC parse error:', error);
+    }
+  });
+
   container.appendChild(button);
+  container.appendChild(pasteButton);
   container.appendChild(fileInput);
+  container.appendChild(pastePanel);
   container.appendChild(status);
 
   // Function to load cached MIDI file
-  const loadCachedFile = () => {
+  const loadCachedFile = async () => {
     const cached = loadMIDIFileFromCache();
     if (cached) {
       try {
-        const midiData = parseMIDI(cached.arrayBuffer);
+        const midiData = await parseScoreFile(cached.arrayBuffer, cached.fileName);
+        midiData.fileName = cached.fileName;
         status.textContent = `Loaded from cache: ${cached.fileName} (${midiData.notes.length} notes)`;
         status.className = 'file-status success';
         onParsed(midiData);
@@ -543,7 +1076,8 @@ export function createPianoRoll(container, options = {}) {
   const {
     width = 800,
     height = 300,
-    bansuriKey = 'G'
+    bansuriKey = 'G',
+    octaveShift = 0
   } = options;
 
   const wrapper = document.createElement('div');
@@ -569,20 +1103,23 @@ export function createPianoRoll(container, options = {}) {
   let minMidi = 60;
   let maxMidi = 84;
   let currentBansuriKey = bansuriKey;
+  let currentOctaveShift = octaveShift;
+  let hardPassages = [];
+  let hardNoteIndices = new Set();
+  let movedNotes = new Map(); // note index -> original MIDI note
+  let bars = [];
+  let markers = [];
+  let lyrics = [];
 
   const PIXELS_PER_SECOND = 100;
   const MIDI_HEIGHT = 8; // pixels per MIDI note
   const LEFT_MARGIN = 40; // space for note labels
+  const LYRIC_TOLERANCE_MS = 50; // how close a lyric must be to a note onset to sit under it
 
   function isPlayable(midiNote) {
-    // Import isPlayable logic - bansuri plays from semitone 7 to 31
-    const BANSURI_KEYS = {
-      'C': 60, 'C#': 61, 'D': 62, 'D#': 63, 'E': 64, 'F': 65,
-      'F#': 66, 'G': 67, 'G#': 68, 'A': 69, 'A#': 70, 'B': 71
-    };
-    const saNote = BANSURI_KEYS[currentBansuriKey];
-    const semitonesFromSa = midiNote - saNote;
-    return semitonesFromSa >= 7 && semitonesFromSa <= 31;
+    // Range depends on the key and the active instrument profile;
+    // the flute sounds octaveShift octaves away from its fingerings
+    return isPlayableOnBansuri(midiNote - currentOctaveShift * 12, currentBansuriKey);
   }
 
   function midiToNoteName(midiNote) {
@@ -648,8 +1185,56 @@ export function createPianoRoll(container, options = {}) {
       }
     }
 
+    // Bar lines, with the time signature wherever it changes
+    bars.forEach((bar, i) => {
+      const x = LEFT_MARGIN + (bar.time / 1000) * PIXELS_PER_SECOND;
+      ctx.strokeStyle = isDark ? 'rgba(255, 255, 255, 0.25)' : 'rgba(0, 0, 0, 0.25)';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, canvasHeight);
+      ctx.stroke();
+
+      const previous = bars[i - 1];
+      if (!previous || previous.numerator !== bar.numerator || previous.denominator !== bar.denominator) {
+        ctx.fillStyle = isDark ? '#aaa' : '#555';
+        ctx.font = '9px monospace';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(`${bar.numerator}/${bar.denominator}`, x + 2, canvasHeight - 1);
+      }
+    });
+
+    // Shade the hardest passages behind the notes
+    hardPassages.forEach(passage => {
+      const startX = LEFT_MARGIN + (passage.startTime / 1000) * PIXELS_PER_SECOND;
+      const endX = LEFT_MARGIN + (passage.endTime / 1000) * PIXELS_PER_SECOND;
+      ctx.fillStyle = isDark ? 'rgba(244, 67, 54, 0.18)' : 'rgba(244, 67, 54, 0.12)';
+      ctx.fillRect(startX, 0, endX - startX, canvasHeight);
+    });
+
+    // Ghosts of notes moved by a melody transform, at their original pitch
+    movedNotes.forEach((originalMidi, index) => {
+      const note = notes[index];
+      if (!note) return;
+      const x = LEFT_MARGIN + (note.startTime / 1000) * PIXELS_PER_SECOND;
+      const w = Math.max(2, (note.duration / 1000) * PIXELS_PER_SECOND);
+      const fromY = (maxMidi - originalMidi) * MIDI_HEIGHT;
+      const toY = (maxMidi - note.midiNote) * MIDI_HEIGHT;
+
+      ctx.setLineDash([3, 2]);
+      ctx.strokeStyle = isDark ? '#888' : '#777';
+      ctx.lineWidth = 1;
+      ctx.strokeRect(x, fromY, w, MIDI_HEIGHT - 1);
+      ctx.beginPath();
+      ctx.moveTo(x + 1, fromY + MIDI_HEIGHT / 2);
+      ctx.lineTo(x + 1, toY + MIDI_HEIGHT / 2);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    });
+
     // Draw notes
-    notes.forEach(note => {
+    notes.forEach((note, index) => {
       const x = LEFT_MARGIN + (note.startTime / 1000) * PIXELS_PER_SECOND;
       const y = (maxMidi - note.midiNote) * MIDI_HEIGHT;
       const w = Math.max(2, (note.duration / 1000) * PIXELS_PER_SECOND);
@@ -666,12 +1251,78 @@ export function createPianoRoll(container, options = {}) {
 
       ctx.fillRect(x, y, w, h);
 
-      // Border
-      ctx.strokeStyle = isDark ? '#2a5a9f' : '#1565c0';
-      ctx.lineWidth = 0.5;
+      // Border (notes in hard transitions get a heavier orange outline, moved notes a green one)
+      if (hardNoteIndices.has(index)) {
+        ctx.strokeStyle = '#ff9800';
+        ctx.lineWidth = 2;
+      } else if (movedNotes.has(index)) {
+        ctx.strokeStyle = '#4caf50';
+        ctx.lineWidth = 2;
+      } else {
+        ctx.strokeStyle = isDark ? '#2a5a9f' : '#1565c0';
+        ctx.lineWidth = 0.5;
+      }
       ctx.strokeRect(x, y, w, h);
     });
 
+    // Pitch bends (meend) as a line through the note, vibrato as a wave on it
+    ctx.strokeStyle = isDark ? '#ff80ab' : '#d81b60';
+    ctx.lineWidth = 1.5;
+    notes.forEach(note => {
+      if (!note.pitchBend && !note.modulation) return;
+
+      const x = LEFT_MARGIN + (note.startTime / 1000) * PIXELS_PER_SECOND;
+      const w = Math.max(2, (note.duration / 1000) * PIXELS_PER_SECOND);
+      const centerY = (maxMidi - note.midiNote) * MIDI_HEIGHT + MIDI_HEIGHT / 2;
+
+      ctx.beginPath();
+      for (let dx = 0; dx <= w; dx += 2) {
+        const offset = (dx / PIXELS_PER_SECOND) * 1000;
+        const wave = Math.sin(dx * 0.8) * getVibratoAt(note, offset) * MIDI_HEIGHT / 2;
+        const y = centerY - getBendAt(note, offset) * MIDI_HEIGHT + wave;
+        if (dx === 0) {
+          ctx.moveTo(x + dx, y);
+        } else {
+          ctx.lineTo(x + dx, y);
+        }
+      }
+      ctx.stroke();
+    });
+
+    // Section markers along the top
+    markers.forEach(marker => {
+      const x = LEFT_MARGIN + (marker.time / 1000) * PIXELS_PER_SECOND;
+      ctx.strokeStyle = '#9c27b0';
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, canvasHeight);
+      ctx.stroke();
+
+      ctx.font = 'bold 10px sans-serif';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      const textWidth = ctx.measureText(marker.text).width;
+      ctx.fillStyle = '#9c27b0';
+      ctx.fillRect(x, 0, textWidth + 6, 13);
+      ctx.fillStyle = '#fff';
+      ctx.fillText(marker.text, x + 3, 1);
+    });
+
+    // Lyrics under the note they are sung on (or along the bottom if no note starts there)
+    ctx.font = '9px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = isDark ? '#e0e0e0' : '#333';
+    lyrics.forEach(lyric => {
+      const x = LEFT_MARGIN + (lyric.time / 1000) * PIXELS_PER_SECOND;
+      const note = notes.find(n => Math.abs(n.startTime - lyric.time) <= LYRIC_TOLERANCE_MS);
+      const y = note
+        ? Math.min((maxMidi - note.midiNote + 1) * MIDI_HEIGHT + 1, canvasHeight - 10)
+        : canvasHeight - 10;
+      ctx.fillText(lyric.text, x, y);
+    });
+
     // Draw playhead
     const playheadX = LEFT_MARGIN + (currentTime / 1000) * PIXELS_PER_SECOND;
     ctx.strokeStyle = '#e94560';
@@ -694,6 +1345,9 @@ export function createPianoRoll(container, options = {}) {
         currentBansuriKey = newBansuriKey;
       }
       currentTime = 0;
+      hardPassages = [];
+      hardNoteIndices = new Set();
+      movedNotes = new Map();
 
       if (notes.length > 0) {
         // Calculate range
@@ -716,6 +1370,51 @@ export function createPianoRoll(container, options = {}) {
       currentBansuriKey = newKey;
       draw();
     },
+    setOctaveShift(shift) {
+      currentOctaveShift = shift;
+      draw();
+    },
+    /**
+     * Highlight hard transitions from analyzeTransitions (indices refer to the notes set above)
+     * @param {object|null} analysis - { transitions, passages } or null to clear
+     */
+    setTransitionAnalysis(analysis) {
+      hardPassages = analysis ? analysis.passages : [];
+      hardNoteIndices = new Set();
+      if (analysis) {
+        analysis.transitions
+          .filter(t => t.level === DIFFICULTY.HARD)
+          .forEach(t => {
+            hardNoteIndices.add(t.fromIndex);
+            hardNoteIndices.add(t.toIndex);
+          });
+      }
+      draw();
+    },
+    /**
+     * Show bar lines, section markers and lyrics from a parsed file
+     * @param {object|null} timeline - { bars, markers, lyrics } (parseMIDI result) or null to clear
+     */
+    setTimeline(timeline) {
+      bars = timeline?.bars || [];
+      markers = timeline?.markers || [];
+      lyrics = timeline?.lyrics || [];
+      draw();
+    },
+    /**
+     * Preview notes moved by a melody transform (indices refer to the notes set above)
+     * @param {Array} changes - { index, from } for each moved note, or empty to clear
+     */
+    setChangedNotes(changes) {
+      movedNotes = new Map((changes || []).map(change => [change.index, change.from]));
+
+      // Keep the original pitches on screen
+      movedNotes.forEach(originalMidi => {
+        minMidi = Math.max(21, Math.min(minMidi, originalMidi - 2));
+        maxMidi = Math.min(108, Math.max(maxMidi, originalMidi + 2));
+      });
+      draw();
+    },
     redraw() {
       draw();
     }
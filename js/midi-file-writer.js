@@ -0,0 +1,449 @@
+/**
+ * MIDI File Writer
+ * Serialises note sequences to Standard MIDI Files (SMF) for DAWs and sharing
+ */
+
+import { downloadFile } from './midi-utils.js';
+
+// Ticks per quarter note used when the notes have no source file
+const DEFAULT_DIVISION = 480;
+const DEFAULT_BPM = 120;
+
+// General MIDI program for flute (zero-based), used for bansuri parts
+export const GM_FLUTE_PROGRAM = 73;
+
+// Pitch bend range assumed by players that have not been told otherwise, and the widest written
+const BEND_RANGE = 2;
+const MAX_BEND_RANGE = 24;
+
+// Registered parameter (RPN) controllers; RPN 0 is the pitch bend range
+const CC_DATA_ENTRY = 6;
+const CC_DATA_ENTRY_LSB = 38;
+const CC_RPN_LSB = 100;
+const CC_RPN_MSB = 101;
+const RPN_NULL = 127;
+
+// Order of events that share a tick: meta first, note-offs before the next note-ons
+const EVENT_ORDER = {
+  meta: 0,
+  program: 1,
+  noteOff: 2,
+  controller: 3,
+  noteOn: 4
+};
+
+/**
+ * Encode a number as a variable length quantity
+ */
+function encodeVLQ(value) {
+  let remaining = Math.max(0, Math.round(value));
+  const bytes = [remaining & 0x7F];
+  remaining >>= 7;
+  while (remaining > 0) {
+    bytes.unshift((remaining & 0x7F) | 0x80);
+    remaining >>= 7;
+  }
+  return bytes;
+}
+
+/**
+ * Encode a 32-bit big-endian number
+ */
+function encodeUint32(value) {
+  return [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+}
+
+/**
+ * Build a meta event's bytes (without delta time)
+ */
+function metaEvent(type, data) {
+  return [0xFF, type, ...encodeVLQ(data.length), ...data];
+}
+
+/**
+ * Build a text meta event (track name, marker, ...)
+ */
+function textEvent(type, text) {
+  return metaEvent(type, [...new TextEncoder().encode(text)]);
+}
+
+/**
+ * Convert milliseconds to ticks, following a tempo map if there is one
+ * @param {number} ms - Time in milliseconds
+ * @param {number} division - Ticks per quarter note
+ * @param {Array} tempoMap - { tick, tempo } entries (microseconds per quarter), sorted by tick
+ * @returns {number} Tick
+ */
+function millisecondsToTicks(ms, division, tempoMap) {
+  let elapsed = 0;
+  for (let i = 0; i < tempoMap.length; i++) {
+    const { tick, tempo } = tempoMap[i];
+    const msPerTick = tempo / division / 1000;
+    const next = tempoMap[i + 1];
+    const segmentMs = next ? (next.tick - tick) * msPerTick : Infinity;
+
+    if (ms <= elapsed + segmentMs) {
+      return Math.round(tick + (ms - elapsed) / msPerTick);
+    }
+    elapsed += segmentMs;
+  }
+  return 0;
+}
+
+/**
+ * Get the channel a note is written on
+ */
+function getNoteChannel(note, track) {
+  return (note.channel ?? track.channel ?? 0) & 0x0F;
+}
+
+/**
+ * Find the pitch bend range each channel needs for its notes' bends
+ * @returns {Map} Channel -> range in whole semitones, for channels with bends
+ */
+function getBendRanges(tracks) {
+  const ranges = new Map();
+  tracks.forEach(track => track.notes.forEach(note => {
+    if (!note.pitchBend) return;
+    const channel = getNoteChannel(note, track);
+    const widest = note.pitchBend.reduce((max, point) => Math.max(max, Math.abs(point.value)), 0);
+    const range = Math.min(MAX_BEND_RANGE, Math.max(BEND_RANGE, Math.ceil(widest - 0.001)));
+    ranges.set(channel, Math.max(range, ranges.get(channel) || 0));
+  }));
+  return ranges;
+}
+
+/**
+ * Build the RPN 0 messages that set a channel's pitch bend range
+ */
+function bendRangeMessages(channel, range) {
+  const status = 0xB0 | channel;
+  return [
+    [status, CC_RPN_MSB, 0],
+    [status, CC_RPN_LSB, 0],
+    [status, CC_DATA_ENTRY, range],
+    [status, CC_DATA_ENTRY_LSB, 0],
+    // Deselect the parameter so later data entry does not change it
+    [status, CC_RPN_MSB, RPN_NULL],
+    [status, CC_RPN_LSB, RPN_NULL]
+  ];
+}
+
+/**
+ * Build the timed events of one track
+ * @param {object} track - { name, notes, channel, program }
+ * @param {Function} toTicks - Converts milliseconds to ticks
+ * @param {Map} bendRanges - Pitch bend range per channel, from getBendRanges()
+ * @param {Set} rangesWritten - Channels whose range an earlier track has set (updated)
+ * @returns {Array} { tick, order, bytes } entries
+ */
+function buildTrackEvents(track, toTicks, bendRanges, rangesWritten) {
+  const channel = (track.channel ?? 0) & 0x0F;
+  const events = [];
+  const add = (tick, order, bytes) => events.push({ tick, order, bytes });
+
+  if (track.name) {
+    add(0, EVENT_ORDER.meta, textEvent(0x03, track.name));
+  }
+  if (track.program !== undefined) {
+    add(0, EVENT_ORDER.program, [0xC0 | channel, track.program & 0x7F]);
+  }
+
+  // Tell players the bend range before any bend on the channel
+  new Set(track.notes.map(note => getNoteChannel(note, track))).forEach(noteChannel => {
+    if (!bendRanges.has(noteChannel) || rangesWritten.has(noteChannel)) return;
+    bendRangeMessages(noteChannel, bendRanges.get(noteChannel))
+      .forEach(bytes => add(0, EVENT_ORDER.controller, bytes));
+    rangesWritten.add(noteChannel);
+  });
+
+  const sorted = [...track.notes].sort((a, b) => a.startTime - b.startTime);
+  sorted.forEach(note => {
+    const start = toTicks(note.startTime);
+    const end = Math.max(start + 1, toTicks(note.startTime + note.duration));
+    const noteChannel = getNoteChannel(note, track);
+    const midiNote = Math.max(0, Math.min(127, Math.round(note.midiNote)));
+    const velocity = Math.max(1, Math.min(127, note.velocity ?? 100));
+
+    // Pitch bend (meend) and vibrato curves; the bend is reset when the note ends
+    if (note.pitchBend) {
+      const bendRange = bendRanges.get(noteChannel);
+      note.pitchBend.forEach(point => {
+        const value = Math.max(-8192, Math.min(8191, Math.round(point.value / bendRange * 8192))) + 8192;
+        add(toTicks(note.startTime + point.time), EVENT_ORDER.controller, [0xE0 | noteChannel, value & 0x7F, value >> 7]);
+      });
+      add(end, EVENT_ORDER.controller, [0xE0 | noteChannel, 0x00, 0x40]);
+    }
+    if (note.modulation) {
+      note.modulation.forEach(point => {
+        add(toTicks(note.startTime + point.time), EVENT_ORDER.controller, [0xB0 | noteChannel, 0x01, Math.round(point.value * 127)]);
+      });
+      add(end, EVENT_ORDER.controller, [0xB0 | noteChannel, 0x01, 0]);
+    }
+
+    add(start, EVENT_ORDER.noteOn, [0x90 | noteChannel, midiNote, velocity]);
+    add(end, EVENT_ORDER.noteOff, [0x80 | noteChannel, midiNote, 0]);
+  });
+
+  return events;
+}
+
+/**
+ * Build the tempo, time signature and title events of a piece
+ * @returns {Array} { tick, order, bytes } entries
+ */
+function buildConductorEvents(options, tempoMap) {
+  const events = [];
+  const add = (tick, bytes) => events.push({ tick, order: EVENT_ORDER.meta, bytes });
+
+  if (options.name) {
+    add(0, textEvent(0x03, options.name));
+  }
+
+  const timeSignatures = options.timeSignatures && options.timeSignatures.length > 0
+    ? options.timeSignatures
+    : [{ tick: 0, numerator: 4, denominator: 4 }];
+  timeSignatures.forEach(({ tick = 0, numerator, denominator }) => {
+    add(tick, metaEvent(0x58, [numerator, Math.round(Math.log2(denominator)), 24, 8]));
+  });
+
+  (options.keySignatures || []).forEach(({ tick = 0, sharps, minor }) => {
+    add(tick, metaEvent(0x59, [sharps & 0xFF, minor ? 1 : 0]));
+  });
+
+  (options.markers || []).forEach(({ tick = 0, text }) => {
+    add(tick, textEvent(0x06, text));
+  });
+
+  tempoMap.forEach(({ tick, tempo }) => {
+    add(tick, metaEvent(0x51, [(tempo >> 16) & 0xFF, (tempo >> 8) & 0xFF, tempo & 0xFF]));
+  });
+
+  return events;
+}
+
+/**
+ * Serialise timed events into an MTrk chunk
+ */
+function encodeTrack(events) {
+  const sorted = events
+    .map((event, i) => ({ ...event, i }))
+    .sort((a, b) => a.tick - b.tick || a.order - b.order || a.i - b.i);
+
+  const bytes = [];
+  let lastTick = 0;
+  sorted.forEach(event => {
+    bytes.push(...encodeVLQ(event.tick - lastTick), ...event.bytes);
+    lastTick = event.tick;
+  });
+  bytes.push(0x00, ...metaEvent(0x2F, []));
+
+  return [0x4D, 0x54, 0x72, 0x6B, ...encodeUint32(bytes.length), ...bytes];
+}
+
+/**
+ * Write tracks of notes to a Standard MIDI File
+ * Note times are in milliseconds, as produced by parseMIDI, patternToNoteSequence
+ * or the note recorder. Times are converted with the source file's tempo map and
+ * division when given, otherwise with a single tempo.
+ * @param {Array} tracks - { name, notes, channel, program } per track
+ * @param {object} options - { format (0 or 1), name, bpm, division, tempoMap,
+ *   timeSignatures, keySignatures, markers }
+ * @returns {ArrayBuffer} SMF bytes
+ */
+export function writeMIDI(tracks, options = {}) {
+  const format = options.format === 0 ? 0 : 1;
+  const division = options.division || DEFAULT_DIVISION;
+  const tempoMap = options.tempoMap && options.tempoMap.length > 0
+    ? options.tempoMap
+    : [{ tick: 0, tempo: Math.round(60000000 / (options.bpm || DEFAULT_BPM)) }];
+  const toTicks = ms => millisecondsToTicks(ms, division, tempoMap);
+
+  const conductor = buildConductorEvents(options, tempoMap);
+  const bendRanges = getBendRanges(tracks);
+  const rangesWritten = new Set();
+  const trackEvents = tracks.map(track => buildTrackEvents(track, toTicks, bendRanges, rangesWritten));
+
+  // Type 0 merges everything into one track; Type 1 keeps a conductor track first
+  const chunks = format === 0
+    ? [encodeTrack([...conductor, ...trackEvents.flat()])]
+    : [encodeTrack(conductor), ...trackEvents.map(encodeTrack)];
+
+  const header = [
+    0x4D, 0x54, 0x68, 0x64, ...encodeUint32(6),
+    0x00, format,
+    (chunks.length >> 8) & 0xFF, chunks.length & 0xFF,
+    (division >> 8) & 0x7F, division & 0xFF
+  ];
+
+  return new Uint8Array([...header, ...chunks.flat()]).buffer;
+}
+
+/**
+ * Split notes into tracks for writeMIDI, one per source track (or channel)
+ * @param {Array} notes - Notes with optional track, trackName, channel and program
+ * @param {object} options - { groupBy: 'track' | 'channel', name } (name is used for a single track)
+ * @returns {Array} Tracks for writeMIDI
+ */
+export function notesToTracks(notes, options = {}) {
+  const { groupBy = 'track', name = null } = options;
+  const groups = new Map();
+
+  notes.forEach(note => {
+    const key = note[groupBy] ?? 0;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        name: note.trackName || name,
+        channel: note.channel ?? 0,
+        program: note.program,
+        notes: []
+      });
+    }
+    groups.get(key).notes.push(note);
+  });
+
+  return [...groups.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([, track]) => track);
+}
+
+/**
+ * Offer a MIDI file for download
+ * @param {ArrayBuffer} buffer - SMF bytes from writeMIDI
+ * @param {string} fileName - Download file name
+ */
+export function downloadMIDI(buffer, fileName = 'bansuri.mid') {
+  downloadFile(buffer, fileName, 'audio/midi', '.mid');
+}
+
+/**
+ * Create MIDI export button with a Type 0 / Type 1 choice
+ * @param {HTMLElement} container - Parent container element
+ * @param {Function} getExport - Returns { tracks, options, fileName } or null when there is nothing to export
+ * @returns {object} Controller with setEnabled() method
+ */
+export function createMIDIExportButton(container, getExport) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'midi-export';
+
+  const formatSelect = document.createElement('select');
+  formatSelect.className = 'midi-export-format';
+  [
+    { value: '1', text: 'Type 1 (tracks)' },
+    { value: '0', text: 'Type 0 (single track)' }
+  ].forEach(({ value, text }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    formatSelect.appendChild(option);
+  });
+
+  const button = document.createElement('button');
+  button.className = 'midi-export-btn';
+  button.textContent = 'Export MIDI';
+
+  button.addEventListener('click', () => {
+    const exported = getExport();
+    if (!exported || exported.tracks.every(track => track.notes.length === 0)) return;
+
+    const buffer = writeMIDI(exported.tracks, {
+      ...exported.options,
+      format: parseInt(formatSelect.value)
+    });
+    downloadMIDI(buffer, exported.fileName);
+  });
+
+  wrapper.appendChild(button);
+  wrapper.appendChild(formatSelect);
+  container.appendChild(wrapper);
+
+  return {
+    element: wrapper,
+    setEnabled(enabled) {
+      button.disabled = !enabled;
+    }
+  };
+}
+
+/**
+ * Create recorder for live device input
+ * Feed it with noteOn() and noteOff() from the MIDI input handlers
+ * @param {HTMLElement} container - Parent container element
+ * @param {Function} onRecorded - Callback with the recorded notes when recording stops
+ * @returns {object} Controller with noteOn(), noteOff(), getNotes() and isRecording() methods
+ */
+export function createNoteRecorder(container, onRecorded) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'note-recorder';
+
+  const recordBtn = document.createElement('button');
+  recordBtn.className = 'note-recorder-btn';
+  recordBtn.textContent = '⏺ Record';
+
+  const status = document.createElement('span');
+  status.className = 'note-recorder-status';
+  status.textContent = 'Not recording';
+
+  wrapper.appendChild(recordBtn);
+  wrapper.appendChild(status);
+  container.appendChild(wrapper);
+
+  let recording = false;
+  let startedAt = 0;
+  let notes = [];
+  const held = new Map(); // MIDI note -> note being recorded
+
+  const now = () => performance.now() - startedAt;
+
+  function start() {
+    recording = true;
+    startedAt = performance.now();
+    notes = [];
+    held.clear();
+    recordBtn.textContent = '⏹ Stop';
+    recordBtn.classList.add('recording');
+    status.textContent = 'Recording...';
+  }
+
+  function stop() {
+    // Close notes still held down
+    held.forEach(note => {
+      note.duration = Math.max(1, now() - note.startTime);
+    });
+    held.clear();
+
+    recording = false;
+    recordBtn.textContent = '⏺ Record';
+    recordBtn.classList.remove('recording');
+    status.textContent = `Recorded ${notes.length} note${notes.length === 1 ? '' : 's'}`;
+    if (onRecorded) onRecorded(notes.slice());
+  }
+
+  recordBtn.addEventListener('click', () => {
+    if (recording) stop();
+    else start();
+  });
+
+  return {
+    element: wrapper,
+    noteOn(midiNote, velocity = 100) {
+      if (!recording) return;
+      const note = { index: notes.length, midiNote, velocity, startTime: now(), duration: 0 };
+      notes.push(note);
+      held.set(midiNote, note);
+      status.textContent = `Recording... ${notes.length} note${notes.length === 1 ? '' : 's'}`;
+    },
+    noteOff(midiNote) {
+      const note = held.get(midiNote);
+      if (!recording || !note) return;
+      note.duration = Math.max(1, now() - note.startTime);
+      held.delete(midiNote);
+    },
+    getNotes() {
+      return notes.slice();
+    },
+    isRecording() {
+      return recording;
+    }
+  };
+}
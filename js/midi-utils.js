@@ -0,0 +1,83 @@
+/**
+ * MIDI Utilities
+ * Helpers shared by the MIDI, MusicXML and ABC readers and writers
+ */
+
+// Zero-based channel that General MIDI reserves for drums (channel 10)
+export const DRUM_CHANNEL = 9;
+
+// Shortest note duration in milliseconds, so very short notes stay visible and playable
+export const MIN_NOTE_DURATION = 100;
+
+// Key names by number of sharps (negative = flats), from 7 flats to 7 sharps
+const MAJOR_KEYS = ['Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#'];
+const MINOR_KEYS = ['Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#', 'G#', 'D#', 'A#'];
+
+/**
+ * Convert MIDI note number to Western note name
+ */
+export function midiNoteToName(midiNote) {
+  const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+  const octave = Math.floor(midiNote / 12) - 1;
+  const noteName = noteNames[midiNote % 12];
+  return `${noteName}${octave}`;
+}
+
+/**
+ * Convert MIDI ticks to milliseconds
+ * @param {number} ticks - Ticks from the start
+ * @param {number} division - Ticks per quarter note
+ * @param {Array} tempoMap - { tick, tempo } entries in microseconds per quarter, starting at tick 0
+ */
+export function ticksToMilliseconds(ticks, division, tempoMap) {
+  let ms = 0;
+  let currentTick = 0;
+  let tempoIndex = 0;
+
+  while (tempoIndex < tempoMap.length - 1 && tempoMap[tempoIndex + 1].tick <= ticks) {
+    const nextTempo = tempoMap[tempoIndex + 1];
+    const ticksInSegment = nextTempo.tick - currentTick;
+    const microsecondsPerTick = tempoMap[tempoIndex].tempo / division;
+    ms += (ticksInSegment * microsecondsPerTick) / 1000;
+    currentTick = nextTempo.tick;
+    tempoIndex++;
+  }
+
+  // Add remaining ticks
+  const remainingTicks = ticks - currentTick;
+  const microsecondsPerTick = tempoMap[tempoIndex].tempo / division;
+  ms += (remainingTicks * microsecondsPerTick) / 1000;
+
+  return ms;
+}
+
+/**
+ * Get the name of a key signature
+ * @param {number} sharps - Number of sharps, negative for flats
+ * @param {boolean} minor - Minor key
+ * @returns {string} Key name like 'D' or 'F#m'
+ */
+export function keySignatureName(sharps, minor) {
+  const names = minor ? MINOR_KEYS : MAJOR_KEYS;
+  const name = names[Math.max(-7, Math.min(7, sharps)) + 7];
+  return minor ? `${name}m` : name;
+}
+
+/**
+ * Offer data for download as a file
+ * @param {ArrayBuffer|string} data - File contents
+ * @param {string} fileName - Download file name
+ * @param {string} type - MIME type
+ * @param {string} extension - Extension added to the name when it is missing, like '.mid'
+ */
+export function downloadFile(data, fileName, type, extension) {
+  const blob = new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName.endsWith(extension) ? fileName : `${fileName}${extension}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
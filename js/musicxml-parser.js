@@ -0,0 +1,524 @@
+/**
+ * MusicXML Parser
+ * Reads MusicXML scores (.musicxml / .xml and compressed .mxl) into the same
+ * note structure as parseMIDI, so the piano roll and sequencer can play them
+ */
+
+import { DRUM_CHANNEL, MIN_NOTE_DURATION, midiNoteToName, ticksToMilliseconds, keySignatureName } from './midi-utils.js';
+
+// Ticks per quarter note in the result (scores use their own divisions per part)
+const DIVISION = 480;
+
+// Default tempo when the score has none: 120 BPM
+const DEFAULT_TEMPO = 500000;
+
+// Semitones of each step above C
+const STEP_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Note-on velocity for each dynamic marking
+const DYNAMIC_VELOCITIES = {
+  pppp: 10, ppp: 23, pp: 36, p: 49, mp: 62, mf: 75, f: 88, ff: 101, fff: 114, ffff: 127,
+  sf: 100, sfz: 100, sffz: 110, fz: 100, rfz: 100, fp: 88, sfp: 100
+};
+const DEFAULT_VELOCITY = 80;
+
+/**
+ * Get the child elements of an element, optionally only those with a tag name
+ */
+function childElements(element, tagName) {
+  if (!element) return [];
+  return Array.from(element.children).filter(child => !tagName || child.tagName === tagName);
+}
+
+/**
+ * Get the first child element with a tag name
+ */
+function childElement(element, tagName) {
+  return childElements(element, tagName)[0] || null;
+}
+
+/**
+ * Get the trimmed text of a child element
+ */
+function childText(element, tagName) {
+  const child = childElement(element, tagName);
+  return child ? child.textContent.trim() : null;
+}
+
+/**
+ * Get a child element's text as a number
+ */
+function childNumber(element, tagName) {
+  const text = childText(element, tagName);
+  const value = text === null ? NaN : parseFloat(text);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Get a channel for a part that does not name one
+ * The drum channel is skipped, so every part without a MIDI channel counts as pitched
+ */
+function fallbackChannel(partIndex) {
+  const channel = partIndex % 15;
+  return channel >= DRUM_CHANNEL ? channel + 1 : channel;
+}
+
+/**
+ * Read the part list: names, instruments, MIDI channels and programs
+ * @returns {Map} Part id -> { name, instrument, channel, program }
+ */
+function readPartList(score) {
+  const parts = new Map();
+  childElements(childElement(score, 'part-list'), 'score-part').forEach(scorePart => {
+    const instrument = childElement(scorePart, 'score-instrument');
+    const midiInstrument = childElement(scorePart, 'midi-instrument');
+    const channel = childNumber(midiInstrument, 'midi-channel');
+    const program = childNumber(midiInstrument, 'midi-program');
+
+    parts.set(scorePart.getAttribute('id'), {
+      name: childText(scorePart, 'part-name') || null,
+      instrument: childText(instrument, 'instrument-name') || null,
+      // MusicXML numbers channels and programs from 1
+      channel: channel !== null ? channel - 1 : null,
+      program: program !== null ? program - 1 : 0
+    });
+  });
+  return parts;
+}
+
+/**
+ * Get the sounding MIDI note of a <pitch> element
+ * @returns {object} { midiNote, cents } where cents keeps microtonal alterations
+ */
+function readPitch(pitch, transpose) {
+  const step = childText(pitch, 'step');
+  const octave = childNumber(pitch, 'octave');
+  const alter = childNumber(pitch, 'alter') || 0;
+
+  const exact = (octave + 1) * 12 + STEP_SEMITONES[step] + alter + transpose;
+  const midiNote = Math.round(exact);
+  return { midiNote, cents: Math.round((exact - midiNote) * 100) };
+}
+
+/**
+ * Read one part into timed events (ticks at DIVISION per quarter)
+ * @returns {object} { notes, tempos, measures, timeSignatures, keySignatures, markers, lyrics, texts }
+ */
+function readPart(part, partIndex, info) {
+  const result = {
+    notes: [],
+    tempos: [],
+    measures: [],
+    timeSignatures: [],
+    keySignatures: [],
+    markers: [],
+    lyrics: [],
+    texts: []
+  };
+
+  let divisions = 1;       // Score divisions per quarter note
+  let transpose = 0;       // Written to sounding pitch, in semitones
+  let position = 0;        // Current position in ticks
+  let lastStart = 0;       // Start of the previous note, for chords
+  let velocity = DEFAULT_VELOCITY;
+  let dynamic = null;
+  const ties = new Map();  // "voice-midiNote" -> note waiting for its tie to end
+  const slurs = new Set(); // Open slur numbers
+
+  const toTicks = value => Math.round((value / divisions) * DIVISION);
+
+  childElements(part, 'measure').forEach((measure, measureIndex) => {
+    const number = measure.getAttribute('number');
+    result.measures.push({
+      number: /^\d+$/.test(number || '') ? parseInt(number) : measureIndex + 1,
+      tick: position
+    });
+
+    childElements(measure).forEach(element => {
+      switch (element.tagName) {
+        case 'attributes': {
+          divisions = childNumber(element, 'divisions') || divisions;
+
+          const time = childElement(element, 'time');
+          if (time && childNumber(time, 'beats')) {
+            result.timeSignatures.push({
+              tick: position,
+              numerator: childNumber(time, 'beats'),
+              denominator: childNumber(time, 'beat-type') || 4
+            });
+          }
+
+          const key = childElement(element, 'key');
+          if (key && childNumber(key, 'fifths') !== null) {
+            result.keySignatures.push({
+              tick: position,
+              sharps: childNumber(key, 'fifths'),
+              minor: childText(key, 'mode') === 'minor'
+            });
+          }
+
+          const transposeElement = childElement(element, 'transpose');
+          if (transposeElement) {
+            transpose = (childNumber(transposeElement, 'chromatic') || 0)
+              + (childNumber(transposeElement, 'octave-change') || 0) * 12;
+          }
+          break;
+        }
+
+        case 'direction': {
+          const offset = toTicks(childNumber(element, 'offset') || 0);
+          childElements(element, 'direction-type').forEach(directionType => {
+            const dynamics = childElement(directionType, 'dynamics');
+            const marking = dynamics && childElements(dynamics)[0];
+            if (marking && DYNAMIC_VELOCITIES[marking.tagName]) {
+              dynamic = marking.tagName;
+              velocity = DYNAMIC_VELOCITIES[marking.tagName];
+            }
+
+            const rehearsal = childText(directionType, 'rehearsal');
+            if (rehearsal) {
+              result.markers.push({ tick: position + offset, text: rehearsal });
+            }
+
+            const words = childText(directionType, 'words');
+            if (words) {
+              result.texts.push({ tick: position + offset, text: words, track: partIndex });
+            }
+
+            const metronome = childElement(directionType, 'metronome');
+            const perMinute = childNumber(metronome, 'per-minute');
+            if (perMinute && !childElement(element, 'sound')) {
+              result.tempos.push({ tick: position + offset, bpm: perMinute });
+            }
+          });
+
+          const sound = childElement(element, 'sound');
+          if (sound) {
+            readSound(sound, position + offset);
+          }
+          break;
+        }
+
+        case 'sound':
+          readSound(element, position);
+          break;
+
+        case 'backup':
+          position -= toTicks(childNumber(element, 'duration') || 0);
+          break;
+
+        case 'forward':
+          position += toTicks(childNumber(element, 'duration') || 0);
+          break;
+
+        case 'note':
+          readNote(element, measureIndex);
+          break;
+      }
+    });
+  });
+
+  function readSound(sound, tick) {
+    const tempo = parseFloat(sound.getAttribute('tempo'));
+    if (Number.isFinite(tempo) && tempo > 0) {
+      result.tempos.push({ tick, bpm: tempo });
+    }
+    // Percentage of the default forte velocity (90)
+    const dynamics = parseFloat(sound.getAttribute('dynamics'));
+    if (Number.isFinite(dynamics)) {
+      velocity = Math.max(1, Math.min(127, Math.round(dynamics * 0.9)));
+    }
+  }
+
+  function readNote(element, measureIndex) {
+    // Grace and cue notes take no time in the written rhythm
+    if (childElement(element, 'grace') || childElement(element, 'cue')) return;
+
+    const isChord = Boolean(childElement(element, 'chord'));
+    const duration = toTicks(childNumber(element, 'duration') || 0);
+    const start = isChord ? lastStart : position;
+    if (!isChord) {
+      position += duration;
+      lastStart = start;
+    }
+
+    const pitch = childElement(element, 'pitch');
+    if (!pitch || childElement(element, 'rest')) return;
+
+    const { midiNote, cents } = readPitch(pitch, transpose);
+    const voice = childText(element, 'voice') || '1';
+    const tieTypes = childElements(element, 'tie').map(tie => tie.getAttribute('type'));
+    const notations = childElement(element, 'notations');
+
+    // Slurs: a note is inside a slur from its start to its stop
+    let slur = slurs.size > 0 ? 'continue' : null;
+    childElements(notations, 'slur').forEach(slurElement => {
+      const slurNumber = slurElement.getAttribute('number') || '1';
+      const type = slurElement.getAttribute('type');
+      if (type === 'start') {
+        slurs.add(slurNumber);
+        slur = 'start';
+      } else if (type === 'stop') {
+        slurs.delete(slurNumber);
+        slur = 'stop';
+      }
+    });
+
+    // A tied continuation lengthens the note it is tied from
+    const tieKey = `${voice}-${midiNote}`;
+    const tiedFrom = ties.get(tieKey);
+    if (tieTypes.includes('stop') && tiedFrom) {
+      tiedFrom.durationTicks = start + duration - tiedFrom.startTick;
+      tiedFrom.tied = true;
+      if (slur === 'stop' && tiedFrom.slur !== 'start') tiedFrom.slur = 'stop';
+      if (!tieTypes.includes('start')) ties.delete(tieKey);
+    } else {
+      const note = {
+        midiNote,
+        cents,
+        startTick: start,
+        durationTicks: duration,
+        velocity,
+        dynamic,
+        measure: result.measures[measureIndex].number,
+        voice,
+        slur,
+        tied: false,
+        track: partIndex,
+        channel: info.channel ?? fallbackChannel(partIndex),
+        trackName: info.name,
+        instrument: info.instrument,
+        program: info.program
+      };
+      result.notes.push(note);
+      if (tieTypes.includes('start')) ties.set(tieKey, note);
+    }
+
+    // Lyrics sung on this note
+    childElements(element, 'lyric').forEach(lyric => {
+      const text = childText(lyric, 'text');
+      if (text) {
+        const syllabic = childText(lyric, 'syllabic');
+        const hyphen = syllabic === 'begin' || syllabic === 'middle' ? '-' : '';
+        result.lyrics.push({ tick: start, text: `${text}${hyphen}`, track: partIndex });
+      }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Build bar lines from the measures of the first part
+ */
+function buildBars(measures, timeSignatures, tempoMap) {
+  let signatureIndex = 0;
+  const signatures = timeSignatures.length > 0 ? timeSignatures : [{ tick: 0, numerator: 4, denominator: 4 }];
+
+  return measures.map(measure => {
+    while (signatureIndex < signatures.length - 1 && signatures[signatureIndex + 1].tick <= measure.tick) {
+      signatureIndex++;
+    }
+    return {
+      number: measure.number,
+      tick: measure.tick,
+      time: ticksToMilliseconds(measure.tick, DIVISION, tempoMap),
+      numerator: signatures[signatureIndex].numerator,
+      denominator: signatures[signatureIndex].denominator
+    };
+  });
+}
+
+/**
+ * Parse a MusicXML document (partwise)
+ * Repeats are not expanded; the score is read straight through
+ * @param {string} xmlText - MusicXML text
+ * @returns {Object} Parsed data with the same fields as parseMIDI, plus title and duration
+ */
+export function parseMusicXML(xmlText) {
+  const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid MusicXML: the file is not well-formed XML');
+  }
+
+  const score = doc.documentElement;
+  if (score.tagName === 'score-timewise') {
+    throw new Error('Timewise MusicXML is not supported; export the score as partwise');
+  }
+  if (score.tagName !== 'score-partwise') {
+    throw new Error('Invalid MusicXML: missing score-partwise');
+  }
+
+  const partList = readPartList(score);
+  const parts = childElements(score, 'part').map((part, index) => {
+    const info = partList.get(part.getAttribute('id')) || { name: null, instrument: null, channel: null, program: 0 };
+    return { info, ...readPart(part, index, info) };
+  });
+
+  // Tempo map in the same form as a MIDI file's (microseconds per quarter); the first marking at a tick wins
+  const tempoByTick = new Map();
+  parts.flatMap(p => p.tempos).forEach(({ tick, bpm }) => {
+    if (!tempoByTick.has(tick)) tempoByTick.set(tick, Math.round(60000000 / bpm));
+  });
+  const tempoMap = [...tempoByTick.entries()]
+    .map(([tick, tempo]) => ({ tick, tempo }))
+    .sort((a, b) => a.tick - b.tick);
+  if (tempoMap.length === 0 || tempoMap[0].tick !== 0) {
+    tempoMap.unshift({ tick: 0, tempo: DEFAULT_TEMPO });
+  }
+
+  const withTime = item => ({ ...item, time: ticksToMilliseconds(item.tick, DIVISION, tempoMap) });
+
+  const notes = parts
+    .flatMap(p => p.notes)
+    .map(note => {
+      const startTime = ticksToMilliseconds(note.startTick, DIVISION, tempoMap);
+      const endTime = ticksToMilliseconds(note.startTick + note.durationTicks, DIVISION, tempoMap);
+      const { durationTicks, ...rest } = note;
+      return {
+        ...rest,
+        type: 'note',
+        noteName: midiNoteToName(note.midiNote),
+        startTime,
+        duration: Math.max(endTime - startTime, MIN_NOTE_DURATION)
+      };
+    })
+    .sort((a, b) => a.startTime - b.startTime || b.midiNote - a.midiNote)
+    .map((note, index) => ({ index, ...note }));
+
+  const first = parts[0] || { measures: [], timeSignatures: [], keySignatures: [] };
+  const timeSignatures = first.timeSignatures.map(withTime);
+  const keySignatures = first.keySignatures.map(withTime).map(k => ({ ...k, name: keySignatureName(k.sharps, k.minor) }));
+
+  const work = childElement(score, 'work');
+  const title = childText(work, 'work-title') || childText(score, 'movement-title') || null;
+
+  return {
+    format: 'musicxml',
+    title,
+    trackCount: parts.length,
+    division: DIVISION,
+    tempoMap,
+    tracks: parts.map((p, index) => ({ index, name: p.info.name, instrument: p.info.instrument })),
+    notes,
+    duration: notes.reduce((max, n) => Math.max(max, n.startTime + n.duration), 0),
+    timeSignatures,
+    keySignatures,
+    markers: parts.flatMap(p => p.markers).map(withTime).sort((a, b) => a.tick - b.tick),
+    lyrics: parts.flatMap(p => p.lyrics).map(withTime).sort((a, b) => a.tick - b.tick),
+    texts: parts.flatMap(p => p.texts).map(withTime).sort((a, b) => a.tick - b.tick),
+    bars: buildBars(first.measures, first.timeSignatures, tempoMap)
+  };
+}
+
+/**
+ * Read the entries of a ZIP archive from its central directory
+ * @returns {Array} { name, method, compressedSize, dataOffset }
+ */
+function readZipEntries(buffer) {
+  const view = new DataView(buffer);
+
+  // End of central directory record, searched from the end (it may be followed by a comment)
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054B50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) {
+    throw new Error('Invalid MXL file: not a ZIP archive');
+  }
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const entries = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== 0x02014B50) break;
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+    // File data follows the local header, whose name and extra field lengths can differ
+    const localNameLength = view.getUint16(localOffset + 26, true);
+    const localExtraLength = view.getUint16(localOffset + 28, true);
+    entries.push({
+      name,
+      method,
+      compressedSize,
+      dataOffset: localOffset + 30 + localNameLength + localExtraLength
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Read a ZIP entry as text (stored or deflated)
+ */
+async function readZipText(buffer, entry) {
+  const data = new Uint8Array(buffer, entry.dataOffset, entry.compressedSize);
+  if (entry.method === 0) {
+    return new TextDecoder().decode(data);
+  }
+  if (entry.method !== 8) {
+    throw new Error(`Invalid MXL file: unsupported compression method ${entry.method}`);
+  }
+
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+}
+
+/**
+ * Parse a compressed MusicXML (.mxl) file
+ * The score is the root file named in META-INF/container.xml
+ * @param {ArrayBuffer} arrayBuffer - MXL file data
+ * @returns {Promise<Object>} Parsed data, as parseMusicXML
+ */
+export async function parseMXL(arrayBuffer) {
+  const entries = readZipEntries(arrayBuffer);
+
+  let rootPath = null;
+  const container = entries.find(e => e.name === 'META-INF/container.xml');
+  if (container) {
+    const containerDoc = new DOMParser().parseFromString(await readZipText(arrayBuffer, container), 'application/xml');
+    const rootfile = containerDoc.getElementsByTagName('rootfile')[0];
+    rootPath = rootfile ? rootfile.getAttribute('full-path') : null;
+  }
+
+  const root = entries.find(e => e.name === rootPath)
+    || entries.find(e => !e.name.startsWith('META-INF/') && /\.(musicxml|xml)$/i.test(e.name));
+  if (!root) {
+    throw new Error('Invalid MXL file: no score found in the archive');
+  }
+
+  return parseMusicXML(await readZipText(arrayBuffer, root));
+}
+
+/**
+ * Check if a file name is a MusicXML score
+ */
+export function isMusicXMLFile(fileName) {
+  return /\.(musicxml|xml|mxl)$/i.test(fileName || '');
+}
+
+/**
+ * Parse a MusicXML score file of either kind
+ * @param {ArrayBuffer} arrayBuffer - File data
+ * @param {string} fileName - File name, used to tell .mxl from plain XML
+ * @returns {Promise<Object>} Parsed data, as parseMusicXML
+ */
+export async function parseMusicXMLFile(arrayBuffer, fileName) {
+  if (/\.mxl$/i.test(fileName)) {
+    return parseMXL(arrayBuffer);
+  }
+  return parseMusicXML(new TextDecoder().decode(arrayBuffer));
+}
@@ -3,7 +3,7 @@
  * Traditional Indian classical music practice exercises
  */
 
-import { BANSURI_KEYS } from './fingering-data.js';
+import { getSaMidi } from './fingering-data.js';
 
 /**
  * Pattern data structure:
@@ -450,7 +450,7 @@ export function patternToNoteSequence(pattern, bpm, bansuriKey, octaveShift = 0)
     return [];
   }
 
-  const baseMidi = BANSURI_KEYS[bansuriKey];
+  const baseMidi = getSaMidi(bansuriKey);
   if (baseMidi === undefined) {
     console.error(`Invalid bansuri key: ${bansuriKey}`);
     return [];
@@ -0,0 +1,304 @@
+/**
+ * Bansuri.js - Sargam Notation
+ * Reads and writes compositions as sargam text in Bhatkhande style, using the
+ * { semitone, beats } note format of PRACTICE_PATTERNS
+ *
+ * Notation:
+ * - S R G m P D N: the seven swaras (letter case does not matter)
+ * - _R: komal (underscore before the swara)
+ * - m': tivra Ma (apostrophe after)
+ * - .N: mandra saptak (dot before), S. or S': taar saptak (dot or apostrophe after)
+ * - m" or m'": taar Ma (a double quote after, as Ma's apostrophe means tivra)
+ * - -: sustain the previous note for another beat
+ * - Swaras written together share one beat: SR is two half beats, S-R is 2/3 + 1/3
+ * - | and || are bar lines and only help reading
+ */
+
+// Semitones from Sa of each shuddha swara
+const SWARA_SEMITONES = { S: 0, R: 2, G: 4, M: 5, P: 7, D: 9, N: 11 };
+
+// Swaras that have a komal form, and the one with a tivra form
+const KOMAL_SWARAS = ['R', 'G', 'D', 'N'];
+const TIVRA_SWARA = 'M';
+
+// Letter written for each semitone from Sa, with komal and tivra marks
+const SEMITONE_SWARAS = ['S', '_R', 'R', '_G', 'G', 'm', "m'", 'P', '_D', 'D', '_N', 'N'];
+
+// Finest beat division the serializer writes (notes between grid points are moved to them)
+const MAX_SUBDIVISION = 8;
+
+// Sustain marks: dash and the Devanagari avagraha
+const SUSTAIN = /^[-ऽ]$/;
+
+/**
+ * Read one beat (a run of swaras and dashes written without spaces)
+ * @returns {Array} Elements: { semitone } for a swara, { sustain: true } for a dash
+ */
+function readBeat(token) {
+  const elements = [];
+  let i = 0;
+
+  while (i < token.length) {
+    const char = token[i];
+
+    if (SUSTAIN.test(char)) {
+      elements.push({ sustain: true });
+      i++;
+      continue;
+    }
+
+    // Prefix marks: dots for mandra, underscore for komal
+    let octave = 0;
+    let komal = false;
+    while (token[i] === '.' || token[i] === '_') {
+      if (token[i] === '.') octave--;
+      else komal = true;
+      i++;
+    }
+
+    const letter = (token[i] || '').toUpperCase();
+    if (SWARA_SEMITONES[letter] === undefined) {
+      throw new Error(`Unknown swara "${token[i] || token}" in "${token}"`);
+    }
+    i++;
+
+    // Suffix marks: apostrophe for tivra Ma (taar for other swaras), double quotes and dots for taar
+    let tivra = false;
+    while (token[i] === "'" || token[i] === '"' || (token[i] === '.' && !startsSwara(token, i))) {
+      if (token[i] === "'" && letter === TIVRA_SWARA && !tivra) {
+        tivra = true;
+      } else {
+        octave++;
+      }
+      i++;
+    }
+
+    if (komal && !KOMAL_SWARAS.includes(letter)) {
+      throw new Error(`${letter} has no komal form in "${token}"`);
+    }
+
+    elements.push({
+      semitone: SWARA_SEMITONES[letter] - (komal ? 1 : 0) + (tivra ? 1 : 0) + octave * 12
+    });
+  }
+
+  return elements;
+}
+
+/**
+ * Check if the dots at a position are the mandra mark of a following swara
+ */
+function startsSwara(token, index) {
+  let i = index;
+  while (token[i] === '.' || token[i] === '_') i++;
+  return SWARA_SEMITONES[(token[i] || '').toUpperCase()] !== undefined;
+}
+
+/**
+ * Parse sargam text into practice pattern notes
+ * @param {string} text - Sargam text like "S R G m P | D N S' -"
+ * @returns {Array} Notes as { semitone, beats }
+ * @throws {Error} When the text has an unknown swara or starts with a sustain
+ */
+function parseSargam(text) {
+  const notes = [];
+  const tokens = (text || '').split(/[\s|,]+/).filter(Boolean);
+
+  tokens.forEach(token => {
+    const elements = readBeat(token);
+    const share = 1 / elements.length;
+
+    elements.forEach(element => {
+      if (element.sustain) {
+        if (notes.length === 0) {
+          throw new Error('A sustain (-) needs a swara before it');
+        }
+        notes[notes.length - 1].beats += share;
+      } else {
+        notes.push({ semitone: element.semitone, beats: share });
+      }
+    });
+  });
+
+  // Tidy the floating point sums of thirds and the like
+  return notes.map(note => ({ ...note, beats: Math.round(note.beats * 1000) / 1000 }));
+}
+
+/**
+ * Write one swara with its octave marks
+ */
+function formatSwara(semitone) {
+  const octave = Math.floor(semitone / 12);
+  const swara = SEMITONE_SWARAS[((semitone % 12) + 12) % 12];
+
+  if (octave < 0) return '.'.repeat(-octave) + swara;
+  if (octave === 0) return swara;
+  // An apostrophe after Ma means tivra, and a dot could be read as the next swara's mandra mark
+  return swara.startsWith('m') ? swara + '"'.repeat(octave) : swara + "'".repeat(octave);
+}
+
+/**
+ * Find the smallest beat division that puts every note start on the grid
+ */
+function findSubdivision(starts) {
+  for (let n = 1; n <= MAX_SUBDIVISION; n++) {
+    if (starts.every(start => Math.abs(start * n - Math.round(start * n)) < 0.01)) return n;
+  }
+  return MAX_SUBDIVISION;
+}
+
+/**
+ * Write practice pattern notes as sargam text
+ * Each beat is one token; swaras sharing a beat are written together
+ * @param {Array} notes - Notes as { semitone, beats }
+ * @param {object} options - { beatsPerBar } where a bar line is written (0 for none)
+ * @returns {string} Sargam text
+ */
+function serializeSargam(notes, options = {}) {
+  const { beatsPerBar = 4 } = options;
+  if (!notes || notes.length === 0) return '';
+
+  // Start of each note in beats
+  let position = 0;
+  const timed = notes.map(note => {
+    const start = position;
+    position += note.beats;
+    return { semitone: note.semitone, start };
+  });
+  const totalBeats = Math.ceil(position - 0.001);
+
+  const beats = [];
+  for (let beat = 0; beat < totalBeats; beat++) {
+    const inBeat = timed.filter(note => note.start >= beat - 0.001 && note.start < beat + 1 - 0.001);
+    const n = findSubdivision(inBeat.map(note => note.start - beat));
+
+    let token = '';
+    for (let k = 0; k < n; k++) {
+      const note = inBeat.find(t => Math.round((t.start - beat) * n) === k);
+      token += note ? formatSwara(note.semitone) : '-';
+    }
+    beats.push(token);
+  }
+
+  if (!beatsPerBar) return beats.join(' ');
+
+  const bars = [];
+  for (let i = 0; i < beats.length; i += beatsPerBar) {
+    bars.push(beats.slice(i, i + beatsPerBar).join(' '));
+  }
+  return bars.join(' | ');
+}
+
+/**
+ * Create the sargam editor for typing compositions
+ * @param {HTMLElement} container - Parent container element
+ * @param {Function} onChange - Callback with the parsed notes and text when valid text is typed
+ * @param {object} callbacks - { onPlay, getPatternNotes } for the play and edit buttons
+ * @returns {object} Controller with setText(), getText() and apply() methods
+ */
+function createSargamEditor(container, onChange, callbacks = {}) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'sargam-editor';
+
+  const label = document.createElement('label');
+  label.className = 'sargam-editor-label';
+  label.textContent = 'Sargam composition';
+
+  const textarea = document.createElement('textarea');
+  textarea.className = 'sargam-editor-input';
+  textarea.rows = 3;
+  textarea.spellcheck = false;
+  textarea.placeholder = "S R G m P | D N S' - | S' N D P | m G R S";
+  label.appendChild(textarea);
+
+  const buttons = document.createElement('div');
+  buttons.className = 'sargam-editor-buttons';
+
+  const playButton = document.createElement('button');
+  playButton.className = 'midi-export-btn';
+  playButton.textContent = 'Play composition';
+
+  const editButton = document.createElement('button');
+  editButton.className = 'midi-export-btn';
+  editButton.textContent = 'Edit current pattern';
+
+  const status = document.createElement('span');
+  status.className = 'sargam-editor-status';
+
+  buttons.appendChild(playButton);
+  buttons.appendChild(editButton);
+  buttons.appendChild(status);
+  wrapper.appendChild(label);
+  wrapper.appendChild(buttons);
+  container.appendChild(wrapper);
+
+  let debounceTimer = null;
+
+  // Parse the text; on success report the notes
+  const apply = () => {
+    const text = textarea.value;
+    if (!text.trim()) {
+      status.textContent = '';
+      status.classList.remove('error');
+      return null;
+    }
+
+    try {
+      const notes = parseSargam(text);
+      const beats = notes.reduce((sum, note) => sum + note.beats, 0);
+      status.textContent = `${notes.length} notes, ${Math.round(beats * 100) / 100} beats`;
+      status.classList.remove('error');
+      onChange(notes, text);
+      return notes;
+    } catch (error) {
+      status.textContent = error.message;
+      status.classList.add('error');
+      return null;
+    }
+  };
+
+  textarea.addEventListener('input', () => {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(apply, 300);
+  });
+
+  // Ctrl+Enter plays straight away
+  textarea.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      playButton.click();
+    }
+  });
+
+  playButton.addEventListener('click', () => {
+    clearTimeout(debounceTimer);
+    if (apply() && callbacks.onPlay) callbacks.onPlay();
+  });
+
+  editButton.addEventListener('click', () => {
+    const notes = callbacks.getPatternNotes ? callbacks.getPatternNotes() : null;
+    if (!notes) return;
+    textarea.value = serializeSargam(notes);
+    apply();
+  });
+
+  return {
+    element: wrapper,
+    setText(text) {
+      textarea.value = text || '';
+      status.textContent = '';
+      status.classList.remove('error');
+    },
+    getText() {
+      return textarea.value;
+    },
+    apply
+  };
+}
+
+// Export
+export {
+  parseSargam,
+  serializeSargam,
+  createSargamEditor
+};
@@ -0,0 +1,437 @@
+/**
+ * Bansuri.js - Taal Engine (Tone.js)
+ * Tabla accompaniment: the theka of each taal as bols, played with synthesised
+ * bayan (bass drum) and dayan (treble drum tuned to Sa) strokes, one matra per beat
+ */
+
+import { TAALS, DEFAULT_TAAL } from './bhatkhande-notation.js';
+import { midiToFrequency, getTonicMidi } from './tuning.js';
+import { levelToDecibels } from './audio-engine.js';
+
+// Theka of each taal, one bol per matra; compound bols share their matra
+const TAAL_BOLS = {
+  teentaal: ['Dha', 'Dhin', 'Dhin', 'Dha', 'Dha', 'Dhin', 'Dhin', 'Dha', 'Dha', 'Tin', 'Tin', 'Ta', 'Ta', 'Dhin', 'Dhin', 'Dha'],
+  ektaal: ['Dhin', 'Dhin', 'DhaGe', 'TiRaKiTa', 'Tu', 'Na', 'Kat', 'Ta', 'DhaGe', 'TiRaKiTa', 'Dhin', 'Na'],
+  jhaptaal: ['Dhi', 'Na', 'Dhi', 'Dhi', 'Na', 'Ti', 'Na', 'Dhi', 'Dhi', 'Na'],
+  keherwa: ['Dha', 'Ge', 'Na', 'Ti', 'Na', 'Ka', 'Dhi', 'Na'],
+  rupak: ['Tin', 'Tin', 'Na', 'Dhi', 'Na', 'Dhi', 'Na'],
+  dadra: ['Dha', 'Dhi', 'Na', 'Dha', 'Tin', 'Na']
+};
+
+// Strokes of each syllable
+// - ge: open bayan, ka: closed bayan slap
+// - na: ringing dayan rim, tin: open dayan, tu: dayan centre, te: closed dayan
+const SYLLABLE_STROKES = {
+  dha: ['ge', 'na'],
+  dhin: ['ge', 'tin'],
+  dhi: ['ge', 'tin'],
+  ge: ['ge'],
+  tin: ['tin'],
+  ti: ['tin'],
+  ta: ['na'],
+  na: ['na'],
+  tu: ['tu'],
+  ka: ['ka'],
+  kat: ['ka']
+};
+
+// Compound bols played as closed strokes rather than syllable by syllable
+const COMPOUND_STROKES = {
+  TiRaKiTa: [['te'], ['te'], ['ka'], ['te']]
+};
+
+// Dayan Sa is kept between C4 and B4
+const DAYAN_SA_RANGE = { min: 60, max: 71 };
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  taal: DEFAULT_TAAL,
+  volumeLevel: 0.6   // 0.0 to 1.0
+};
+
+let settings = { ...DEFAULT_SETTINGS };
+
+// Tone.js voices, created on first stroke
+let voices = null;
+
+/**
+ * Create the bayan, dayan and click voices
+ */
+function initVoices() {
+  const volume = new Tone.Volume().toDestination();
+
+  const bayan = new Tone.MembraneSynth({
+    pitchDecay: 0.08,
+    octaves: 2.5,
+    envelope: { attack: 0.002, decay: 0.7, sustain: 0, release: 0.3 }
+  }).connect(volume);
+
+  const dayan = new Tone.MembraneSynth({
+    pitchDecay: 0.01,
+    octaves: 0.4,
+    oscillator: { type: 'custom', partials: [1, 0, 0.5, 0, 0.3, 0.2] },
+    envelope: { attack: 0.001, decay: 0.5, sustain: 0, release: 0.2 }
+  }).connect(volume);
+
+  const clickFilter = new Tone.Filter({ type: 'bandpass', frequency: 2500, Q: 1.5 }).connect(volume);
+  const click = new Tone.NoiseSynth({
+    noise: { type: 'white' },
+    envelope: { attack: 0.001, decay: 0.04, sustain: 0 }
+  }).connect(clickFilter);
+
+  voices = { volume, bayan, dayan, click };
+  setTaalVolume(settings.volumeLevel);
+}
+
+/**
+ * Get the dayan's pitch: the active flute's Sa
+ */
+function getDayanFrequency() {
+  let sa = getTonicMidi();
+  while (sa > DAYAN_SA_RANGE.max) sa -= 12;
+  while (sa < DAYAN_SA_RANGE.min) sa += 12;
+  return midiToFrequency(sa);
+}
+
+/**
+ * Play one stroke
+ */
+function playStroke(stroke, time, velocity) {
+  const { bayan, dayan, click } = voices;
+  const sa = getDayanFrequency();
+
+  switch (stroke) {
+    case 'ge':
+      bayan.envelope.decay = 0.7;
+      bayan.triggerAttackRelease(70, 0.5, time, velocity);
+      break;
+    case 'ka':
+      bayan.envelope.decay = 0.08;
+      bayan.triggerAttackRelease(90, 0.05, time, velocity * 0.7);
+      click.triggerAttackRelease(0.03, time, velocity * 0.5);
+      break;
+    case 'na':
+      dayan.envelope.decay = 0.5;
+      dayan.triggerAttackRelease(sa, 0.3, time, velocity * 0.8);
+      click.triggerAttackRelease(0.02, time, velocity * 0.3);
+      break;
+    case 'tin':
+      dayan.envelope.decay = 1;
+      dayan.triggerAttackRelease(sa, 0.6, time, velocity * 0.6);
+      break;
+    case 'tu':
+      dayan.envelope.decay = 0.9;
+      dayan.triggerAttackRelease(sa / 2, 0.5, time, velocity * 0.7);
+      break;
+    case 'te':
+      click.triggerAttackRelease(0.03, time, velocity * 0.6);
+      break;
+  }
+}
+
+/**
+ * Split a bol into the stroke groups it is played with
+ * @param {string} bol - Bol like 'Dha' or 'DhaGe'
+ * @returns {Array} One array of strokes per syllable
+ */
+function getBolStrokes(bol) {
+  if (COMPOUND_STROKES[bol]) return COMPOUND_STROKES[bol];
+  return (bol.match(/[A-Z][a-z]*/g) || []).map(syllable => SYLLABLE_STROKES[syllable.toLowerCase()] || []);
+}
+
+/**
+ * Get where a beat falls in the taal
+ * @param {number} beat - Beat number from the start of playback (0 = sam)
+ * @param {string} taalId - Key of TAALS (the selected taal if omitted)
+ * @returns {object} { matra, avartan, bol, mark } with matra from 0 and avartan from 1;
+ *   mark is the vibhag sign ('X' sam, '0' khali, or the tali number) on the vibhag's first matra, else null
+ */
+function getBeatPosition(beat, taalId = settings.taal) {
+  const taal = TAALS[taalId];
+  const matra = ((beat % taal.beats) + taal.beats) % taal.beats;
+
+  let mark = null;
+  let vibhagStart = 0;
+  taal.vibhags.forEach((length, i) => {
+    if (matra === vibhagStart) mark = taal.marks[i];
+    vibhagStart += length;
+  });
+
+  return {
+    matra,
+    avartan: Math.floor(beat / taal.beats) + 1,
+    bol: TAAL_BOLS[taalId][matra],
+    mark
+  };
+}
+
+/**
+ * Play the bol of a beat, if the tabla is on
+ * @param {number} beat - Beat number from the start of playback (0 = sam)
+ * @param {number} beatSeconds - Length of one beat, for compound bols
+ * @returns {object} Position of the beat, as from getBeatPosition()
+ */
+function playBeat(beat, beatSeconds) {
+  const position = getBeatPosition(beat);
+  if (!settings.enabled || Tone.context.state !== 'running') return position;
+  if (!voices) initVoices();
+
+  // Sam is played a little stronger
+  const velocity = position.mark === 'X' ? 1 : 0.8;
+  const groups = getBolStrokes(position.bol);
+  const now = Tone.now();
+
+  groups.forEach((strokes, i) => {
+    const time = now + (i * beatSeconds) / groups.length;
+    strokes.forEach(stroke => playStroke(stroke, time, velocity));
+  });
+
+  return position;
+}
+
+/**
+ * Turn the tabla on or off
+ * @param {boolean} enabled
+ */
+function setTaalEnabled(enabled) {
+  settings.enabled = !!enabled;
+}
+
+/**
+ * Check if the tabla is on
+ * @returns {boolean}
+ */
+function isTaalEnabled() {
+  return settings.enabled;
+}
+
+/**
+ * Set the taal
+ * @param {string} taalId - Key of TAALS
+ * @returns {boolean} True if the taal exists
+ */
+function setTaal(taalId) {
+  if (!TAALS[taalId]) return false;
+  settings.taal = taalId;
+  return true;
+}
+
+/**
+ * Get the selected taal id
+ * @returns {string} Taal id
+ */
+function getTaal() {
+  return settings.taal;
+}
+
+/**
+ * Set the tabla volume
+ * @param {number} level - Volume level 0.0 to 1.0
+ */
+function setTaalVolume(level) {
+  settings.volumeLevel = Math.max(0, Math.min(1, level));
+
+  if (voices) {
+    voices.volume.volume.value = levelToDecibels(settings.volumeLevel);
+  }
+}
+
+/**
+ * Get the tabla settings for saving with preferences
+ * @returns {object} { enabled, taal, volumeLevel }
+ */
+function getTaalSettings() {
+  return { ...settings };
+}
+
+/**
+ * Restore tabla settings saved with preferences
+ * @param {object} saved - { enabled, taal, volumeLevel }
+ */
+function applyTaalSettings(saved) {
+  if (!saved || typeof saved !== 'object') return;
+
+  if (typeof saved.enabled === 'boolean') {
+    setTaalEnabled(saved.enabled);
+  }
+  if (saved.taal) {
+    setTaal(saved.taal);
+  }
+  if (typeof saved.volumeLevel === 'number') {
+    setTaalVolume(saved.volumeLevel);
+  }
+}
+
+/**
+ * Create the taal display: tabla on/off, taal, volume, and the theka with the current matra
+ * @param {HTMLElement} container - Container element
+ * @param {object} callbacks - { onTaalChange, onChange } called when the taal or another setting changes
+ * @returns {object} Controller with showBeat(), clear(), setTaal() and setSettings() methods
+ */
+function createTaalDisplay(container, callbacks = {}) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'taal-display';
+
+  const controls = document.createElement('div');
+  controls.className = 'taal-controls';
+
+  const toggleBtn = document.createElement('button');
+  toggleBtn.className = 'toggle-btn taal-toggle';
+
+  const taalSelect = document.createElement('select');
+  taalSelect.className = 'key-selector';
+  taalSelect.title = 'Taal';
+  Object.values(TAALS).forEach(taal => {
+    const option = document.createElement('option');
+    option.value = taal.id;
+    option.textContent = `${taal.name} (${taal.beats})`;
+    taalSelect.appendChild(option);
+  });
+
+  const volumeLabel = document.createElement('label');
+  volumeLabel.className = 'taal-label';
+  volumeLabel.textContent = 'Vol ';
+  const volumeSlider = document.createElement('input');
+  volumeSlider.type = 'range';
+  volumeSlider.min = '0';
+  volumeSlider.max = '1';
+  volumeSlider.step = '0.05';
+  volumeSlider.className = 'volume-slider';
+  volumeLabel.appendChild(volumeSlider);
+
+  const avartanDisplay = document.createElement('span');
+  avartanDisplay.className = 'taal-avartan';
+
+  controls.appendChild(toggleBtn);
+  controls.appendChild(taalSelect);
+  controls.appendChild(volumeLabel);
+  controls.appendChild(avartanDisplay);
+
+  // Theka: one cell per matra, grouped by vibhag
+  const theka = document.createElement('div');
+  theka.className = 'taal-theka';
+
+  wrapper.appendChild(controls);
+  wrapper.appendChild(theka);
+  container.appendChild(wrapper);
+
+  let matraCells = [];
+  let currentCell = null;
+
+  function renderTheka() {
+    theka.innerHTML = '';
+    matraCells = [];
+    currentCell = null;
+    avartanDisplay.textContent = '';
+
+    const taal = TAALS[settings.taal];
+    let matra = 0;
+    taal.vibhags.forEach((length, vibhagIndex) => {
+      const vibhag = document.createElement('div');
+      vibhag.className = 'taal-vibhag';
+
+      for (let i = 0; i < length; i++, matra++) {
+        const cell = document.createElement('div');
+        cell.className = 'taal-matra';
+
+        const bol = document.createElement('div');
+        bol.className = 'taal-bol';
+        bol.textContent = TAAL_BOLS[taal.id][matra];
+
+        const mark = document.createElement('div');
+        mark.className = 'taal-mark';
+        mark.textContent = i === 0 ? taal.marks[vibhagIndex] : matra + 1;
+        if (i === 0 && taal.marks[vibhagIndex] === '0') cell.classList.add('khali');
+        if (i === 0 && taal.marks[vibhagIndex] === 'X') cell.classList.add('sam');
+
+        cell.appendChild(bol);
+        cell.appendChild(mark);
+        vibhag.appendChild(cell);
+        matraCells.push(cell);
+      }
+
+      theka.appendChild(vibhag);
+    });
+  }
+
+  const updateToggle = () => {
+    toggleBtn.textContent = settings.enabled ? 'Tabla on' : 'Tabla off';
+    toggleBtn.classList.toggle('active', settings.enabled);
+  };
+
+  const setSettings = (values) => {
+    taalSelect.value = values.taal;
+    volumeSlider.value = values.volumeLevel;
+    updateToggle();
+    renderTheka();
+  };
+
+  const changed = () => {
+    if (callbacks.onChange) callbacks.onChange(getTaalSettings());
+  };
+
+  toggleBtn.addEventListener('click', () => {
+    setTaalEnabled(!settings.enabled);
+    updateToggle();
+    changed();
+  });
+
+  taalSelect.addEventListener('change', () => {
+    setTaal(taalSelect.value);
+    renderTheka();
+    if (callbacks.onTaalChange) callbacks.onTaalChange(settings.taal);
+    changed();
+  });
+
+  volumeSlider.addEventListener('input', () => {
+    setTaalVolume(parseFloat(volumeSlider.value));
+  });
+  volumeSlider.addEventListener('change', changed);
+
+  setSettings(settings);
+
+  return {
+    element: wrapper,
+
+    /**
+     * Highlight the matra being played and show the avartan count
+     * @param {object} position - { matra, avartan } from playBeat() or getBeatPosition()
+     */
+    showBeat(position) {
+      if (currentCell) currentCell.classList.remove('current');
+      currentCell = matraCells[position.matra] || null;
+      if (currentCell) currentCell.classList.add('current');
+      avartanDisplay.textContent = `Matra ${position.matra + 1} · Avartan ${position.avartan}`;
+    },
+
+    clear() {
+      if (currentCell) currentCell.classList.remove('current');
+      currentCell = null;
+      avartanDisplay.textContent = '';
+    },
+
+    setTaal(taalId) {
+      if (!setTaal(taalId)) return;
+      taalSelect.value = taalId;
+      renderTheka();
+    },
+
+    setSettings
+  };
+}
+
+// Export
+export {
+  TAAL_BOLS,
+  getBolStrokes,
+  getBeatPosition,
+  playBeat,
+  setTaalEnabled,
+  isTaalEnabled,
+  setTaal,
+  getTaal,
+  setTaalVolume,
+  getTaalSettings,
+  applyTaalSettings,
+  createTaalDisplay
+};
@@ -0,0 +1,309 @@
+/**
+ * Bansuri.js - Tanpura Drone (Tone.js)
+ * Plays the four-string tanpura cycle (Pa-Sa-Sa-Sa, Ma-Sa-Sa-Sa or Ni-Sa-Sa-Sa)
+ * on the active flute's Sa, with a jawari-like buzz that blooms after each pluck.
+ * Runs on its own clock and volume, alongside the melody voice
+ */
+
+import { midiToFrequency, getTonicMidi } from './tuning.js';
+import { levelToDecibels } from './audio-engine.js';
+
+// Tunings by the first string; semitones from Sa (the first string sits in the lower octave)
+const TANPURA_TUNINGS = {
+  pa: { id: 'pa', name: 'Pa Sa Sa Sa', firstString: -5 },
+  ma: { id: 'ma', name: 'Ma Sa Sa Sa', firstString: -7 },
+  ni: { id: 'ni', name: 'Ni Sa Sa Sa', firstString: -1 }
+};
+
+// Cycle speed in cycles per minute
+const TEMPO_RANGE = { min: 8, max: 40, step: 1 };
+
+// Each cycle is four plucks and one beat of rest before the next
+const SLOTS_PER_CYCLE = 5;
+
+// Tanpura Sa is kept between C3 and B3, whatever the flute's octave
+const SA_RANGE = { min: 48, max: 59 };
+
+// Soft string harmonics; the filter envelope opens them up like jawari
+const STRING_PARTIALS = [1, 0.7, 0.5, 0.45, 0.35, 0.3, 0.22, 0.18, 0.14, 0.1, 0.08, 0.06];
+
+const DEFAULT_SETTINGS = {
+  tuning: 'pa',
+  volumeLevel: 0.5,  // 0.0 to 1.0
+  tempo: 16          // Cycles per minute
+};
+
+let settings = { ...DEFAULT_SETTINGS };
+
+// Tone.js nodes, created on first start
+let strings = null;
+let volume = null;
+let clock = null;
+let playing = false;
+
+/**
+ * Create the four string voices and the clock
+ */
+function initTanpura() {
+  volume = new Tone.Volume().toDestination();
+  const reverb = new Tone.Freeverb({ roomSize: 0.6, dampening: 3000, wet: 0.25 }).connect(volume);
+
+  strings = Array.from({ length: 4 }, () => new Tone.MonoSynth({
+    oscillator: { type: 'fatcustom', partials: STRING_PARTIALS, count: 2, spread: 6 },
+    envelope: { attack: 0.005, decay: 3, sustain: 0.2, release: 2.5 },
+    filter: { type: 'lowpass', Q: 3, rolloff: -24 },
+    filterEnvelope: { attack: 0.4, decay: 2.5, sustain: 0.4, release: 2, baseFrequency: 200, octaves: 3.5 }
+  }).connect(reverb));
+
+  clock = new Tone.Clock((time, ticks) => {
+    const slot = ticks % SLOTS_PER_CYCLE;
+    if (slot < strings.length) pluck(slot, time);
+  }, getSlotFrequency());
+
+  setTanpuraVolume(settings.volumeLevel);
+}
+
+/**
+ * Get the clock rate in slots per second
+ */
+function getSlotFrequency() {
+  return settings.tempo * SLOTS_PER_CYCLE / 60;
+}
+
+/**
+ * Get the MIDI note of each string for the active flute's Sa
+ * @returns {number[]} First string, two middle Sa strings, low Sa (kharaj)
+ */
+function getStringNotes() {
+  let sa = getTonicMidi();
+  while (sa > SA_RANGE.max) sa -= 12;
+  while (sa < SA_RANGE.min) sa += 12;
+
+  const { firstString } = TANPURA_TUNINGS[settings.tuning];
+  return [sa + firstString, sa, sa, sa - 12];
+}
+
+/**
+ * Pluck one string; pitch is read at each pluck so key and tuning changes follow
+ */
+function pluck(stringIndex, time) {
+  const frequency = midiToFrequency(getStringNotes()[stringIndex]);
+  const string = strings[stringIndex];
+
+  string.filterEnvelope.baseFrequency = frequency;
+  // Ring on through the rest of the cycle
+  const ringTime = (SLOTS_PER_CYCLE - 0.5) / getSlotFrequency();
+  string.triggerAttackRelease(frequency, ringTime, time, stringIndex === 3 ? 0.9 : 0.7);
+}
+
+/**
+ * Start the drone
+ * Must be called from a user interaction (click, keypress, etc.)
+ */
+async function startTanpura() {
+  if (playing) return;
+  if (Tone.context.state !== 'running') {
+    await Tone.start();
+  }
+  if (!strings) initTanpura();
+
+  clock.start();
+  playing = true;
+}
+
+/**
+ * Stop the drone, letting the strings ring out
+ */
+function stopTanpura() {
+  if (!playing) return;
+  clock.stop();
+  strings.forEach(string => string.triggerRelease());
+  playing = false;
+}
+
+/**
+ * Check if the drone is playing
+ * @returns {boolean}
+ */
+function isTanpuraPlaying() {
+  return playing;
+}
+
+/**
+ * Set the tuning of the first string
+ * @param {string} tuningId - Key of TANPURA_TUNINGS
+ * @returns {boolean} True if the tuning exists
+ */
+function setTanpuraTuning(tuningId) {
+  if (!TANPURA_TUNINGS[tuningId]) return false;
+  settings.tuning = tuningId;
+  return true;
+}
+
+/**
+ * Set the drone volume
+ * @param {number} level - Volume level 0.0 to 1.0
+ */
+function setTanpuraVolume(level) {
+  settings.volumeLevel = Math.max(0, Math.min(1, level));
+
+  if (volume) {
+    volume.volume.value = levelToDecibels(settings.volumeLevel);
+  }
+}
+
+/**
+ * Set the cycle speed
+ * @param {number} cyclesPerMinute - Full string cycles per minute
+ */
+function setTanpuraTempo(cyclesPerMinute) {
+  settings.tempo = Math.max(TEMPO_RANGE.min, Math.min(TEMPO_RANGE.max, Math.round(cyclesPerMinute)));
+
+  if (clock) {
+    clock.frequency.value = getSlotFrequency();
+  }
+}
+
+/**
+ * Get the drone settings for saving with preferences
+ * @returns {object} { tuning, volumeLevel, tempo }
+ */
+function getTanpuraSettings() {
+  return { ...settings };
+}
+
+/**
+ * Restore drone settings saved with preferences
+ * @param {object} saved - { tuning, volumeLevel, tempo }
+ */
+function applyTanpuraSettings(saved) {
+  if (!saved || typeof saved !== 'object') return;
+
+  if (saved.tuning) {
+    setTanpuraTuning(saved.tuning);
+  }
+  if (typeof saved.volumeLevel === 'number') {
+    setTanpuraVolume(saved.volumeLevel);
+  }
+  if (typeof saved.tempo === 'number') {
+    setTanpuraTempo(saved.tempo);
+  }
+}
+
+/**
+ * Create tanpura controls (start/stop, tuning, volume and tempo)
+ * @param {HTMLElement} container - Container element
+ * @param {Function} onChange - Callback with the drone settings when a setting is changed
+ * @returns {object} Controller with a setSettings() method
+ */
+function createTanpuraControls(container, onChange) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'tanpura-controls';
+
+  const toggleBtn = document.createElement('button');
+  toggleBtn.className = 'toggle-btn tanpura-toggle';
+
+  const tuningSelect = document.createElement('select');
+  tuningSelect.className = 'key-selector';
+  tuningSelect.title = 'Tanpura tuning';
+  Object.values(TANPURA_TUNINGS).forEach(tuning => {
+    const option = document.createElement('option');
+    option.value = tuning.id;
+    option.textContent = tuning.name;
+    tuningSelect.appendChild(option);
+  });
+
+  const volumeLabel = document.createElement('label');
+  volumeLabel.className = 'tanpura-label';
+  volumeLabel.textContent = 'Vol ';
+  const volumeSlider = document.createElement('input');
+  volumeSlider.type = 'range';
+  volumeSlider.min = '0';
+  volumeSlider.max = '1';
+  volumeSlider.step = '0.05';
+  volumeSlider.className = 'volume-slider';
+  volumeLabel.appendChild(volumeSlider);
+
+  const tempoLabel = document.createElement('label');
+  tempoLabel.className = 'tanpura-label';
+  tempoLabel.textContent = 'Speed ';
+  const tempoSlider = document.createElement('input');
+  tempoSlider.type = 'range';
+  tempoSlider.min = TEMPO_RANGE.min;
+  tempoSlider.max = TEMPO_RANGE.max;
+  tempoSlider.step = TEMPO_RANGE.step;
+  tempoSlider.className = 'volume-slider';
+  const tempoValue = document.createElement('span');
+  tempoValue.className = 'volume-value';
+  tempoLabel.appendChild(tempoSlider);
+  tempoLabel.appendChild(tempoValue);
+
+  const updateToggle = () => {
+    toggleBtn.textContent = playing ? '⏹ Tanpura' : '▶ Tanpura';
+    toggleBtn.classList.toggle('active', playing);
+  };
+
+  const setSettings = (values) => {
+    tuningSelect.value = values.tuning;
+    volumeSlider.value = values.volumeLevel;
+    tempoSlider.value = values.tempo;
+    tempoValue.textContent = `${values.tempo}/min`;
+  };
+
+  const changed = () => {
+    if (onChange) onChange(getTanpuraSettings());
+  };
+
+  toggleBtn.addEventListener('click', async () => {
+    if (playing) {
+      stopTanpura();
+    } else {
+      await startTanpura();
+    }
+    updateToggle();
+  });
+
+  tuningSelect.addEventListener('change', () => {
+    setTanpuraTuning(tuningSelect.value);
+    changed();
+  });
+
+  volumeSlider.addEventListener('input', () => {
+    setTanpuraVolume(parseFloat(volumeSlider.value));
+  });
+  volumeSlider.addEventListener('change', changed);
+
+  tempoSlider.addEventListener('input', () => {
+    setTanpuraTempo(parseInt(tempoSlider.value));
+    tempoValue.textContent = `${settings.tempo}/min`;
+  });
+  tempoSlider.addEventListener('change', changed);
+
+  wrapper.appendChild(toggleBtn);
+  wrapper.appendChild(tuningSelect);
+  wrapper.appendChild(volumeLabel);
+  wrapper.appendChild(tempoLabel);
+  container.appendChild(wrapper);
+
+  setSettings(settings);
+  updateToggle();
+
+  return {
+    element: wrapper,
+    setSettings
+  };
+}
+
+// Export
+export {
+  TANPURA_TUNINGS,
+  startTanpura,
+  stopTanpura,
+  isTanpuraPlaying,
+  setTanpuraTuning,
+  setTanpuraVolume,
+  setTanpuraTempo,
+  getTanpuraSettings,
+  applyTanpuraSettings,
+  createTanpuraControls
+};
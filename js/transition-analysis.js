@@ -0,0 +1,334 @@
+/**
+ * Bansuri.js - Transition Analysis
+ * Scores note-to-note fingering changes and finds the hardest passages in a piece
+ */
+
+import { OPEN, CLOSED, getFingeringBySemitone, getSaMidi } from './fingering-data.js';
+
+// Difficulty levels
+const DIFFICULTY = {
+  EASY: 'easy',
+  MODERATE: 'moderate',
+  HARD: 'hard'
+};
+
+// Score thresholds for each level
+const MODERATE_THRESHOLD = 2;
+const HARD_THRESHOLD = 4;
+
+// What each kind of movement adds to a transition's score
+const TRANSITION_WEIGHTS = {
+  finger: 1,          // Each hole that changes state
+  partial: 0.5,       // Each partial-coverage hole involved in the change
+  partialToPartial: 1.5, // Moving from one shaded hole to another
+  crossFingering: 2,  // Some fingers lift while others close
+  registerChange: 1,  // Breath and embouchure have to change too
+  fast: 1.5           // Multiplier when the notes follow each other quickly
+};
+
+// Onset gap (ms) below which a transition counts as fast
+const FAST_TRANSITION_MS = 200;
+
+// Number of passages reported as the hardest
+const MAX_PASSAGES = 3;
+
+/**
+ * Check if a hole value is partially covered
+ */
+function isPartial(coverage) {
+  return coverage > OPEN && coverage < CLOSED;
+}
+
+/**
+ * Get the difficulty level for a score
+ * @param {number} score - Transition or average score
+ * @returns {string} DIFFICULTY value
+ */
+function getDifficultyLevel(score) {
+  if (score >= HARD_THRESHOLD) return DIFFICULTY.HARD;
+  if (score >= MODERATE_THRESHOLD) return DIFFICULTY.MODERATE;
+  return DIFFICULTY.EASY;
+}
+
+/**
+ * Score the change from one fingering to the next
+ * @param {object} from - Fingering object ({ holes, octave })
+ * @param {object} to - Fingering object ({ holes, octave })
+ * @param {number} gapMs - Time between the two note onsets (optional)
+ * @returns {object|null} { score, level, reasons, fingersMoved } or null if a fingering is missing
+ */
+function scoreTransition(from, to, gapMs = Infinity) {
+  if (!from || !to) return null;
+
+  const holeCount = Math.max(from.holes.length, to.holes.length);
+  let fingersMoved = 0;
+  let closing = 0;
+  let opening = 0;
+  let partialMoves = 0;
+
+  for (let i = 0; i < holeCount; i++) {
+    const before = from.holes[i] ?? OPEN;
+    const after = to.holes[i] ?? OPEN;
+    if (before === after) continue;
+
+    fingersMoved++;
+    if (after > before) closing++;
+    else opening++;
+    if (isPartial(before) || isPartial(after)) partialMoves++;
+  }
+
+  const reasons = [];
+  let score = fingersMoved * TRANSITION_WEIGHTS.finger;
+
+  if (fingersMoved >= 3) {
+    reasons.push(`${fingersMoved} fingers change at once`);
+  }
+
+  if (closing > 0 && opening > 0) {
+    score += TRANSITION_WEIGHTS.crossFingering;
+    reasons.push('Cross-fingering');
+  }
+
+  if (fingersMoved > 0 && from.holes.some(isPartial) && to.holes.some(isPartial)) {
+    score += TRANSITION_WEIGHTS.partialToPartial;
+    reasons.push('Half-hole to half-hole');
+  } else if (partialMoves > 0) {
+    score += partialMoves * TRANSITION_WEIGHTS.partial;
+    reasons.push('Half-hole placement');
+  }
+
+  if (from.octave !== to.octave) {
+    score += TRANSITION_WEIGHTS.registerChange;
+    reasons.push(`Register change (${from.octave} to ${to.octave})`);
+  }
+
+  if (score > 0 && gapMs < FAST_TRANSITION_MS) {
+    score *= TRANSITION_WEIGHTS.fast;
+    reasons.push('Fast');
+  }
+
+  return {
+    score,
+    level: getDifficultyLevel(score),
+    reasons,
+    fingersMoved
+  };
+}
+
+/**
+ * Analyze every consecutive transition in a note sequence
+ * @param {Array} notes - Notes with { midiNote, startTime, duration } (MIDI file or practice sequence)
+ * @param {string} bansuriKey - Bansuri key
+ * @param {object} options - { octaveShift } to remove a playback shift before looking up fingerings
+ * @returns {object} { transitions, passages, summary }
+ */
+function analyzeTransitions(notes, bansuriKey = 'G', options = {}) {
+  const { octaveShift = 0 } = options;
+  const saMidi = getSaMidi(bansuriKey);
+
+  if (!notes || notes.length < 2 || saMidi === undefined) {
+    return { transitions: [], passages: [], summary: summarize([]) };
+  }
+
+  // Walk the notes in time order; indices still refer to the original array
+  const order = notes
+    .map((note, index) => index)
+    .sort((a, b) => notes[a].startTime - notes[b].startTime);
+
+  const fingerings = new Map();
+  order.forEach(index => {
+    const note = notes[index];
+    const semitonesFromSa = note.midiNote - saMidi - octaveShift * 12;
+    fingerings.set(index, getFingeringBySemitone(semitonesFromSa, note.midiNote, bansuriKey));
+  });
+
+  const transitions = [];
+  for (let i = 1; i < order.length; i++) {
+    const fromIndex = order[i - 1];
+    const toIndex = order[i];
+    const fromNote = notes[fromIndex];
+    const toNote = notes[toIndex];
+    const from = fingerings.get(fromIndex);
+    const to = fingerings.get(toIndex);
+
+    const result = scoreTransition(from, to, toNote.startTime - fromNote.startTime);
+    if (!result) continue;
+
+    transitions.push({
+      fromIndex,
+      toIndex,
+      fromNote: from.indianNote,
+      toNote: to.indianNote,
+      startTime: fromNote.startTime,
+      endTime: toNote.startTime + toNote.duration,
+      ...result
+    });
+  }
+
+  return {
+    transitions,
+    passages: findHardPassages(transitions),
+    summary: summarize(transitions)
+  };
+}
+
+/**
+ * Group runs of consecutive non-easy transitions into passages, hardest first
+ * Only runs containing at least one hard transition are reported
+ * @param {Array} transitions - Transitions from analyzeTransitions
+ * @param {number} maxPassages - Number of passages to return
+ * @returns {Array} Passages: { fromIndex, toIndex, startTime, endTime, score, level, reasons, transitions }
+ */
+function findHardPassages(transitions, maxPassages = MAX_PASSAGES) {
+  const passages = [];
+  let run = [];
+
+  const closeRun = () => {
+    if (run.some(t => t.level === DIFFICULTY.HARD)) {
+      const score = run.reduce((sum, t) => sum + t.score, 0);
+      passages.push({
+        fromIndex: run[0].fromIndex,
+        toIndex: run[run.length - 1].toIndex,
+        startTime: run[0].startTime,
+        endTime: run[run.length - 1].endTime,
+        score,
+        level: DIFFICULTY.HARD,
+        reasons: [...new Set(run.flatMap(t => t.reasons))],
+        transitions: run
+      });
+    }
+    run = [];
+  };
+
+  transitions.forEach(transition => {
+    const previous = run[run.length - 1];
+    const continuesRun = previous && previous.toIndex === transition.fromIndex;
+
+    if (transition.level === DIFFICULTY.EASY || (run.length > 0 && !continuesRun)) {
+      closeRun();
+    }
+    if (transition.level !== DIFFICULTY.EASY) {
+      run.push(transition);
+    }
+  });
+  closeRun();
+
+  return passages
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxPassages);
+}
+
+/**
+ * Summarize a piece's transitions
+ * @param {Array} transitions - Transitions from analyzeTransitions
+ * @returns {object} { count, averageScore, maxScore, counts, level }
+ */
+function summarize(transitions) {
+  const counts = { [DIFFICULTY.EASY]: 0, [DIFFICULTY.MODERATE]: 0, [DIFFICULTY.HARD]: 0 };
+  transitions.forEach(t => counts[t.level]++);
+
+  const count = transitions.length;
+  const total = transitions.reduce((sum, t) => sum + t.score, 0);
+  const averageScore = count > 0 ? total / count : 0;
+  const maxScore = transitions.reduce((max, t) => Math.max(max, t.score), 0);
+
+  // A piece is hard when hard moves are common, moderate when any appear
+  let level = getDifficultyLevel(averageScore);
+  if (count > 0 && counts[DIFFICULTY.HARD] / count >= 0.2) {
+    level = DIFFICULTY.HARD;
+  } else if (level === DIFFICULTY.EASY && counts[DIFFICULTY.HARD] > 0) {
+    level = DIFFICULTY.MODERATE;
+  }
+
+  return { count, averageScore, maxScore, counts, level };
+}
+
+/**
+ * Create a difficulty summary display
+ * @param {HTMLElement} container - Parent container element
+ * @param {Function} onPassageSelect - Optional callback when a passage is clicked
+ * @returns {object} Controller with update() and setCurrentIndex() methods
+ */
+function createDifficultyDisplay(container, onPassageSelect) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'difficulty-display';
+  wrapper.style.display = 'none'; // Hidden until there is something to analyze
+
+  const summaryLine = document.createElement('div');
+  summaryLine.className = 'difficulty-summary';
+
+  const passageList = document.createElement('ul');
+  passageList.className = 'difficulty-passages';
+
+  wrapper.appendChild(summaryLine);
+  wrapper.appendChild(passageList);
+  container.appendChild(wrapper);
+
+  let passages = [];
+  let items = [];
+
+  return {
+    element: wrapper,
+    update(analysis) {
+      passageList.innerHTML = '';
+      items = [];
+      passages = analysis ? analysis.passages : [];
+
+      if (!analysis || analysis.summary.count === 0) {
+        wrapper.style.display = 'none';
+        return;
+      }
+
+      const { level, counts, averageScore } = analysis.summary;
+      summaryLine.innerHTML = '';
+      const label = document.createElement('span');
+      label.className = 'difficulty-label';
+      label.textContent = 'Difficulty: ';
+      const value = document.createElement('span');
+      value.className = `difficulty-level difficulty-${level}`;
+      value.textContent = level;
+      const detail = document.createElement('span');
+      detail.className = 'difficulty-detail';
+      detail.textContent = ` · ${counts[DIFFICULTY.HARD]} hard, ${counts[DIFFICULTY.MODERATE]} moderate transitions (avg ${averageScore.toFixed(1)})`;
+      summaryLine.appendChild(label);
+      summaryLine.appendChild(value);
+      summaryLine.appendChild(detail);
+
+      passages.forEach(passage => {
+        const item = document.createElement('li');
+        item.className = 'difficulty-passage';
+        const names = [passage.transitions[0].fromNote, ...passage.transitions.map(t => t.toNote)];
+        item.textContent = `${names.join(' → ')} (${passage.reasons.join(', ')})`;
+        item.title = `${(passage.startTime / 1000).toFixed(1)}s – ${(passage.endTime / 1000).toFixed(1)}s`;
+        if (onPassageSelect) {
+          item.addEventListener('click', () => onPassageSelect(passage));
+        }
+        passageList.appendChild(item);
+        items.push(item);
+      });
+
+      wrapper.style.display = 'block';
+    },
+    setCurrentIndex(index) {
+      // Highlight the passage being played; notes of a passage are consecutive in time
+      items.forEach((item, i) => {
+        const passage = passages[i];
+        const active = passage.transitions.some(t => t.fromIndex === index || t.toIndex === index);
+        item.classList.toggle('active', active);
+      });
+    }
+  };
+}
+
+// Export
+export {
+  DIFFICULTY,
+  MODERATE_THRESHOLD,
+  HARD_THRESHOLD,
+  TRANSITION_WEIGHTS,
+  getDifficultyLevel,
+  scoreTransition,
+  analyzeTransitions,
+  findHardPassages,
+  createDifficultyDisplay
+};
@@ -0,0 +1,254 @@
+/**
+ * Bansuri.js - Tuning
+ * Reference pitch, per-flute cents offsets and tuning systems used to turn
+ * MIDI notes into frequencies
+ */
+
+// Concert pitch: A4 = 440 Hz; many handmade bansuris use 432 Hz
+const DEFAULT_REFERENCE_FREQUENCY = 440;
+const REFERENCE_MIDI = 69; // A4
+
+// Accepted limits for the settings
+const REFERENCE_RANGE = { min: 400, max: 480 };
+const CENTS_RANGE = { min: -100, max: 100 };
+
+// The 22 shrutis as ratios above Sa
+const SHRUTI_RATIOS = [
+  1, 256 / 243, 16 / 15, 10 / 9, 9 / 8, 32 / 27, 6 / 5, 5 / 4, 81 / 64, 4 / 3, 27 / 20,
+  45 / 32, 729 / 512, 3 / 2, 128 / 81, 8 / 5, 5 / 3, 27 / 16, 16 / 9, 9 / 5, 15 / 8, 243 / 128
+];
+
+// Shruti used for each of the 12 swaras (index into SHRUTI_RATIOS)
+const SWARA_SHRUTIS = [0, 1, 4, 5, 7, 9, 11, 13, 14, 16, 18, 20];
+
+/**
+ * Tuning systems
+ * `ratios` gives each semitone above Sa as a frequency ratio; equal temperament has none
+ */
+const TUNING_SYSTEMS = {
+  'equal': {
+    id: 'equal',
+    name: 'Equal temperament',
+    ratios: null
+  },
+  'just': {
+    id: 'just',
+    name: 'Just intonation',
+    // 5-limit ratios relative to Sa
+    ratios: [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8]
+  },
+  'shruti': {
+    id: 'shruti',
+    name: 'Shruti (22)',
+    ratios: SWARA_SHRUTIS.map(index => SHRUTI_RATIOS[index])
+  }
+};
+
+// Tuning state
+let referenceFrequency = DEFAULT_REFERENCE_FREQUENCY;
+let fluteOffsets = {};  // bansuriKey -> cents
+let activeFlute = 'G';
+let tonicMidi = 67;     // Sa of the active flute, anchor for just and shruti tuning
+let tuningSystem = 'equal';
+
+/**
+ * Clamp a number to a { min, max } range
+ */
+function clamp(value, range) {
+  return Math.max(range.min, Math.min(range.max, value));
+}
+
+/**
+ * Set the reference frequency of A4
+ * @param {number} frequency - Frequency in Hz
+ */
+function setReferenceFrequency(frequency) {
+  const value = Number(frequency);
+  if (!Number.isFinite(value)) return;
+  referenceFrequency = clamp(value, REFERENCE_RANGE);
+}
+
+/**
+ * Get the reference frequency of A4
+ * @returns {number} Frequency in Hz
+ */
+function getReferenceFrequency() {
+  return referenceFrequency;
+}
+
+/**
+ * Set the tuning offset of a flute
+ * @param {string} bansuriKey - Flute the offset belongs to
+ * @param {number} cents - Offset in cents (positive = sharp)
+ */
+function setFluteOffset(bansuriKey, cents) {
+  const value = Number(cents);
+  if (!Number.isFinite(value)) return;
+
+  const clamped = clamp(value, CENTS_RANGE);
+  if (clamped === 0) {
+    delete fluteOffsets[bansuriKey];
+  } else {
+    fluteOffsets[bansuriKey] = clamped;
+  }
+}
+
+/**
+ * Get the tuning offset of a flute
+ * @param {string} bansuriKey - Flute key (defaults to the active flute)
+ * @returns {number} Offset in cents
+ */
+function getFluteOffset(bansuriKey = activeFlute) {
+  return fluteOffsets[bansuriKey] || 0;
+}
+
+/**
+ * Select the flute whose offset and Sa apply to playback
+ * @param {string} bansuriKey - Flute key
+ * @param {number} saMidi - MIDI note of the flute's Sa (keeps the current tonic if omitted)
+ */
+function setActiveFlute(bansuriKey, saMidi) {
+  activeFlute = bansuriKey;
+  if (Number.isFinite(saMidi)) {
+    tonicMidi = saMidi;
+  }
+}
+
+/**
+ * Get the flute whose offset applies to playback
+ * @returns {string} Flute key
+ */
+function getActiveFlute() {
+  return activeFlute;
+}
+
+/**
+ * Get the MIDI note of the active flute's Sa
+ * @returns {number} MIDI note number
+ */
+function getTonicMidi() {
+  return tonicMidi;
+}
+
+/**
+ * Set the tuning system
+ * @param {string} systemId - Key of TUNING_SYSTEMS
+ * @returns {boolean} True if the system exists
+ */
+function setTuningSystem(systemId) {
+  if (!TUNING_SYSTEMS[systemId]) return false;
+  tuningSystem = systemId;
+  return true;
+}
+
+/**
+ * Get the active tuning system id
+ * @returns {string} Tuning system id
+ */
+function getTuningSystem() {
+  return tuningSystem;
+}
+
+/**
+ * Get how far a note sits from equal temperament in the active tuning system
+ * Just and shruti ratios are measured from the active flute's Sa; a fractional
+ * note (a bend between two semitones) blends the deviations of its neighbours
+ * @param {number} midiNote - MIDI note number (may be fractional)
+ * @returns {number} Deviation in cents
+ */
+function getTuningDeviation(midiNote) {
+  const { ratios } = TUNING_SYSTEMS[tuningSystem];
+  if (!ratios) return 0;
+
+  const semitoneDeviation = (offset) => {
+    const semitone = ((offset % 12) + 12) % 12;
+    return 1200 * Math.log2(ratios[semitone]) - semitone * 100;
+  };
+
+  const offset = midiNote - tonicMidi;
+  const below = Math.floor(offset);
+  const fraction = offset - below;
+  if (fraction === 0) return semitoneDeviation(below);
+
+  return semitoneDeviation(below) * (1 - fraction) + semitoneDeviation(below + 1) * fraction;
+}
+
+/**
+ * Convert MIDI note number to frequency in Hz
+ * Uses the reference pitch, the tuning system and the active flute's offset
+ * @param {number} midiNote - MIDI note number (may be fractional)
+ * @returns {number} Frequency in Hz
+ */
+function midiToFrequency(midiNote) {
+  const cents = (midiNote - REFERENCE_MIDI) * 100 + getTuningDeviation(midiNote) + getFluteOffset();
+  return referenceFrequency * Math.pow(2, cents / 1200);
+}
+
+/**
+ * Convert frequency to a (fractional) MIDI note number under the current tuning
+ * @param {number} frequency - Frequency in Hz
+ * @returns {number} MIDI note number
+ */
+function frequencyToMidi(frequency) {
+  const equalMidi = REFERENCE_MIDI + (1200 * Math.log2(frequency / referenceFrequency) - getFluteOffset()) / 100;
+  // Remove the deviation of the nearest note so in-tune notes land on whole numbers
+  return equalMidi - getTuningDeviation(Math.round(equalMidi)) / 100;
+}
+
+/**
+ * Get the tuning settings for saving with preferences
+ * @returns {object} { referenceFrequency, fluteOffsets, system }
+ */
+function getTuningSettings() {
+  return {
+    referenceFrequency,
+    fluteOffsets: { ...fluteOffsets },
+    system: tuningSystem
+  };
+}
+
+/**
+ * Restore tuning settings saved with preferences
+ * @param {object} saved - { referenceFrequency, fluteOffsets, system }
+ */
+function applyTuningSettings(saved) {
+  if (!saved || typeof saved !== 'object') return;
+
+  if (saved.system) {
+    setTuningSystem(saved.system);
+  }
+
+  if (saved.referenceFrequency !== undefined) {
+    setReferenceFrequency(saved.referenceFrequency);
+  }
+
+  if (saved.fluteOffsets && typeof saved.fluteOffsets === 'object') {
+    fluteOffsets = {};
+    Object.entries(saved.fluteOffsets).forEach(([key, cents]) => {
+      setFluteOffset(key, cents);
+    });
+  }
+}
+
+// Export
+export {
+  DEFAULT_REFERENCE_FREQUENCY,
+  REFERENCE_RANGE,
+  CENTS_RANGE,
+  SHRUTI_RATIOS,
+  TUNING_SYSTEMS,
+  setReferenceFrequency,
+  getReferenceFrequency,
+  setFluteOffset,
+  getFluteOffset,
+  setActiveFlute,
+  getActiveFlute,
+  getTonicMidi,
+  setTuningSystem,
+  getTuningSystem,
+  getTuningDeviation,
+  midiToFrequency,
+  frequencyToMidi,
+  getTuningSettings,
+  applyTuningSettings
+};
@@ -0,0 +1,37 @@
+/**
+ * Bansuri.js - Key Analysis tests
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeKey } from '../js/key-analysis.js';
+import { fitToFlute, getMidiRange } from '../js/melody-transform.js';
+
+// A phrase an octave above a G flute's fingerings (G flute fingers MIDI 74-98)
+const HIGH_PHRASE = [100, 103, 105, 107, 108].map((midiNote, i) => ({
+  midiNote,
+  startTime: i * 500,
+  duration: 400
+}));
+
+test('a phrase above the flute only fits after an octave shift up', () => {
+  assert.equal(analyzeKey(HIGH_PHRASE, 'G', 0).coverage, 0);
+
+  const shifted = analyzeKey(HIGH_PHRASE, 'G', 1);
+  assert.equal(shifted.coverage, 1);
+  assert.equal(shifted.outOfRange, 0);
+});
+
+test('the sounding range moves with the octave shift', () => {
+  assert.deepEqual(getMidiRange('G', 1), { low: 86, high: 110 });
+});
+
+test('fit to flute leaves a phrase alone once the shift makes it fit', () => {
+  const result = fitToFlute(HIGH_PHRASE, 'G', 1);
+  assert.equal(result.transposition, 0);
+  assert.equal(result.summary.moved, 0);
+  assert.deepEqual(result.notes.map(n => n.midiNote), HIGH_PHRASE.map(n => n.midiNote));
+
+  assert.ok(fitToFlute(HIGH_PHRASE, 'G', 0).summary.moved > 0);
+});
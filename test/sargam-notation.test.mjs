@@ -0,0 +1,36 @@
+/**
+ * Bansuri.js - Sargam Notation tests
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSargam, serializeSargam } from '../js/sargam-notation.js';
+
+test('taar Ma followed by another swara in the same beat round-trips', () => {
+  const notes = [{ semitone: 17, beats: 0.5 }, { semitone: 7, beats: 0.5 }];
+  const text = serializeSargam(notes);
+  assert.equal(text, 'm"P');
+  assert.deepEqual(parseSargam(text), notes);
+});
+
+test('taar tivra Ma followed by another swara round-trips', () => {
+  const notes = [{ semitone: 18, beats: 0.5 }, { semitone: 12, beats: 0.5 }];
+  assert.deepEqual(parseSargam(serializeSargam(notes)), notes);
+});
+
+test('a dot between other swaras is still the mandra mark of the next', () => {
+  assert.deepEqual(parseSargam('S.N'), [{ semitone: 0, beats: 0.5 }, { semitone: -1, beats: 0.5 }]);
+});
+
+test('Ma followed by a mandra swara in the same beat round-trips', () => {
+  const notes = [{ semitone: 5, beats: 0.5 }, { semitone: -1, beats: 0.5 }];
+  const text = serializeSargam(notes);
+  assert.equal(text, 'm.N');
+  assert.deepEqual(parseSargam(text), notes);
+});
+
+test('tivra Ma followed by a mandra swara round-trips', () => {
+  const notes = [{ semitone: 6, beats: 0.5 }, { semitone: -3, beats: 0.5 }];
+  assert.deepEqual(parseSargam(serializeSargam(notes)), notes);
+});